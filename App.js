@@ -7,7 +7,10 @@
  * - 5-day forecast
  * - Animated weather backgrounds (rain, snow, clouds, sun, night)
  * - Temperature unit toggle (Celsius/Fahrenheit)
+ * - Persisted settings for units, time format, default location and effects
+ * - Reduce-motion mode with static scenes (follows the OS setting by default)
  * - City search functionality
+ * - Saved locations with a swipe-between-cities pager
  */
 
 // ============================================================================
@@ -30,8 +33,115 @@ import {
   Easing,
   Platform,
   Vibration,
+  Modal,
+  Linking,
+  Switch,
+  PanResponder,
+  Pressable,
 } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
 import * as Location from 'expo-location';
+import Reanimated, { useAnimatedProps, useDerivedValue } from 'react-native-reanimated';
+import Svg, { Circle, Line, Path, Rect } from 'react-native-svg';
+
+import {
+  createWeatherClient,
+  WEATHER_PROVIDERS,
+} from './src/api/weatherClient';
+import {
+  addLocation,
+  findNearbyLocation,
+  loadSavedLocations,
+  locationFromWeather,
+  moveLocation,
+  removeLocation,
+  saveSavedLocations,
+} from './src/storage/savedLocations';
+import {
+  dismissAlert,
+  loadDismissedAlerts,
+  restoreAlert,
+  saveDismissedAlerts,
+} from './src/storage/dismissedAlerts';
+import {
+  loadThresholdRules,
+  saveThresholdRules,
+  setLocationRules,
+} from './src/storage/thresholdRules';
+import {
+  DEFAULT_SETTINGS,
+  SETTING_OPTIONS,
+  UNIT_SETTINGS,
+  getChangedSettings,
+  getDisplayUnits,
+  isReduceMotion,
+  loadSettings,
+  saveSettings,
+} from './src/storage/settings';
+import { ERROR_TYPES, WeatherError } from './src/api/errors';
+import { RETRY_DEFAULTS } from './src/api/request';
+import {
+  AnimationActivity,
+  useAnimationsActive,
+  useAppActive,
+  useScrollVisibility,
+} from './src/hooks/useAnimationLifecycle';
+import { useAlertNotifications } from './src/hooks/useAlertNotifications';
+import { useParticleClock } from './src/hooks/useParticleClock';
+import { useSystemReduceMotion } from './src/hooks/useSystemReduceMotion';
+import { useWeather } from './src/hooks/useWeather';
+import {
+  ALERT_SEVERITIES,
+  getAlertCategory,
+  getAlertCountdown,
+  getAlertId,
+  getAlertSeverity,
+  isAlertDismissed,
+  sortAlerts,
+} from './src/utils/alerts';
+import { getHourlyChartLayout, getHourlyPrecipitation } from './src/utils/chart';
+import { getLocalDateKey } from './src/utils/forecast';
+import {
+  NOWCAST_BANDS,
+  getNowcastBarHeight,
+  getNowcastEvent,
+  getNowcastKind,
+  getPrecipitationBand,
+  getUpcomingMinutes,
+} from './src/utils/nowcast';
+import {
+  RULE_TYPES,
+  createRule,
+  describeRule,
+  evaluateRules,
+  formatRuleValue,
+  formatWindowHour,
+  stepRuleThreshold,
+  stepRuleWindow,
+  toggleRuleWindow,
+} from './src/utils/rules';
+import { buildWeatherSummary, getSummaryLanguage } from './src/utils/summary';
+import { getSunTimesForDate } from './src/utils/sun';
+import { DEFAULT_INTENSITY, getWeatherIntensity } from './src/utils/intensity';
+import {
+  UNIT_LABELS,
+  UNIT_PRESETS,
+  convertTemperature,
+  formatPrecipitation,
+  formatPressure,
+  formatVisibility,
+  formatWindSpeed,
+} from './src/utils/units';
+import {
+  announceChange,
+  speakChanceOfPrecipitation,
+  speakCompassPoint,
+  speakPrecipitation,
+  speakPressure,
+  speakTemperature,
+  speakVisibility,
+  speakWindSpeed,
+} from './src/utils/accessibility';
 
 
 // ============================================================================
@@ -40,8 +150,34 @@ import * as Location from 'expo-location';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
-const API_KEY = process.env.EXPO_PUBLIC_WEATHER_API_KEY;
-const API_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+// Wind effects on the background particles
+const GUST_MARGIN = 80;   // Extra width (px) each side of a gust layer, and the strongest gust shove
+const RAIN_DRIFT = 0.4;   // Sideways travel over one fall at full wind, as a share of screen height
+const SNOW_DRIFT = 1.2;   // Same for snow, as a share of screen width
+const SWAY_PERIOD = 3000; // ms for a snowflake to sway right, left and back
+const PARTICLE_LAYER_WIDTH = SCREEN_WIDTH + GUST_MARGIN * 2;
+
+// Falling particles: shape, color, and opacity at the top and bottom of the fall
+const RAIN_PARTICLES = { shape: 'drop', color: 'rgba(170, 200, 255, 0.5)', opacity: [0.7, 0.3] };
+const SNOW_PARTICLES = { shape: 'flake', color: 'rgba(255, 255, 255, 0.8)', opacity: [0.8, 0.8] };
+const PARTICLE_OPACITY_BANDS = 3; // Fading particles are drawn in this many opacity steps
+const MAX_RAINDROPS = 120;        // Drop count at full intensity, whatever the base count
+
+// Hourly chart size (px): temperature curves on top, precipitation bars below
+const HOURLY_CHART = { hours: 24, curveHeight: 110, barGap: 8, barHeight: 40, padding: 6 };
+const HOURLY_CHART_HEIGHT = HOURLY_CHART.curveHeight + HOURLY_CHART.barGap + HOURLY_CHART.barHeight;
+const HOURLY_CHART_LABEL_EVERY = 6; // Hours between time labels under the chart
+
+// Nowcast chart: one bar per minute over the next hour
+const NOWCAST_CHART = { height: 72, labelEvery: 15, labelWidth: 56 };
+const NOWCAST_BAND_OPACITY = { light: 0.45, moderate: 0.75, heavy: 1 };
+const NOWCAST_KIND_LABELS = { rain: 'Rain', snow: 'Snow', drizzle: 'Drizzle', storm: 'Rain' };
+
+const SUMMARY_LANGUAGE = getSummaryLanguage(); // Template language of the headline under the conditions
+const MAX_RULE_MATCHES = 6; // Upcoming custom alert matches listed before "N more"
+
+// Spread onto purely decorative views to hide them and their children from screen readers
+const DECORATIVE = { accessibilityElementsHidden: true, importantForAccessibility: 'no-hide-descendants' };
 
 /**
  * Color themes for different weather conditions
@@ -78,6 +214,41 @@ const WEATHER_THEMES = {
     cardBg: 'rgba(255, 255, 255, 0.06)',
     accent: '#C9B8FF',
   },
+  mist: {
+    background: '#46525e',
+    cardBg: 'rgba(255, 255, 255, 0.1)',
+    accent: '#B0C4D4',
+  },
+  fog: {
+    background: '#59636d',
+    cardBg: 'rgba(255, 255, 255, 0.12)',
+    accent: '#CFD8DC',
+  },
+  haze: {
+    background: '#7a7160',
+    cardBg: 'rgba(255, 255, 255, 0.12)',
+    accent: '#FFE0B2',
+  },
+  dust: {
+    background: '#80603a',
+    cardBg: 'rgba(255, 255, 255, 0.1)',
+    accent: '#FFCC80',
+  },
+  smoke: {
+    background: '#3a3430',
+    cardBg: 'rgba(255, 255, 255, 0.08)',
+    accent: '#BCAAA4',
+  },
+  squall: {
+    background: '#1c2935',
+    cardBg: 'rgba(255, 255, 255, 0.08)',
+    accent: '#80CBC4',
+  },
+  tornado: {
+    background: '#262b22',
+    cardBg: 'rgba(255, 255, 255, 0.08)',
+    accent: '#C5E1A5',
+  },
   default: {
     background: '#1a2a3a',
     cardBg: 'rgba(255, 255, 255, 0.08)',
@@ -85,6 +256,115 @@ const WEATHER_THEMES = {
   },
 };
 
+/**
+ * Static gradient (top to bottom) drawn over the theme background in
+ * reduce-motion mode, in place of each weather animation
+ */
+const SCENE_GRADIENTS = {
+  thunderstorm: ['rgba(157, 123, 216, 0.25)', 'rgba(10, 8, 20, 0)'],
+  rain: ['rgba(107, 141, 214, 0.25)', 'rgba(15, 15, 26, 0)'],
+  snow: ['rgba(255, 255, 255, 0.22)', 'rgba(58, 74, 90, 0)'],
+  cloudy: ['rgba(176, 190, 197, 0.25)', 'rgba(45, 58, 74, 0)'],
+  sunny: ['rgba(255, 217, 61, 0.35)', 'rgba(74, 144, 164, 0)'],
+  night: ['rgba(10, 10, 26, 0)', 'rgba(201, 184, 255, 0.12)'],
+  mist: ['rgba(220, 228, 235, 0.08)', 'rgba(220, 228, 235, 0.22)'],
+  fog: ['rgba(220, 228, 235, 0.12)', 'rgba(220, 228, 235, 0.35)'],
+  haze: ['rgba(245, 222, 179, 0.3)', 'rgba(122, 113, 96, 0)'],
+  dust: ['rgba(217, 160, 91, 0.4)', 'rgba(128, 96, 58, 0)'],
+  smoke: ['rgba(93, 78, 68, 0)', 'rgba(161, 136, 127, 0.3)'],
+  squall: ['rgba(128, 203, 196, 0.2)', 'rgba(28, 41, 53, 0)'],
+  tornado: ['rgba(62, 74, 46, 0.5)', 'rgba(38, 43, 34, 0)'],
+  default: ['rgba(100, 181, 246, 0.2)', 'rgba(26, 42, 58, 0)'],
+};
+
+/**
+ * Weather type for each atmosphere (7xx) condition id
+ * Sand and dust share the dust storm look, volcanic ash the smoke look
+ */
+const ATMOSPHERE_TYPES = {
+  701: 'mist',
+  711: 'smoke',
+  721: 'haze',
+  731: 'dust',     // Sand/dust whirls
+  741: 'fog',
+  751: 'dust',     // Sand
+  761: 'dust',
+  762: 'smoke',    // Volcanic ash
+  771: 'squall',
+  781: 'tornado',
+};
+
+/**
+ * User-facing title, message and recovery action for each error type
+ * Actions: 'retry', 'switchProvider', 'locate', 'openSettings'
+ */
+const ERROR_DETAILS = {
+  [ERROR_TYPES.INVALID_KEY]: {
+    title: 'Invalid API key',
+    message: 'OpenWeatherMap rejected the API key. Open-Meteo works without one.',
+    action: 'switchProvider',
+    actionLabel: 'Use Open-Meteo',
+  },
+  [ERROR_TYPES.RATE_LIMITED]: {
+    title: 'Too many requests',
+    message: 'The weather service is limiting requests. Wait a minute and try again.',
+    action: 'retry',
+    actionLabel: 'Try again',
+  },
+  [ERROR_TYPES.NOT_FOUND]: {
+    title: 'City not found',
+    message: 'Check the spelling or pick a place from the suggestions.',
+    action: 'locate',
+    actionLabel: 'Use my location',
+  },
+  [ERROR_TYPES.OFFLINE]: {
+    title: "You're offline",
+    message: 'Check your internet connection and try again.',
+    action: 'retry',
+    actionLabel: 'Retry',
+  },
+  [ERROR_TYPES.SERVER]: {
+    title: 'Weather service unavailable',
+    message: 'The weather service is having problems. Try again shortly.',
+    action: 'retry',
+    actionLabel: 'Retry',
+  },
+  [ERROR_TYPES.LOCATION_DENIED]: {
+    title: 'Location permission denied',
+    message: 'Allow location access in Settings, or search for a city instead.',
+    action: 'openSettings',
+    actionLabel: 'Open Settings',
+  },
+  [ERROR_TYPES.LOCATION_UNAVAILABLE]: {
+    title: 'Could not get location',
+    message: 'Make sure location services are on and try again.',
+    action: 'locate',
+    actionLabel: 'Try again',
+  },
+  [ERROR_TYPES.UNKNOWN]: {
+    title: 'Something went wrong',
+    message: 'The weather data could not be loaded.',
+    action: 'retry',
+    actionLabel: 'Retry',
+  },
+};
+
+/**
+ * Per-quantity unit overrides on the settings screen
+ * Values come from SETTING_OPTIONS, labels from UNIT_LABELS
+ */
+const UNIT_ROWS = [
+  { key: 'temperatureUnit', quantity: 'temperature', title: 'Temperature' },
+  { key: 'windUnit', quantity: 'wind', title: 'Wind speed' },
+  { key: 'pressureUnit', quantity: 'pressure', title: 'Pressure' },
+  { key: 'distanceUnit', quantity: 'distance', title: 'Visibility' },
+  { key: 'precipitationUnit', quantity: 'precipitation', title: 'Precipitation' },
+];
+
+const TIME_FORMAT_LABELS = { '12h': '12-hour', '24h': '24-hour' };
+
+const REDUCE_MOTION_LABELS = { system: 'System', on: 'On', off: 'Off' };
+
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -107,12 +387,12 @@ const getWeatherIconUrl = (iconCode) => {
  * - 300-399: Drizzle
  * - 500-599: Rain
  * - 600-699: Snow
- * - 700-799: Atmosphere (mist, fog, etc.)
+ * - 700-799: Atmosphere (mist, fog, etc.), see ATMOSPHERE_TYPES
  * - 800: Clear
  * - 801-804: Clouds
  *
  * @param {object} weatherData - The weather data from the API
- * @returns {string} - Weather type: 'rain', 'snow', 'cloudy', 'sunny', 'night', or 'default'
+ * @returns {string} - Weather type: a key of WEATHER_THEMES
  */
 const getWeatherType = (weatherData) => {
   if (!weatherData) return 'default';
@@ -136,28 +416,27 @@ const getWeatherType = (weatherData) => {
   // Clear sky
   if (weatherId === 800) return isNight ? 'night' : 'sunny';
 
-  // Atmosphere (mist, fog, haze, etc.)
-  if (weatherId >= 700 && weatherId < 800) return 'cloudy';
+  // Atmosphere (mist, fog, haze, dust, smoke, squall, tornado)
+  if (weatherId >= 700 && weatherId < 800) return ATMOSPHERE_TYPES[weatherId] || 'fog';
 
   return isNight ? 'night' : 'default';
 };
 
 /**
- * Formats a date string into a readable day name
- * Returns 'Today', 'Tomorrow', or the short weekday name
+ * Formats a local calendar date into a readable day name
+ * Returns 'Today', 'Tomorrow', or the weekday name
+ * 'Today' is the location's today, not the device's
  *
- * @param {string} dateString - ISO date string from the API
+ * @param {string} dateKey - Local date (e.g., "2024-01-31")
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @param {string} weekday - 'short' ("Tue") or 'long' ("Tuesday", for screen readers)
  * @returns {string} - Formatted day name
  */
-const formatDayName = (dateString) => {
-  const date = new Date(dateString);
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-
-  if (date.toDateString() === today.toDateString()) return 'Today';
-  if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
-  return date.toLocaleDateString('en-US', { weekday: 'short' });
+const formatDayName = (dateKey, timezoneOffset = 0, weekday = 'short') => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (dateKey === getLocalDateKey(nowSeconds, timezoneOffset)) return 'Today';
+  if (dateKey === getLocalDateKey(nowSeconds + 86400, timezoneOffset)) return 'Tomorrow';
+  return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-US', { weekday, timeZone: 'UTC' });
 };
 
 /**
@@ -166,16 +445,18 @@ const formatDayName = (dateString) => {
  *
  * @param {number} timestamp - Unix timestamp in seconds
  * @param {number} timezoneOffset - Timezone offset in seconds from UTC
- * @returns {string} - Formatted time (e.g., "6:42 AM")
+ * @param {string} timeFormat - '12h' or '24h'
+ * @returns {string} - Formatted time (e.g., "6:42 AM" or "06:42")
  */
-const formatTime = (timestamp, timezoneOffset) => {
+const formatTime = (timestamp, timezoneOffset, timeFormat = '12h') => {
   // Create date from timestamp and adjust for timezone
   const date = new Date((timestamp + timezoneOffset) * 1000);
   const hours = date.getUTCHours();
   const minutes = date.getUTCMinutes();
+  const minuteStr = minutes.toString().padStart(2, '0');
+  if (timeFormat === '24h') return `${hours.toString().padStart(2, '0')}:${minuteStr}`;
   const ampm = hours >= 12 ? 'PM' : 'AM';
   const hour12 = hours % 12 || 12;
-  const minuteStr = minutes.toString().padStart(2, '0');
   return `${hour12}:${minuteStr} ${ampm}`;
 };
 
@@ -184,17 +465,49 @@ const formatTime = (timestamp, timezoneOffset) => {
  *
  * @param {number} timestamp - Unix timestamp in seconds
  * @param {number} timezoneOffset - Timezone offset in seconds from UTC
- * @returns {string} - Formatted hour (e.g., "3 PM", "Now")
+ * @param {boolean} isFirst - Label the first hour "Now"
+ * @param {string} timeFormat - '12h' or '24h'
+ * @returns {string} - Formatted hour (e.g., "3PM", "15:00", "Now")
  */
-const formatHour = (timestamp, timezoneOffset, isFirst = false) => {
+const formatHour = (timestamp, timezoneOffset, isFirst = false, timeFormat = '12h') => {
   if (isFirst) return 'Now';
   const date = new Date((timestamp + timezoneOffset) * 1000);
   const hours = date.getUTCHours();
+  if (timeFormat === '24h') return `${hours.toString().padStart(2, '0')}:00`;
   const ampm = hours >= 12 ? 'PM' : 'AM';
   const hour12 = hours % 12 || 12;
   return `${hour12}${ampm}`;
 };
 
+/**
+ * Converts an ISO 3166 country code into its flag emoji
+ *
+ * @param {string} countryCode - Two-letter country code (e.g., 'FR')
+ * @returns {string} - Flag emoji (e.g., '🇫🇷'), or '' if the code is invalid
+ */
+const getCountryFlag = (countryCode) => {
+  if (!/^[a-z]{2}$/i.test(countryCode || '')) return '';
+  return String.fromCodePoint(
+    ...countryCode.toUpperCase().split('').map((char) => 0x1F1E6 + char.charCodeAt(0) - 65)
+  );
+};
+
+/**
+ * Formats how long ago a timestamp was
+ *
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - Relative time (e.g., "just now", "12 min ago", "3 h ago")
+ */
+const formatTimeAgo = (timestamp, now = Date.now()) => {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+};
+
 /**
  * Converts wind direction in degrees to compass direction
  *
@@ -222,20 +535,6 @@ const getUVLevel = (uvi) => {
   return { label: 'Extreme', color: '#9C27B0' };
 };
 
-/**
- * Formats visibility in meters to km
- *
- * @param {number} meters - Visibility in meters
- * @returns {string} - Formatted visibility (e.g., "10 km")
- */
-const formatVisibility = (meters) => {
-  if (meters >= 1000) {
-    const km = meters / 1000;
-    return `${km % 1 === 0 ? km : km.toFixed(1)} km`;
-  }
-  return `${meters} m`;
-};
-
 /**
  * Calculates dew point from temperature and humidity
  *
@@ -256,81 +555,236 @@ const calculateDewPoint = (tempCelsius, humidity) => {
 // WEATHER ANIMATION COMPONENTS
 // ============================================================================
 
-// ----- RAIN ANIMATION -----
+// ----- PARTICLE SYSTEM -----
+
+const AnimatedPath = Reanimated.createAnimatedComponent(Path);
+
+/**
+ * Builds the SVG path data of every particle at one moment
+ * Runs on the UI thread once per frame for the whole field. A particle's
+ * position is a pure function of the clock: offset staggers it, duration
+ * sets its speed. Particles fade as they fall, so each opacity band gets
+ * its own path with the particles at that stage of their fall.
+ *
+ * @param {object[]} particles - { x, offset, duration, drift, sway, size }
+ * @param {string} shape - 'drop' (line along its wind-blown path) or 'flake' (circle)
+ * @param {number} time - Elapsed animation time in ms
+ * @returns {string[]} - Path data per opacity band, top of the fall first
+ */
+const buildParticlePaths = (particles, shape, time) => {
+  'worklet';
+  const fall = SCREEN_HEIGHT + 100;
+  const paths = new Array(PARTICLE_OPACITY_BANDS).fill('');
+
+  for (let i = 0; i < particles.length; i++) {
+    const { x, offset, duration, drift, sway, size } = particles[i];
+    const elapsed = time + offset;
+    const progress = (elapsed % duration) / duration;
+    const swayX = sway ? Math.sin(elapsed / SWAY_PERIOD * 2 * Math.PI) * sway : 0;
+    const left = x + progress * drift + swayX;
+    const top = -50 + progress * fall;
+    const band = Math.min(Math.floor(progress * PARTICLE_OPACITY_BANDS), PARTICLE_OPACITY_BANDS - 1);
+
+    if (shape === 'drop') {
+      const scale = size / 2 / Math.hypot(drift, fall);
+      const cy = top + size / 2;
+      paths[band] += `M${(left - drift * scale).toFixed(1)} ${(cy - fall * scale).toFixed(1)}`
+        + `L${(left + drift * scale).toFixed(1)} ${(cy + fall * scale).toFixed(1)}`;
+    } else {
+      const r = size / 2;
+      paths[band] += `M${left.toFixed(1)} ${(top + r).toFixed(1)}`
+        + `a${r} ${r} 0 1 0 ${size} 0a${r} ${r} 0 1 0 ${-size} 0`;
+    }
+  }
+  return paths;
+};
+
+/**
+ * One opacity band of a ParticleField, redrawn from the shared path data
+ */
+const ParticleBand = ({ paths, band, shape, color, opacity }) => {
+  const animatedProps = useAnimatedProps(() => ({ d: paths.value[band] || 'M0 0' }));
+
+  return shape === 'drop' ? (
+    <AnimatedPath
+      animatedProps={animatedProps}
+      stroke={color}
+      strokeOpacity={opacity}
+      strokeWidth={2}
+      strokeLinecap="round"
+      fill="none"
+    />
+  ) : (
+    <AnimatedPath animatedProps={animatedProps} fill={color} fillOpacity={opacity} />
+  );
+};
+
+/**
+ * Renders falling particles from one shared clock (see useParticleClock)
+ * One derived value rebuilds every particle each frame and a path per
+ * opacity band draws them, so the UI thread runs the same few mappers
+ * however many particles there are. On slow devices only the first
+ * `budget` share of particles is drawn. The clock stops while animations
+ * are paused, freezing every particle.
+ *
+ * @param {object[]} particles - { x, offset, duration, drift, sway, size }
+ * @param {string} shape - 'drop' or 'flake'
+ * @param {string} color - Particle color
+ * @param {number[]} opacity - Opacity at the top and at the bottom of the fall
+ * @param {object} wind - { x, strength, gust } from getWindIntensity, for gust bursts
+ */
+const ParticleField = ({ particles, shape, color, opacity, wind }) => {
+  const isActive = useAnimationsActive();
+  const { time, budget } = useParticleClock(isActive);
+  const visible = useMemo(
+    () => particles.slice(0, Math.ceil(particles.length * budget)),
+    [particles, budget]
+  );
+  const paths = useDerivedValue(() => buildParticlePaths(visible, shape, time.value), [visible, shape]);
+
+  return (
+    <GustLayer wind={wind}>
+      <Svg width={PARTICLE_LAYER_WIDTH} height={SCREEN_HEIGHT} pointerEvents="none">
+        {Array.from({ length: PARTICLE_OPACITY_BANDS }, (_, band) => (
+          <ParticleBand
+            key={band}
+            paths={paths}
+            band={band}
+            shape={shape}
+            color={color}
+            opacity={opacity[0] + (opacity[1] - opacity[0]) * (band + 0.5) / PARTICLE_OPACITY_BANDS}
+          />
+        ))}
+      </Svg>
+    </GustLayer>
+  );
+};
 
 /**
- * Individual raindrop component
- * Animates falling from top to bottom with fading opacity
+ * Wraps a particle layer and shoves it sideways in short bursts
+ * Bursts come more often and push harder the gustier the wind.
+ * The layer is GUST_MARGIN wider than the screen on each side, so
+ * shifting it never uncovers an empty edge.
+ *
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
  */
-const Raindrop = ({ delay, startX }) => {
-  const translateY = useRef(new Animated.Value(-50)).current;
-  const opacity = useRef(new Animated.Value(0.7)).current;
-  const fallDuration = useRef(600 + Math.random() * 400).current;
+const GustLayer = ({ wind, children }) => {
+  const shift = useRef(new Animated.Value(0)).current;
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
-    const timeout = setTimeout(() => {
-      const animate = () => {
-        // Reset position and opacity
-        translateY.setValue(-50);
-        opacity.setValue(0.7);
+    if (!wind.gust || !isActive) return undefined;
 
-        // Animate falling and fading
-        Animated.parallel([
-          Animated.timing(translateY, {
-            toValue: SCREEN_HEIGHT + 50,
-            duration: fallDuration,
-            easing: Easing.linear,
-            useNativeDriver: true,
-          }),
-          Animated.timing(opacity, {
-            toValue: 0.3,
-            duration: fallDuration,
-            useNativeDriver: true,
-          }),
-        ]).start(() => animate()); // Loop continuously
-      };
-      animate();
-    }, delay);
+    let isMounted = true;
+    let timeoutId;
+    const direction = wind.x < 0 ? -1 : 1;
 
-    return () => clearTimeout(timeout);
-  }, []);
+    const burst = () => {
+      if (!isMounted) return;
+
+      // Quick shove, then ease back
+      Animated.sequence([
+        Animated.timing(shift, {
+          toValue: direction * GUST_MARGIN * wind.gust,
+          duration: 400,
+          easing: Easing.out(Easing.quad),
+          useNativeDriver: true,
+        }),
+        Animated.timing(shift, {
+          toValue: 0,
+          duration: 1200,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+      ]).start();
+
+      // Next gust in 2-8 seconds (sooner when gustier)
+      timeoutId = setTimeout(burst, 2000 + Math.random() * (6000 - wind.gust * 4000));
+    };
+    timeoutId = setTimeout(burst, 1500);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(timeoutId);
+      shift.stopAnimation();
+    };
+  }, [wind.gust, wind.x, isActive]);
 
   return (
-    <Animated.View
-      style={[
-        styles.raindrop,
-        {
-          left: startX,
-          transform: [{ translateY }],
-          opacity
-        }
-      ]}
-    />
+    <Animated.View style={[styles.gustLayer, { transform: [{ translateX: shift }] }]}>
+      {children}
+    </Animated.View>
   );
 };
 
+/**
+ * Spreads particle start positions across the gust layer, shifted
+ * upwind so drifting particles still cover the whole screen
+ *
+ * @param {number} drift - Sideways travel (px) over one fall
+ * @returns {number} - Left position within the gust layer
+ */
+const getDriftedStartX = (drift) => {
+  return Math.random() * (PARTICLE_LAYER_WIDTH + Math.abs(drift)) - Math.max(drift, 0);
+};
+
+
+// ----- RAIN ANIMATION -----
+
+/**
+ * Returns drop count, fall duration (ms) and drop length for a rain intensity
+ * Heavier rain has more, faster and longer drops; the count rises from
+ * baseCount to MAX_RAINDROPS (the particle budget may draw fewer)
+ */
+const getRainConfig = (intensity, baseCount) => ({
+  count: Math.round(baseCount + intensity * (MAX_RAINDROPS - baseCount)),
+  duration: 1000 - intensity * 400,
+  length: Math.round(14 + intensity * 20),
+});
+
+/**
+ * Builds raindrop particles for a ParticleField
+ * Each drop falls at its own speed; RAIN_PARTICLES fades it from 0.7 to
+ * 0.3 opacity and tilts it along its wind-blown path
+ *
+ * @param {object} config - { count, duration, length } from getRainConfig
+ * @param {number} drift - Sideways travel (px) over one fall
+ */
+const createRaindrops = ({ count, duration, length }, drift) => {
+  return Array.from({ length: count }, () => {
+    const dropDuration = duration * (0.75 + Math.random() * 0.5);
+    return {
+      x: getDriftedStartX(drift),
+      offset: Math.random() * dropDuration,
+      duration: dropDuration,
+      drift,
+      sway: 0,
+      size: length,
+    };
+  });
+};
+
 /**
  * Rain animation container
- * Renders multiple raindrops across the screen
+ * Renders multiple raindrops across the screen, slanted by the wind
+ *
+ * @param {number} intensity - 0 (drizzle) to 1 (extreme rain)
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
  */
-const RainAnimation = () => {
-  const raindrops = useMemo(() =>
-    Array.from({ length: 100 }, (_, i) => ({
-      id: i,
-      delay: Math.random() * 1000,
-      startX: Math.random() * SCREEN_WIDTH,
-    })),
-  []);
+const RainAnimation = ({
+  intensity = DEFAULT_INTENSITY.precipitation,
+  wind = DEFAULT_INTENSITY.wind,
+}) => {
+  const config = getRainConfig(intensity, 20);
+  const drift = Math.round(wind.x * SCREEN_HEIGHT * RAIN_DRIFT);
+  const raindrops = useMemo(
+    () => createRaindrops(config, drift),
+    [config.count, config.duration, config.length, drift]
+  );
 
   return (
     <View style={styles.animationContainer}>
-      {raindrops.map((drop) => (
-        <Raindrop
-          key={drop.id}
-          delay={drop.delay}
-          startX={drop.startX}
-        />
-      ))}
+      <ParticleField particles={raindrops} {...RAIN_PARTICLES} wind={wind} />
     </View>
   );
 };
@@ -391,9 +845,10 @@ const RainSplash = ({ onComplete }) => {
 const SplashContainer = ({ isRaining }) => {
   const [splashes, setSplashes] = useState([]);
   const splashIdRef = useRef(0);
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
-    if (!isRaining) return;
+    if (!isRaining || !isActive) return;
 
     const interval = setInterval(() => {
       // 60% chance to spawn a splash every 500ms
@@ -404,7 +859,7 @@ const SplashContainer = ({ isRaining }) => {
     }, 500);
 
     return () => clearInterval(interval);
-  }, [isRaining]);
+  }, [isRaining, isActive]);
 
   const removeSplash = (id) => {
     setSplashes(prev => prev.filter(s => s !== id));
@@ -513,22 +968,32 @@ const LightningFlash = ({ onComplete }) => {
 /**
  * Thunderstorm animation container
  * Heavy rain with periodic lightning flashes
+ *
+ * @param {number} intensity - 0 (light) to 1 (heavy thunderstorm rain)
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
+ * @param {boolean} vibrate - Rumble the phone on each strike
  */
-const ThunderstormAnimation = () => {
+const ThunderstormAnimation = ({
+  intensity = DEFAULT_INTENSITY.precipitation,
+  wind = DEFAULT_INTENSITY.wind,
+  vibrate = true,
+}) => {
   const [lightning, setLightning] = useState([]);
   const lightningIdRef = useRef(0);
+  const isActive = useAnimationsActive();
 
   // Rain effect (same as rain animation but heavier)
-  const raindrops = useMemo(() =>
-    Array.from({ length: 120 }, (_, i) => ({
-      id: i,
-      delay: Math.random() * 1000,
-      startX: Math.random() * SCREEN_WIDTH,
-    })),
-  []);
+  const config = getRainConfig(intensity, 40);
+  const drift = Math.round(wind.x * SCREEN_HEIGHT * RAIN_DRIFT);
+  const raindrops = useMemo(
+    () => createRaindrops(config, drift),
+    [config.count, config.duration, config.length, drift]
+  );
 
-  // Lightning effect
+  // Lightning effect (no strikes or vibration while paused)
   useEffect(() => {
+    if (!isActive) return undefined;
+
     let isMounted = true;
     let timeoutId;
 
@@ -540,7 +1005,7 @@ const ThunderstormAnimation = () => {
 
       // Vibrate phone on lightning strike (short rumble like thunder)
       // Pattern: [delay, vibrate, delay, vibrate] in milliseconds
-      Vibration.vibrate([0, 100, 50, 150]);
+      if (vibrate) Vibration.vibrate([0, 100, 50, 150]);
 
       // Schedule next lightning (random interval 2-6 seconds)
       const nextStrike = 2000 + Math.random() * 4000;
@@ -554,8 +1019,9 @@ const ThunderstormAnimation = () => {
     return () => {
       isMounted = false;
       if (timeoutId) clearTimeout(timeoutId);
+      if (vibrate) Vibration.cancel();
     };
-  }, []);
+  }, [vibrate, isActive]);
 
   const removeLightning = (id) => {
     setLightning(prev => prev.filter(l => l !== id));
@@ -564,13 +1030,7 @@ const ThunderstormAnimation = () => {
   return (
     <View style={styles.animationContainer}>
       {/* Heavy rain */}
-      {raindrops.map((drop) => (
-        <Raindrop
-          key={drop.id}
-          delay={drop.delay}
-          startX={drop.startX}
-        />
-      ))}
+      <ParticleField particles={raindrops} {...RAIN_PARTICLES} wind={wind} />
 
       {/* Lightning bolts and flashes */}
       {lightning.map(id => (
@@ -672,9 +1132,10 @@ const SnowPile = ({ onComplete, delay = 0, finalPosition }) => {
 const SnowPileContainer = ({ isSnowing }) => {
   const [snowflakes, setSnowflakes] = useState([]);
   const snowIdRef = useRef(0);
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
-    if (!isSnowing) return;
+    if (!isSnowing || !isActive) return;
 
     const interval = setInterval(() => {
       // 50% chance to spawn a snowflake every 400ms
@@ -687,7 +1148,7 @@ const SnowPileContainer = ({ isSnowing }) => {
     }, 400);
 
     return () => clearInterval(interval);
-  }, [isSnowing]);
+  }, [isSnowing, isActive]);
 
   const removeSnowflake = (id) => {
     setSnowflakes(prev => prev.filter(s => s.id !== id));
@@ -711,96 +1172,42 @@ const SnowPileContainer = ({ isSnowing }) => {
 
 // ----- SNOW ANIMATION -----
 
-/**
- * Individual snowflake component
- * Falls slowly while drifting side-to-side
- */
-const Snowflake = ({ delay, startX, size }) => {
-  const translateY = useRef(new Animated.Value(-50)).current;
-  const translateX = useRef(new Animated.Value(0)).current;
-  const opacity = useRef(new Animated.Value(0.8)).current;
-  const fallDuration = useRef(5000 + Math.random() * 3000).current;
-
-  useEffect(() => {
-    const timeout = setTimeout(() => {
-      const animate = () => {
-        translateY.setValue(-50);
-        translateX.setValue(0);
-        opacity.setValue(0.8);
-
-        // Vertical falling animation
-        Animated.timing(translateY, {
-          toValue: SCREEN_HEIGHT + 50,
-          duration: fallDuration,
-          easing: Easing.linear,
-          useNativeDriver: true,
-        }).start(() => animate());
-
-        // Horizontal drift animation (runs separately)
-        Animated.loop(
-          Animated.sequence([
-            Animated.timing(translateX, {
-              toValue: 25,
-              duration: 1500,
-              easing: Easing.inOut(Easing.sin),
-              useNativeDriver: true,
-            }),
-            Animated.timing(translateX, {
-              toValue: -25,
-              duration: 1500,
-              easing: Easing.inOut(Easing.sin),
-              useNativeDriver: true,
-            }),
-          ])
-        ).start();
-      };
-      animate();
-    }, delay);
-
-    return () => clearTimeout(timeout);
-  }, []);
-
-  return (
-    <Animated.View
-      style={[
-        styles.snowflake,
-        {
-          left: startX,
-          width: size,
-          height: size,
-          borderRadius: size / 2,
-          transform: [{ translateY }, { translateX }],
-          opacity,
-        },
-      ]}
-    />
-  );
-};
-
 /**
  * Snow animation container
  * Renders multiple snowflakes of varying sizes
+ * Heavier snow has more, larger and faster-falling flakes, and the
+ * wind carries them sideways much further than rain
+ *
+ * @param {number} intensity - 0 (flurries) to 1 (heavy snow)
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
  */
-const SnowAnimation = () => {
+const SnowAnimation = ({
+  intensity = DEFAULT_INTENSITY.precipitation,
+  wind = DEFAULT_INTENSITY.wind,
+}) => {
+  const count = Math.round(10 + intensity * 70);
+  const duration = 8500 - intensity * 4000;
+  const maxSize = 4 + intensity * 4;
+  const drift = Math.round(wind.x * SCREEN_WIDTH * SNOW_DRIFT);
+
+  // Flakes sway side to side while they fall and drift with the wind
   const snowflakes = useMemo(() =>
-    Array.from({ length: 45 }, (_, i) => ({
-      id: i,
-      delay: Math.random() * 3000,
-      startX: Math.random() * SCREEN_WIDTH,
-      size: 3 + Math.random() * 6,
-    })),
-  []);
+    Array.from({ length: count }, () => {
+      const flakeDuration = duration * (0.75 + Math.random() * 0.5);
+      return {
+        x: getDriftedStartX(drift),
+        offset: Math.random() * flakeDuration,
+        duration: flakeDuration,
+        drift,
+        sway: 25,
+        size: 3 + Math.random() * maxSize,
+      };
+    }),
+  [count, duration, maxSize, drift]);
 
   return (
     <View style={styles.animationContainer}>
-      {snowflakes.map((flake) => (
-        <Snowflake
-          key={flake.id}
-          delay={flake.delay}
-          startX={flake.startX}
-          size={flake.size}
-        />
-      ))}
+      <ParticleField particles={snowflakes} {...SNOW_PARTICLES} wind={wind} />
     </View>
   );
 };
@@ -812,23 +1219,30 @@ const SnowAnimation = () => {
  * Individual cloud component
  * Drifts horizontally across the screen
  */
-const Cloud = ({ delay, startY, size, speed }) => {
-  const translateX = useRef(new Animated.Value(-200)).current;
+const Cloud = ({ delay, startY, size, speed, peakOpacity = 0.4, direction = 1 }) => {
+  // Enter from the upwind edge (left for direction 1, right for -1)
+  const fromX = direction > 0 ? -200 : SCREEN_WIDTH + 200;
+  const toX = direction > 0 ? SCREEN_WIDTH + 200 : -200;
+  const translateX = useRef(new Animated.Value(fromX)).current;
   const opacity = useRef(new Animated.Value(0)).current;
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
+    if (!isActive) return undefined;
+
     let isMounted = true;
+    let animation;
 
     const animate = () => {
       if (!isMounted) return;
 
-      translateX.setValue(-200);
+      translateX.setValue(fromX);
       opacity.setValue(0);
 
-      Animated.parallel([
+      animation = Animated.parallel([
         // Move across screen
         Animated.timing(translateX, {
-          toValue: SCREEN_WIDTH + 200,
+          toValue: toX,
           duration: speed,
           delay,
           easing: Easing.linear,
@@ -837,7 +1251,7 @@ const Cloud = ({ delay, startY, size, speed }) => {
         // Fade in, hold, fade out
         Animated.sequence([
           Animated.timing(opacity, {
-            toValue: 0.4,
+            toValue: peakOpacity,
             duration: 2000,
             delay,
             useNativeDriver: true
@@ -849,16 +1263,18 @@ const Cloud = ({ delay, startY, size, speed }) => {
             useNativeDriver: true
           }),
         ]),
-      ]).start(() => {
-        if (isMounted) animate();
+      ]);
+      animation.start(({ finished }) => {
+        if (isMounted && finished) animate();
       });
     };
     animate();
 
     return () => {
       isMounted = false;
+      animation.stop();
     };
-  }, []);
+  }, [isActive]);
 
   return (
     <Animated.View
@@ -879,18 +1295,29 @@ const Cloud = ({ delay, startY, size, speed }) => {
 
 /**
  * Cloudy animation container
- * Renders multiple drifting clouds
+ * Renders multiple drifting clouds, more and denser as cover increases
+ * Clouds travel with the wind, faster the stronger it blows
+ *
+ * @param {number} cloudCover - 0 (clear) to 1 (overcast)
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
  */
-const CloudyAnimation = () => {
+const CloudyAnimation = ({
+  cloudCover = DEFAULT_INTENSITY.cloudCover,
+  wind = DEFAULT_INTENSITY.wind,
+}) => {
+  const count = Math.max(1, Math.round(cloudCover * 8));
+  const peakOpacity = 0.2 + cloudCover * 0.3;
+  const direction = wind.x < 0 ? -1 : 1;
+  const speedFactor = Math.round((0.7 + wind.strength * 1.6) * 10) / 10;
   const clouds = useMemo(() =>
-    Array.from({ length: 5 }, (_, i) => ({
-      id: i,
-      delay: i * 4000,
-      startY: 100 + Math.random() * 150,
+    Array.from({ length: count }, (_, i) => ({
+      id: `${i}:${direction}:${speedFactor}`, // Remount clouds when the wind changes
+      delay: i * (20000 / count / speedFactor), // Spread entries over one crossing
+      startY: 100 + Math.random() * (100 + cloudCover * 100),
       size: 120 + Math.random() * 80,
-      speed: 20000 + Math.random() * 10000,
+      speed: (20000 + Math.random() * 10000) / speedFactor,
     })),
-  []);
+  [count, direction, speedFactor]);
 
   return (
     <View style={styles.animationContainer}>
@@ -901,6 +1328,8 @@ const CloudyAnimation = () => {
           startY={cloud.startY}
           size={cloud.size}
           speed={cloud.speed}
+          peakOpacity={peakOpacity}
+          direction={direction}
         />
       ))}
     </View>
@@ -917,8 +1346,11 @@ const CloudyAnimation = () => {
 const SunnyAnimation = () => {
   const glowOpacity = useRef(new Animated.Value(0.4)).current;
   const glowScale = useRef(new Animated.Value(1)).current;
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
+    if (!isActive) return undefined;
+
     const animation = Animated.loop(
       Animated.parallel([
         // Pulse opacity
@@ -959,7 +1391,7 @@ const SunnyAnimation = () => {
     return () => {
       animation.stop();
     };
-  }, []);
+  }, [isActive]);
 
   return (
     <View style={styles.animationContainer}>
@@ -985,8 +1417,11 @@ const SunnyAnimation = () => {
  */
 const Star = ({ x, y, size, delay }) => {
   const opacity = useRef(new Animated.Value(0.1)).current;
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
+    if (!isActive) return undefined;
+
     const animation = Animated.loop(
       Animated.sequence([
         Animated.timing(opacity, {
@@ -1008,7 +1443,7 @@ const Star = ({ x, y, size, delay }) => {
     return () => {
       animation.stop();
     };
-  }, []);
+  }, [isActive]);
 
   return (
     <Animated.View
@@ -1033,8 +1468,11 @@ const Star = ({ x, y, size, delay }) => {
  */
 const NightAnimation = () => {
   const moonGlow = useRef(new Animated.Value(0.2)).current;
+  const isActive = useAnimationsActive();
 
   useEffect(() => {
+    if (!isActive) return undefined;
+
     const animation = Animated.loop(
       Animated.sequence([
         Animated.timing(moonGlow, {
@@ -1057,7 +1495,7 @@ const NightAnimation = () => {
     return () => {
       animation.stop();
     };
-  }, []);
+  }, [isActive]);
 
   const stars = useMemo(() =>
     Array.from({ length: 40 }, (_, i) => ({
@@ -1096,45 +1534,513 @@ const NightAnimation = () => {
 };
 
 
-// ----- QUADRANT SHOWCASE (for landing page) -----
+// ----- ATMOSPHERE ANIMATIONS (7xx: mist, fog, haze, dust, smoke, squall, tornado) -----
 
 /**
- * 6-quadrant weather showcase for the landing page (2 rows x 3 columns)
- * Shows different weather effects in each quadrant
+ * Wide, soft band of fog that drifts slowly back and forth
  */
-const QuadrantShowcase = () => {
-  return (
-    <View style={styles.quadrantContainer}>
-      {/* Top Row */}
-      {/* Top Left - Sunny */}
-      <View style={[styles.quadrant6, styles.quadrantTopLeft6, { backgroundColor: WEATHER_THEMES.sunny.background }]}>
-        <SunnyAnimation />
-      </View>
+const FogBank = ({ top, height, opacity, duration, distance, delay, color }) => {
+  const translateX = useRef(new Animated.Value(-distance)).current;
+  const isActive = useAnimationsActive();
 
-      {/* Top Center - Snow */}
-      <View style={[styles.quadrant6, styles.quadrantTopCenter6, { backgroundColor: WEATHER_THEMES.snow.background }]}>
-        <SnowAnimation />
-      </View>
-
-      {/* Top Right - Rain */}
-      <View style={[styles.quadrant6, styles.quadrantTopRight6, { backgroundColor: WEATHER_THEMES.rain.background }]}>
-        <RainAnimation />
-      </View>
+  useEffect(() => {
+    if (!isActive) return undefined;
 
-      {/* Bottom Row */}
-      {/* Bottom Left - Thunderstorm */}
-      <View style={[styles.quadrant6, styles.quadrantBottomLeft6, { backgroundColor: WEATHER_THEMES.thunderstorm.background }]}>
-        <ThunderstormAnimation />
-      </View>
+    const animation = Animated.loop(
+      Animated.sequence([
+        Animated.timing(translateX, {
+          toValue: distance,
+          duration,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+        Animated.timing(translateX, {
+          toValue: -distance,
+          duration,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+      ])
+    );
+    const timeout = setTimeout(() => animation.start(), delay);
 
-      {/* Bottom Center - Cloudy */}
-      <View style={[styles.quadrant6, styles.quadrantBottomCenter6, { backgroundColor: WEATHER_THEMES.cloudy.background }]}>
-        <CloudyAnimation />
+    return () => {
+      clearTimeout(timeout);
+      animation.stop();
+    };
+  }, [isActive]);
+
+  return (
+    <Animated.View
+      style={[
+        styles.fogBank,
+        {
+          top,
+          height,
+          borderRadius: height / 2,
+          opacity,
+          backgroundColor: color,
+          transform: [{ translateX }],
+        },
+      ]}
+    />
+  );
+};
+
+/**
+ * Fog and mist animation
+ * Stacked fog banks drifting at different speeds; mist uses fewer, fainter banks
+ *
+ * @param {number} density - 0 (thin mist) to 1 (thick fog)
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
+ */
+const FogAnimation = ({ density = 1, wind = DEFAULT_INTENSITY.wind }) => {
+  const count = Math.round(4 + density * 4);
+  const speedFactor = Math.round((0.7 + wind.strength * 1.5) * 10) / 10;
+  const banks = useMemo(() =>
+    Array.from({ length: count }, (_, i) => ({
+      id: `${i}:${speedFactor}`, // Remount banks when the wind changes
+      top: (i / count) * SCREEN_HEIGHT - 40 + Math.random() * 60,
+      height: 120 + Math.random() * 140,
+      opacity: (0.08 + Math.random() * 0.1) * (0.6 + density * 0.6),
+      duration: (14000 + Math.random() * 8000) / speedFactor,
+      distance: 40 + wind.strength * 60 + Math.random() * 30,
+      delay: Math.random() * 2000,
+    })),
+  [count, speedFactor]);
+
+  return (
+    <View style={styles.animationContainer}>
+      {banks.map((bank) => (
+        <FogBank key={bank.id} {...bank} color="#DCE4EB" />
+      ))}
+    </View>
+  );
+};
+
+/**
+ * Full-screen color wash that slowly thickens and thins
+ */
+const HazeTint = ({ color, minOpacity, maxOpacity }) => {
+  const opacity = useRef(new Animated.Value(minOpacity)).current;
+  const isActive = useAnimationsActive();
+
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    const animation = Animated.loop(
+      Animated.sequence([
+        Animated.timing(opacity, {
+          toValue: maxOpacity,
+          duration: 6000,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+        Animated.timing(opacity, {
+          toValue: minOpacity,
+          duration: 6000,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+      ])
+    );
+    animation.start();
+    return () => animation.stop();
+  }, [minOpacity, maxOpacity, isActive]);
+
+  return <Animated.View style={[styles.hazeTint, { backgroundColor: color, opacity }]} />;
+};
+
+/**
+ * Floating particle (dust grain or smoke puff) that drifts, fades in and out,
+ * and starts over from the same spot
+ */
+const Mote = ({ startX, startY, size, color, duration, driftX, driftY, delay, peakOpacity }) => {
+  const translateX = useRef(new Animated.Value(0)).current;
+  const translateY = useRef(new Animated.Value(0)).current;
+  const opacity = useRef(new Animated.Value(0)).current;
+  const isActive = useAnimationsActive();
+
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    let isMounted = true;
+    let animation;
+
+    const timeout = setTimeout(() => {
+      const animate = () => {
+        if (!isMounted) return;
+
+        translateX.setValue(0);
+        translateY.setValue(0);
+        opacity.setValue(0);
+
+        animation = Animated.parallel([
+          Animated.timing(translateX, {
+            toValue: driftX,
+            duration,
+            easing: Easing.linear,
+            useNativeDriver: true,
+          }),
+          Animated.timing(translateY, {
+            toValue: driftY,
+            duration,
+            easing: Easing.out(Easing.quad),
+            useNativeDriver: true,
+          }),
+          Animated.sequence([
+            Animated.timing(opacity, {
+              toValue: peakOpacity,
+              duration: duration * 0.3,
+              useNativeDriver: true,
+            }),
+            Animated.timing(opacity, {
+              toValue: 0,
+              duration: duration * 0.7,
+              useNativeDriver: true,
+            }),
+          ]),
+        ]);
+        animation.start(({ finished }) => {
+          if (finished) animate();
+        });
+      };
+      animate();
+    }, delay);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(timeout);
+      animation?.stop();
+    };
+  }, [isActive]);
+
+  return (
+    <Animated.View
+      style={[
+        styles.mote,
+        {
+          left: startX,
+          top: startY,
+          width: size,
+          height: size,
+          borderRadius: size / 2,
+          backgroundColor: color,
+          transform: [{ translateX }, { translateY }],
+          opacity,
+        },
+      ]}
+    />
+  );
+};
+
+/**
+ * Dust, sand and haze animation
+ * A warm tint with grains blown downwind; haze is the calm, sparse version
+ *
+ * @param {boolean} isHaze - Light haze instead of a dust or sand storm
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
+ */
+const DustAnimation = ({ isHaze = false, wind = DEFAULT_INTENSITY.wind }) => {
+  const count = isHaze ? 12 : 60;
+  const direction = wind.x < 0 ? -1 : 1;
+  const drift = Math.round(direction * SCREEN_WIDTH * (0.3 + wind.strength * (isHaze ? 0.3 : 1)));
+  const motes = useMemo(() =>
+    Array.from({ length: count }, (_, i) => ({
+      id: `${i}:${drift}`, // Remount grains when the wind changes
+      startX: getDriftedStartX(drift),
+      startY: Math.random() * SCREEN_HEIGHT,
+      size: isHaze ? 3 + Math.random() * 4 : 1.5 + Math.random() * 2.5,
+      duration: (isHaze ? 9000 : 4000) + Math.random() * 3000,
+      driftY: -20 + Math.random() * 40,
+      delay: Math.random() * 3000,
+    })),
+  [count, drift]);
+
+  return (
+    <View style={styles.animationContainer}>
+      <HazeTint
+        color={isHaze ? '#F5DEB3' : '#D9A05B'}
+        minOpacity={isHaze ? 0.08 : 0.15}
+        maxOpacity={isHaze ? 0.16 : 0.3}
+      />
+      <GustLayer wind={wind}>
+        {motes.map((mote) => (
+          <Mote
+            key={mote.id}
+            {...mote}
+            driftX={drift}
+            color={isHaze ? '#FFF3E0' : '#E8C48A'}
+            peakOpacity={isHaze ? 0.25 : 0.7}
+          />
+        ))}
+      </GustLayer>
+    </View>
+  );
+};
+
+/**
+ * Smoke and ash animation
+ * A dim brown-grey tint with large soft puffs rising and drifting downwind
+ *
+ * @param {object} wind - { x, strength, gust } from getWindIntensity
+ */
+const SmokeAnimation = ({ wind = DEFAULT_INTENSITY.wind }) => {
+  const drift = Math.round(wind.x * SCREEN_WIDTH * 0.8);
+  const puffs = useMemo(() =>
+    Array.from({ length: 14 }, (_, i) => ({
+      id: `${i}:${drift}`, // Remount puffs when the wind changes
+      startX: getDriftedStartX(drift),
+      startY: SCREEN_HEIGHT * (0.5 + Math.random() * 0.5),
+      size: 40 + Math.random() * 60,
+      duration: 10000 + Math.random() * 6000,
+      driftY: -SCREEN_HEIGHT * (0.3 + Math.random() * 0.3),
+      delay: Math.random() * 6000,
+    })),
+  [drift]);
+
+  return (
+    <View style={styles.animationContainer}>
+      <HazeTint color="#5D4E44" minOpacity={0.2} maxOpacity={0.35} />
+      <GustLayer wind={wind}>
+        {puffs.map((puff) => (
+          <Mote key={puff.id} {...puff} driftX={drift} color="#A1887F" peakOpacity={0.18} />
+        ))}
+      </GustLayer>
+    </View>
+  );
+};
+
+/**
+ * Squall animation
+ * Fast low clouds and wind-driven rain, always at gale strength and fully gusty
+ *
+ * @param {object} wind - { x, strength, gust } from getWindIntensity (for the direction)
+ */
+const SquallAnimation = ({ wind = DEFAULT_INTENSITY.wind }) => {
+  const direction = wind.x < 0 ? -1 : 1;
+  const squallWind = {
+    x: direction * Math.max(Math.abs(wind.x), 0.8),
+    strength: Math.max(wind.strength, 0.8),
+    gust: 1,
+  };
+
+  return (
+    <>
+      <CloudyAnimation cloudCover={0.9} wind={squallWind} />
+      <RainAnimation intensity={0.35} wind={squallWind} />
+    </>
+  );
+};
+
+/**
+ * Tornado animation
+ * A swaying funnel of spinning rings under a dark, greenish tint,
+ * with debris whirling around its base
+ */
+const TornadoAnimation = () => {
+  const sway = useRef(new Animated.Value(-1)).current;
+  const spin = useRef(new Animated.Value(0)).current;
+  const isActive = useAnimationsActive();
+
+  // Rings from the cloud base (wide) down to the ground (narrow)
+  const rings = useMemo(() =>
+    Array.from({ length: 10 }, (_, i) => ({
+      id: i,
+      width: 220 - i * 19,
+      top: 90 + i * 34,
+      lean: i / 9, // Lower rings swing further
+    })),
+  []);
+
+  const debris = useMemo(() =>
+    Array.from({ length: 16 }, (_, i) => ({
+      id: i,
+      startX: SCREEN_WIDTH / 2 - 40 + Math.random() * 80,
+      startY: 420 + Math.random() * 40,
+      size: 2 + Math.random() * 3,
+      duration: 1500 + Math.random() * 1500,
+      driftX: (Math.random() < 0.5 ? -1 : 1) * (40 + Math.random() * 80),
+      driftY: -40 - Math.random() * 120,
+      delay: Math.random() * 2000,
+    })),
+  []);
+
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    const swayAnimation = Animated.loop(
+      Animated.sequence([
+        Animated.timing(sway, {
+          toValue: 1,
+          duration: 3000,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+        Animated.timing(sway, {
+          toValue: -1,
+          duration: 3000,
+          easing: Easing.inOut(Easing.sin),
+          useNativeDriver: true,
+        }),
+      ])
+    );
+    const spinAnimation = Animated.loop(
+      Animated.timing(spin, {
+        toValue: 1,
+        duration: 900,
+        easing: Easing.linear,
+        useNativeDriver: true,
+      })
+    );
+    swayAnimation.start();
+    spinAnimation.start();
+
+    return () => {
+      swayAnimation.stop();
+      spinAnimation.stop();
+    };
+  }, [isActive]);
+
+  // Rings squeeze and widen as they spin
+  const ringScale = spin.interpolate({
+    inputRange: [0, 0.5, 1],
+    outputRange: [1, 0.82, 1],
+  });
+
+  return (
+    <View style={styles.animationContainer}>
+      <HazeTint color="#3E4A2E" minOpacity={0.2} maxOpacity={0.35} />
+      {rings.map((ring) => (
+        <Animated.View
+          key={ring.id}
+          style={[
+            styles.tornadoRing,
+            {
+              top: ring.top,
+              left: (SCREEN_WIDTH - ring.width) / 2,
+              width: ring.width,
+              transform: [
+                { translateX: Animated.multiply(sway, 30 * ring.lean) },
+                { scaleX: ringScale },
+              ],
+            },
+          ]}
+        />
+      ))}
+      {debris.map((piece) => (
+        <Mote key={piece.id} {...piece} color="#8D7B68" peakOpacity={0.8} />
+      ))}
+    </View>
+  );
+};
+
+
+// ----- STATIC SCENES (reduce motion) -----
+
+/**
+ * Motionless stand-in for a weather animation
+ * A soft gradient in the weather's colors, plus the sun or the moon and
+ * stars for clear skies. Nothing moves, flashes or vibrates.
+ */
+const StaticWeatherScene = ({ weatherType }) => {
+  const colors = SCENE_GRADIENTS[weatherType] || SCENE_GRADIENTS.default;
+
+  const stars = useMemo(() =>
+    Array.from({ length: weatherType === 'night' ? 25 : 0 }, (_, i) => ({
+      id: i,
+      left: Math.random() * SCREEN_WIDTH,
+      top: Math.random() * (SCREEN_HEIGHT * 0.6),
+      size: 1.5 + Math.random() * 2,
+      opacity: 0.3 + Math.random() * 0.5,
+    })),
+  [weatherType]);
+
+  return (
+    <View style={styles.animationContainer}>
+      <LinearGradient colors={colors} style={StyleSheet.absoluteFill} />
+
+      {weatherType === 'sunny' && <View style={[styles.sunGlow, styles.staticSunGlow]} />}
+
+      {weatherType === 'night' && (
+        <>
+          {stars.map((star) => (
+            <View
+              key={star.id}
+              style={[
+                styles.star,
+                {
+                  left: star.left,
+                  top: star.top,
+                  width: star.size,
+                  height: star.size,
+                  borderRadius: star.size / 2,
+                  opacity: star.opacity,
+                },
+              ]}
+            />
+          ))}
+          <View style={styles.moonContainer}>
+            <View style={[styles.moonGlow, styles.staticMoonGlow]} />
+            <View style={styles.moon}>
+              <View style={styles.moonCrater1} />
+              <View style={styles.moonCrater2} />
+              <View style={styles.moonCrater3} />
+            </View>
+          </View>
+        </>
+      )}
+    </View>
+  );
+};
+
+
+// ----- QUADRANT SHOWCASE (for landing page) -----
+
+/**
+ * 6-quadrant weather showcase for the landing page (2 rows x 3 columns)
+ * Shows different weather effects in each quadrant
+ *
+ * @param {boolean} vibrate - Let the thunderstorm quadrant vibrate the phone
+ * @param {boolean} isStatic - Show static scenes instead of animations (reduce motion)
+ */
+const QuadrantShowcase = ({ vibrate, isStatic = false }) => {
+  const scene = (weatherType, animation) => (
+    isStatic ? <StaticWeatherScene weatherType={weatherType} /> : animation
+  );
+
+  return (
+    <View style={styles.quadrantContainer}>
+      {/* Top Row */}
+      {/* Top Left - Sunny */}
+      <View style={[styles.quadrant6, styles.quadrantTopLeft6, { backgroundColor: WEATHER_THEMES.sunny.background }]} {...DECORATIVE}>
+        {scene('sunny', <SunnyAnimation />)}
+      </View>
+
+      {/* Top Center - Snow */}
+      <View style={[styles.quadrant6, styles.quadrantTopCenter6, { backgroundColor: WEATHER_THEMES.snow.background }]} {...DECORATIVE}>
+        {scene('snow', <SnowAnimation />)}
+      </View>
+
+      {/* Top Right - Rain */}
+      <View style={[styles.quadrant6, styles.quadrantTopRight6, { backgroundColor: WEATHER_THEMES.rain.background }]} {...DECORATIVE}>
+        {scene('rain', <RainAnimation />)}
+      </View>
+
+      {/* Bottom Row */}
+      {/* Bottom Left - Thunderstorm */}
+      <View style={[styles.quadrant6, styles.quadrantBottomLeft6, { backgroundColor: WEATHER_THEMES.thunderstorm.background }]} {...DECORATIVE}>
+        {scene('thunderstorm', <ThunderstormAnimation vibrate={vibrate} />)}
+      </View>
+
+      {/* Bottom Center - Cloudy */}
+      <View style={[styles.quadrant6, styles.quadrantBottomCenter6, { backgroundColor: WEATHER_THEMES.cloudy.background }]} {...DECORATIVE}>
+        {scene('cloudy', <CloudyAnimation />)}
       </View>
 
       {/* Bottom Right - Night */}
-      <View style={[styles.quadrant6, styles.quadrantBottomRight6, { backgroundColor: WEATHER_THEMES.night.background }]}>
-        <NightAnimation />
+      <View style={[styles.quadrant6, styles.quadrantBottomRight6, { backgroundColor: WEATHER_THEMES.night.background }]} {...DECORATIVE}>
+        {scene('night', <NightAnimation />)}
       </View>
 
       {/* Center overlay with app title */}
@@ -1145,7 +2051,7 @@ const QuadrantShowcase = () => {
         <View style={styles.cornerAccent3} />
         <View style={styles.cornerAccent4} />
 
-        <Text style={styles.showcaseTitle}>Worldwide Weather</Text>
+        <Text style={styles.showcaseTitle} accessibilityRole="header">Worldwide Weather</Text>
         <View style={styles.showcaseDivider} />
         <Text style={styles.showcaseSubtitle}>Search for a city to get started</Text>
       </View>
@@ -1159,23 +2065,52 @@ const QuadrantShowcase = () => {
 /**
  * Selects and renders the appropriate weather animation
  * based on the current weather type
+ *
+ * @param {object} intensity - { precipitation, cloudCover } from getWeatherIntensity
+ * @param {boolean} vibrate - Let thunderstorms vibrate the phone
+ * @param {boolean} reduceMotion - Draw static scenes (no motion, flashes or vibration)
  */
-const WeatherAnimation = ({ weatherType, showQuadrantShowcase }) => {
+const WeatherAnimation = ({
+  weatherType,
+  showQuadrantShowcase,
+  intensity = DEFAULT_INTENSITY,
+  vibrate = true,
+  reduceMotion = false,
+}) => {
   // Show 6-quadrant showcase on initial load
   if (showQuadrantShowcase) {
-    return <QuadrantShowcase />;
+    return <QuadrantShowcase vibrate={vibrate && !reduceMotion} isStatic={reduceMotion} />;
   }
 
   // Normal single weather animation
-  switch (weatherType) {
-    case 'thunderstorm': return <ThunderstormAnimation />;
-    case 'rain':         return <RainAnimation />;
-    case 'snow':         return <SnowAnimation />;
-    case 'cloudy':       return <CloudyAnimation />;
-    case 'sunny':        return <SunnyAnimation />;
-    case 'night':        return <NightAnimation />;
-    default:             return null;
-  }
+  const renderAnimation = () => {
+    if (reduceMotion) return <StaticWeatherScene weatherType={weatherType} />;
+
+    switch (weatherType) {
+      case 'thunderstorm':
+        return <ThunderstormAnimation intensity={intensity.precipitation} wind={intensity.wind} vibrate={vibrate} />;
+      case 'rain':         return <RainAnimation intensity={intensity.precipitation} wind={intensity.wind} />;
+      case 'snow':         return <SnowAnimation intensity={intensity.precipitation} wind={intensity.wind} />;
+      case 'cloudy':       return <CloudyAnimation cloudCover={intensity.cloudCover} wind={intensity.wind} />;
+      case 'sunny':        return <SunnyAnimation />;
+      case 'night':        return <NightAnimation />;
+      case 'mist':         return <FogAnimation density={0.4} wind={intensity.wind} />;
+      case 'fog':          return <FogAnimation density={1} wind={intensity.wind} />;
+      case 'haze':         return <DustAnimation isHaze wind={intensity.wind} />;
+      case 'dust':         return <DustAnimation wind={intensity.wind} />;
+      case 'smoke':        return <SmokeAnimation wind={intensity.wind} />;
+      case 'squall':       return <SquallAnimation wind={intensity.wind} />;
+      case 'tornado':      return <TornadoAnimation />;
+      default:             return null;
+    }
+  };
+
+  // Purely decorative, so screen readers skip it
+  return (
+    <View style={styles.animationContainer} {...DECORATIVE}>
+      {renderAnimation()}
+    </View>
+  );
 };
 
 
@@ -1261,8 +2196,8 @@ const ForecastIcon = ({ condition, iconCode }) => {
     );
   }
 
-  // Mist, Fog, Haze, Smoke, Dust
-  if (['mist', 'fog', 'haze', 'smoke', 'dust'].includes(conditionLower)) {
+  // Mist, Fog
+  if (['mist', 'fog'].includes(conditionLower)) {
     return (
       <View style={styles.customIcon}>
         <View style={styles.miniMist}>
@@ -1274,6 +2209,73 @@ const ForecastIcon = ({ condition, iconCode }) => {
     );
   }
 
+  // Haze - pale sun behind haze lines
+  if (conditionLower === 'haze') {
+    return (
+      <View style={styles.customIcon}>
+        <View style={styles.miniHazeSun} />
+        <View style={[styles.miniMist, styles.miniHazeLines]}>
+          <View style={[styles.miniMistLine, styles.miniHazeLine]} />
+          <View style={[styles.miniMistLine, styles.miniHazeLine, { width: 22, marginTop: 5 }]} />
+        </View>
+      </View>
+    );
+  }
+
+  // Dust, Sand - warm lines with grains
+  if (['dust', 'sand'].includes(conditionLower)) {
+    return (
+      <View style={styles.customIcon}>
+        <View style={styles.miniMist}>
+          <View style={[styles.miniMistLine, styles.miniDustLine]} />
+          <View style={[styles.miniMistLine, styles.miniDustLine, { width: 22, marginTop: 5, marginLeft: 6 }]} />
+          <View style={[styles.miniMistLine, styles.miniDustLine, { width: 16, marginTop: 5 }]} />
+        </View>
+        <View style={[styles.miniDustGrain, { top: 8, right: 6 }]} />
+        <View style={[styles.miniDustGrain, { bottom: 9, left: 5 }]} />
+        <View style={[styles.miniDustGrain, { top: 14, left: 3 }]} />
+      </View>
+    );
+  }
+
+  // Smoke, Ash - rising grey puffs
+  if (['smoke', 'ash'].includes(conditionLower)) {
+    return (
+      <View style={styles.customIcon}>
+        <View style={[styles.miniSmokePuff, { width: 14, height: 14, borderRadius: 7, bottom: 6, left: 8 }]} />
+        <View style={[styles.miniSmokePuff, { width: 12, height: 12, borderRadius: 6, bottom: 15, left: 16 }]} />
+        <View style={[styles.miniSmokePuff, { width: 10, height: 10, borderRadius: 5, bottom: 24, left: 22, opacity: 0.6 }]} />
+      </View>
+    );
+  }
+
+  // Squall - wind streaks
+  if (conditionLower === 'squall') {
+    return (
+      <View style={styles.customIcon}>
+        <View style={styles.miniSquall}>
+          <View style={[styles.miniSquallLine, { width: 26 }]} />
+          <View style={[styles.miniSquallLine, { width: 18, marginLeft: 8 }]} />
+          <View style={[styles.miniSquallLine, { width: 22, marginLeft: 2 }]} />
+        </View>
+      </View>
+    );
+  }
+
+  // Tornado - narrowing funnel
+  if (conditionLower === 'tornado') {
+    return (
+      <View style={styles.customIcon}>
+        {[28, 22, 16, 11, 6].map((width, index) => (
+          <View
+            key={width}
+            style={[styles.miniTornadoBar, { width, marginLeft: index * 2 }]}
+          />
+        ))}
+      </View>
+    );
+  }
+
   // Fallback to API icon
   return (
     <Image
@@ -1285,551 +2287,2460 @@ const ForecastIcon = ({ condition, iconCode }) => {
 
 
 // ============================================================================
-// MAIN APP COMPONENT
+// HOURLY CHART COMPONENT
 // ============================================================================
 
-export default function App() {
-  // ----- STATE -----
-  const [city, setCity] = useState('');
-  const [weather, setWeather] = useState(null);
-  const [forecast, setForecast] = useState([]);
-  const [oneCallData, setOneCallData] = useState(null); // UV, hourly, minutely, alerts
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [weatherType, setWeatherType] = useState('default');
-  const [isCelsius, setIsCelsius] = useState(false);
-  const [hasLoadedWeather, setHasLoadedWeather] = useState(false); // Track if any weather has been loaded
+/**
+ * Hourly temperature and precipitation chart
+ * A smooth temperature curve with feels-like as a dashed second line,
+ * over bars for the chance (faint) and amount (solid) of precipitation.
+ * Dragging across the chart reads out the exact values for any hour.
+ *
+ * @param {object[]} hours - Hourly entries in the One Call shape
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @param {object} units - Display units from getDisplayUnits
+ * @param {string} timeFormat - '12h' or '24h'
+ * @param {string} accent - Theme accent color for the lines and bars
+ * @param {function} describeHour - Screen reader summary of (hour, index)
+ */
+const HourlyChart = ({ hours, timezoneOffset, units, timeFormat, accent, describeHour }) => {
+  const [width, setWidth] = useState(0);
+  const [selected, setSelected] = useState(null); // Index of the hour being inspected
+  const touchStartRef = useRef(0); // x where the current drag started
+
+  const chart = useMemo(
+    () => (width > 0 ? getHourlyChartLayout(hours, { width, ...HOURLY_CHART }) : null),
+    [hours, width]
+  );
+  const barTop = HOURLY_CHART.curveHeight + HOURLY_CHART.barGap;
+  const barWidth = chart ? Math.max(chart.step * 0.6, 2) : 0;
+
+  /**
+   * Selects the hour nearest to x (px from the chart's left edge)
+   */
+  const selectAt = (x) => {
+    if (!chart || chart.step === 0) return;
+    const index = Math.round((x - HOURLY_CHART.padding) / chart.step);
+    setSelected(Math.min(Math.max(index, 0), hours.length - 1));
+  };
+
+  // Scrubbing: horizontal drags only, so the page still scrolls and swipes over the chart
+  const panResponder = useMemo(() => PanResponder.create({
+    onMoveShouldSetPanResponder: (_, gesture) => Math.abs(gesture.dx) > Math.abs(gesture.dy),
+    onPanResponderGrant: (event, gesture) => {
+      touchStartRef.current = event.nativeEvent.locationX - gesture.dx;
+      selectAt(event.nativeEvent.locationX);
+    },
+    onPanResponderMove: (_, gesture) => selectAt(touchStartRef.current + gesture.dx),
+    onPanResponderRelease: () => setSelected(null),
+    onPanResponderTerminate: () => setSelected(null),
+  }), [chart]);
+
+  // Screen readers step through the hours with swipe up / down
+  const handleAccessibilityAction = (event) => {
+    const current = selected ?? 0;
+    const offset = event.nativeEvent.actionName === 'increment' ? 1 : -1;
+    setSelected(Math.min(Math.max(current + offset, 0), hours.length - 1));
+  };
+
+  const hour = selected !== null ? hours[selected] : null;
+  const point = selected !== null && chart ? chart.points[selected] : null;
+
+  return (
+    <View>
+      {/* Readout for the inspected hour, otherwise the legend */}
+      <View style={styles.hourlyChartReadout}>
+        {hour ? (
+          <Text style={styles.hourlyChartReadoutText}>
+            <Text style={[styles.hourlyChartReadoutTime, { color: accent }]}>
+              {formatHour(hour.dt, timezoneOffset, selected === 0, timeFormat)}
+            </Text>
+            {`  ${convertTemperature(hour.temp, units.temperature)}°`}
+            {` · feels ${convertTemperature(hour.feels_like ?? hour.temp, units.temperature)}°`}
+            {` · ${Math.round((hour.pop || 0) * 100)}%`}
+            {` · ${formatPrecipitation(getHourlyPrecipitation(hour), units.precipitation)}`}
+          </Text>
+        ) : (
+          <View style={styles.hourlyChartLegend} {...DECORATIVE}>
+            <View style={[styles.hourlyChartLegendLine, { backgroundColor: accent }]} />
+            <Text style={styles.hourlyChartLegendText}>Temp</Text>
+            <View style={[styles.hourlyChartLegendLine, styles.hourlyChartLegendDashed, { borderColor: accent }]} />
+            <Text style={styles.hourlyChartLegendText}>Feels like</Text>
+            <View style={[styles.hourlyChartLegendSwatch, { backgroundColor: accent, opacity: 0.3 }]} />
+            <Text style={styles.hourlyChartLegendText}>Chance</Text>
+            <View style={[styles.hourlyChartLegendSwatch, { backgroundColor: accent }]} />
+            <Text style={styles.hourlyChartLegendText}>Amount</Text>
+          </View>
+        )}
+      </View>
+
+      {/* Chart (the SVG ignores touches so drag positions are relative to this view) */}
+      <View
+        style={styles.hourlyChartArea}
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+        accessible
+        accessibilityRole="adjustable"
+        accessibilityLabel="Hourly temperature and precipitation chart"
+        accessibilityValue={{ text: describeHour(hours[selected ?? 0], selected ?? 0) }}
+        accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+        onAccessibilityAction={handleAccessibilityAction}
+        {...panResponder.panHandlers}
+      >
+        {chart && (
+          <Svg width={width} height={HOURLY_CHART_HEIGHT} pointerEvents="none">
+            {/* Precipitation: chance behind, amount in front */}
+            {chart.bars.map((bar, index) => (
+              <Rect
+                key={`pop${index}`}
+                x={chart.points[index].x - barWidth / 2}
+                y={barTop + HOURLY_CHART.barHeight - bar.popHeight}
+                width={barWidth}
+                height={bar.popHeight}
+                rx={1.5}
+                fill={accent}
+                fillOpacity={0.3}
+              />
+            ))}
+            {chart.bars.map((bar, index) => (
+              <Rect
+                key={`rain${index}`}
+                x={chart.points[index].x - barWidth / 4}
+                y={barTop + HOURLY_CHART.barHeight - bar.rainHeight}
+                width={barWidth / 2}
+                height={bar.rainHeight}
+                rx={1}
+                fill={accent}
+              />
+            ))}
+
+            {/* Temperature curves */}
+            <Path
+              d={chart.feelsPath}
+              stroke={accent}
+              strokeOpacity={0.55}
+              strokeWidth={1.5}
+              strokeDasharray="4 4"
+              fill="none"
+            />
+            <Path d={chart.tempPath} stroke={accent} strokeWidth={2.5} fill="none" />
+
+            {/* Scrub cursor */}
+            {point && (
+              <>
+                <Line
+                  x1={point.x}
+                  x2={point.x}
+                  y1={0}
+                  y2={HOURLY_CHART_HEIGHT}
+                  stroke="rgba(255,255,255,0.35)"
+                  strokeWidth={1}
+                />
+                <Circle cx={point.x} cy={point.feelsY} r={3} fill="none" stroke={accent} strokeWidth={1.5} />
+                <Circle cx={point.x} cy={point.tempY} r={4.5} fill={accent} stroke="#fff" strokeWidth={1.5} />
+              </>
+            )}
+          </Svg>
+        )}
+
+        {/* Temperature range */}
+        {chart && (
+          <>
+            <Text style={[styles.hourlyChartAxis, styles.hourlyChartAxisTop]}>
+              {convertTemperature(chart.tempRange.max, units.temperature)}°
+            </Text>
+            <Text style={[styles.hourlyChartAxis, styles.hourlyChartAxisBottom]}>
+              {convertTemperature(chart.tempRange.min, units.temperature)}°
+            </Text>
+          </>
+        )}
+      </View>
+
+      {/* Time labels */}
+      <View style={styles.hourlyChartLabels} {...DECORATIVE}>
+        {chart && hours.map((entry, index) => index % HOURLY_CHART_LABEL_EVERY === 0 && (
+          <Text
+            key={entry.dt}
+            style={[
+              styles.hourlyChartLabel,
+              { left: Math.min(Math.max(chart.points[index].x - 24, 0), width - 48) },
+            ]}
+          >
+            {formatHour(entry.dt, timezoneOffset, index === 0, timeFormat)}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+
+// ============================================================================
+// NOWCAST COMPONENT
+// ============================================================================
+
+/**
+ * Minute-by-minute precipitation for the next hour
+ * Bars sit on a banded scale where light, moderate and heavy each take a
+ * third of the height, with dashed markers where precipitation starts and
+ * stops. Tapping or dragging reads out a minute; tapping it again clears it.
+ *
+ * @param {object[]} minutes - Upcoming minute steps (see getUpcomingMinutes)
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @param {object} units - Display units from getDisplayUnits
+ * @param {string} timeFormat - '12h' or '24h'
+ * @param {string} accent - Theme accent color for the bars
+ * @param {function} describeMinute - Screen reader summary of (minute, index)
+ */
+const NowcastChart = ({ minutes, timezoneOffset, units, timeFormat, accent, describeMinute }) => {
+  const [width, setWidth] = useState(0);
+  const [selected, setSelected] = useState(null); // Index of the minute being inspected
+  const dragStartRef = useRef(0); // x where the current drag started
+
+  const step = minutes.length > 0 ? width / minutes.length : 0;
+  const barWidth = Math.max(step - 1, 1);
+
+  // Start and stop markers (minute indexes)
+  const markers = useMemo(() => {
+    const event = getNowcastEvent(minutes);
+    if (event?.type === 'stops') return [event.minutes];
+    if (event?.type !== 'starts') return [];
+    return event.duration ? [event.minutes, event.minutes + event.duration] : [event.minutes];
+  }, [minutes]);
+
+  /**
+   * Index of the minute under x (px from the chart's left edge)
+   */
+  const indexAt = (x) => Math.min(Math.max(Math.floor(x / step), 0), minutes.length - 1);
+
+  // Drag to inspect: horizontal drags only, so the page still scrolls and swipes over the chart
+  const panResponder = useMemo(() => PanResponder.create({
+    onMoveShouldSetPanResponder: (_, gesture) => step > 0 && Math.abs(gesture.dx) > Math.abs(gesture.dy),
+    onPanResponderGrant: (event, gesture) => {
+      dragStartRef.current = event.nativeEvent.locationX - gesture.dx;
+      setSelected(indexAt(event.nativeEvent.locationX));
+    },
+    onPanResponderMove: (_, gesture) => setSelected(indexAt(dragStartRef.current + gesture.dx)),
+    onPanResponderTerminate: () => setSelected(null),
+  }), [step, minutes.length]);
+
+  // Tap to inspect; tapping the inspected minute again clears it
+  const handlePress = (event) => {
+    if (step === 0) return;
+    const index = indexAt(event.nativeEvent.locationX);
+    setSelected(index === selected ? null : index);
+  };
+
+  // Screen readers step through the minutes with swipe up / down
+  const handleAccessibilityAction = (event) => {
+    const current = selected ?? 0;
+    const offset = event.nativeEvent.actionName === 'increment' ? 1 : -1;
+    setSelected(Math.min(Math.max(current + offset, 0), minutes.length - 1));
+  };
+
+  const minute = (selected !== null && minutes[selected]) || null;
+  const selectedBand = minute && getPrecipitationBand(minute.precipitation);
+
+  return (
+    <View>
+      {/* Readout for the inspected minute, otherwise the band legend */}
+      <View style={styles.hourlyChartReadout}>
+        {minute ? (
+          <Text style={styles.hourlyChartReadoutText}>
+            <Text style={[styles.hourlyChartReadoutTime, { color: accent }]}>
+              {selected === 0 ? 'Now' : formatTime(minute.dt, timezoneOffset, timeFormat)}
+            </Text>
+            {selectedBand
+              ? `  ${formatPrecipitation(minute.precipitation, units.precipitation)}/h · ${NOWCAST_BANDS[selectedBand].label}`
+              : '  Dry'}
+          </Text>
+        ) : (
+          <View style={styles.hourlyChartLegend} {...DECORATIVE}>
+            {Object.entries(NOWCAST_BANDS).map(([key, band]) => (
+              <View key={key} style={styles.nowcastLegendItem}>
+                <View style={[styles.hourlyChartLegendSwatch, { backgroundColor: accent, opacity: NOWCAST_BAND_OPACITY[key] }]} />
+                <Text style={styles.hourlyChartLegendText}>
+                  {key === 'light' ? band.label : `${band.label} ≥${formatPrecipitation(band.min, units.precipitation)}/h`}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+
+      {/* Chart (the SVG ignores touches so tap positions are relative to the pressable) */}
+      <View
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+        accessible
+        accessibilityRole="adjustable"
+        accessibilityLabel="Precipitation by minute for the next hour"
+        accessibilityValue={{ text: describeMinute(minutes[selected ?? 0], selected ?? 0) }}
+        accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+        onAccessibilityAction={handleAccessibilityAction}
+        {...panResponder.panHandlers}
+      >
+        <Pressable style={styles.nowcastArea} onPress={handlePress} accessible={false}>
+          {width > 0 && (
+            <Svg width={width} height={NOWCAST_CHART.height} pointerEvents="none">
+              {/* Band boundaries */}
+              {[1, 2].map((line) => (
+                <Line
+                  key={line}
+                  x1={0}
+                  x2={width}
+                  y1={(NOWCAST_CHART.height * line) / 3}
+                  y2={(NOWCAST_CHART.height * line) / 3}
+                  stroke="rgba(255,255,255,0.15)"
+                  strokeWidth={1}
+                  strokeDasharray="3 3"
+                />
+              ))}
+
+              {/* One bar per minute, a faint stub when dry */}
+              {minutes.map((entry, index) => {
+                const band = getPrecipitationBand(entry.precipitation);
+                const height = Math.max(getNowcastBarHeight(entry.precipitation) * NOWCAST_CHART.height, 2);
+                return (
+                  <Rect
+                    key={entry.dt}
+                    x={index * step}
+                    y={NOWCAST_CHART.height - height}
+                    width={barWidth}
+                    height={height}
+                    rx={1}
+                    fill={band ? accent : '#fff'}
+                    fillOpacity={band ? NOWCAST_BAND_OPACITY[band] : 0.12}
+                  />
+                );
+              })}
+
+              {/* Start / stop markers */}
+              {markers.map((index) => (
+                <Line
+                  key={`marker${index}`}
+                  x1={index * step}
+                  x2={index * step}
+                  y1={0}
+                  y2={NOWCAST_CHART.height}
+                  stroke="#fff"
+                  strokeOpacity={0.6}
+                  strokeWidth={1}
+                  strokeDasharray="2 3"
+                />
+              ))}
+
+              {/* Inspected minute */}
+              {minute && (
+                <Rect
+                  x={selected * step - 0.5}
+                  y={0}
+                  width={barWidth + 1}
+                  height={NOWCAST_CHART.height}
+                  fill="#fff"
+                  fillOpacity={0.15}
+                  stroke="#fff"
+                  strokeOpacity={0.5}
+                  strokeWidth={1}
+                />
+              )}
+            </Svg>
+          )}
+
+          {/* Band names, top of each band */}
+          {width > 0 && ['heavy', 'moderate', 'light'].map((key, index) => (
+            <Text
+              key={key}
+              style={[styles.hourlyChartAxis, { top: (NOWCAST_CHART.height * index) / 3 }]}
+              {...DECORATIVE}
+            >
+              {NOWCAST_BANDS[key].label}
+            </Text>
+          ))}
+        </Pressable>
+      </View>
+
+      {/* Time labels */}
+      <View style={styles.hourlyChartLabels} {...DECORATIVE}>
+        {width > 0 && minutes.map((entry, index) => index % NOWCAST_CHART.labelEvery === 0 && (
+          <Text
+            key={entry.dt}
+            style={[
+              styles.nowcastLabel,
+              {
+                left: Math.min(
+                  Math.max(index * step - NOWCAST_CHART.labelWidth / 2, 0),
+                  width - NOWCAST_CHART.labelWidth
+                ),
+                textAlign: index === 0 ? 'left' : 'center',
+              },
+            ]}
+          >
+            {index === 0 ? 'Now' : formatTime(entry.dt, timezoneOffset, timeFormat)}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+
+// ============================================================================
+// WEATHER PAGE COMPONENTS
+// ============================================================================
+
+/**
+ * Full-screen weather page for one location
+ * Draws its own themed background and animation behind the scrolling content
+ *
+ * @param {object} weatherState - State returned by useWeather
+ * @param {object} settings - User settings (units, time format, animations, vibration)
+ * @param {boolean} showAnimation - Render the background animation (off for far-away pages)
+ * @param {boolean} isVisible - Page is on screen with the app in the foreground (animations run)
+ * @param {boolean} reduceMotion - Static scenes instead of animations, no card effects or vibration
+ * @param {function} renderHeader - Renders the shared header for this page's theme
+ * @param {boolean} isSaved - Whether the location is in the saved list
+ * @param {function} onToggleSaved - Adds or removes the location from the saved list
+ * @param {function} onErrorAction - Runs an ERROR_DETAILS action for this page
+ * @param {object} dismissedAlerts - Dismissed alerts map (see storage/dismissedAlerts)
+ * @param {function} onDismissAlert - Hides an alert until it changes
+ * @param {function} onRestoreAlert - Shows a dismissed alert again
+ * @param {object[]} thresholdRules - The location's custom alert rules (see utils/rules)
+ * @param {function} onChangeRules - Replaces the location's rules
+ */
+const WeatherPage = ({
+  weatherState,
+  settings,
+  showAnimation = true,
+  isVisible = true,
+  reduceMotion = false,
+  renderHeader,
+  isSaved = false,
+  onToggleSaved,
+  onErrorAction,
+  dismissedAlerts = {},
+  onDismissAlert,
+  onRestoreAlert,
+  thresholdRules = [],
+  onChangeRules,
+}) => {
+  const {
+    weather, forecast, oneCallData, loading, error, hasLoadedWeather, isStale, retryAttempt,
+  } = weatherState;
+  const [now, setNow] = useState(Date.now()); // Drives the "last updated" badge and summary
+  const statsVisibility = useScrollVisibility(); // Stat card effects pause once scrolled away
+  const [selectedDate, setSelectedDate] = useState(null); // Forecast day shown in the detail sheet
+  const [selectedAlertId, setSelectedAlertId] = useState(null); // Alert shown in the detail sheet
+  const [showDismissedAlerts, setShowDismissedAlerts] = useState(false);
+  const [isEditingRules, setIsEditingRules] = useState(false);
+
+  // ----- DERIVED VALUES -----
+  const weatherType = useMemo(() => getWeatherType(weather), [weather]);
+  const intensity = useMemo(() => getWeatherIntensity(weather), [weather]);
+  const selectedDay = forecast.find((day) => day.date === selectedDate) || null;
+
+  // Alerts most severe first; expired ones (e.g., from the offline cache) are left out
+  const alerts = useMemo(() => sortAlerts(
+    (oneCallData?.alerts || []).filter((alert) => getAlertCountdown(alert, now).status !== 'expired')
+  ), [oneCallData, now]);
+  const dismissedAlertCount = alerts.filter((alert) => isAlertDismissed(alert, dismissedAlerts)).length;
+  const shownAlerts = showDismissedAlerts
+    ? alerts
+    : alerts.filter((alert) => !isAlertDismissed(alert, dismissedAlerts));
+  const selectedAlert = alerts.find((alert) => getAlertId(alert) === selectedAlertId) || null;
+
+  // Custom alert rules, evaluated again on every refresh
+  const ruleMatches = useMemo(() => evaluateRules(thresholdRules, oneCallData), [thresholdRules, oneCallData]);
+  const chartHours = useMemo(() => oneCallData?.hourly?.slice(0, HOURLY_CHART.hours) || [], [oneCallData]);
+  const nowcastMinutes = useMemo(() => getUpcomingMinutes(oneCallData?.minutely, now), [oneCallData, now]);
+
+  // Coldest and warmest temperature across the forecast, for the range bars
+  const forecastRange = useMemo(() => {
+    const min = Math.min(...forecast.map((day) => day.tempMin));
+    const max = Math.max(...forecast.map((day) => day.tempMax));
+    return { min, max, span: Math.max(max - min, 1) };
+  }, [forecast]);
+  const theme = WEATHER_THEMES[weatherType] || WEATHER_THEMES.default;
+  const errorDetails = error && (ERROR_DETAILS[error.type] || ERROR_DETAILS[ERROR_TYPES.UNKNOWN]);
+  const units = getDisplayUnits(settings);
+  const tempUnit = '°';
+  const unitLabel = units.temperature === 'celsius' ? 'C' : 'F';
+
+  // Rain splashes and snow piles on the stat cards
+  const showCardEffects = settings.animations && !reduceMotion;
+  const isRaining = showCardEffects && (weatherType === 'rain' || weatherType === 'thunderstorm');
+  const isSnowing = showCardEffects && weatherType === 'snow';
+
+  // ----- HELPER FUNCTIONS -----
+
+  /**
+   * Converts temperature from Celsius to the display unit
+   */
+  const convertTemp = (tempCelsius) => convertTemperature(tempCelsius, units.temperature);
+
+  // Plain-language headline from the nowcast, hourly and daily forecast
+  const weatherSummary = useMemo(() => buildWeatherSummary(oneCallData, {
+    formatTemperature: (celsius) => `${convertTemp(celsius)}°`,
+    formatTime: (timestamp) => formatHour(timestamp, oneCallData.timezoneOffset, false, settings.timeFormat),
+    language: SUMMARY_LANGUAGE,
+    now,
+  }), [oneCallData, units.temperature, settings.timeFormat, now]);
+
+  // Caption over the nowcast (e.g., "Rain ends in 12 min (3:54 PM)")
+  const nowcastCaption = useMemo(() => {
+    const event = getNowcastEvent(nowcastMinutes);
+    if (!event) return 'No precipitation expected in the next hour';
+
+    const nowSeconds = now / 1000;
+    const hour = oneCallData.hourly?.find((entry) => entry.dt + 3600 > nowSeconds);
+    const kind = NOWCAST_KIND_LABELS[getNowcastKind(oneCallData.current, hour)];
+    const when = (index) => {
+      const minute = nowcastMinutes[index];
+      const inMinutes = Math.max(1, Math.round((minute.dt - nowSeconds) / 60));
+      return `in ${inMinutes} min (${formatTime(minute.dt, oneCallData.timezoneOffset, settings.timeFormat)})`;
+    };
+
+    if (event.type === 'continuing') return `${kind} for at least the next hour`;
+    if (event.type === 'stops') return `${kind} ends ${when(event.minutes)}`;
+    return event.duration
+      ? `${kind} starts ${when(event.minutes)}, ends ${when(event.minutes + event.duration)}`
+      : `${kind} starts ${when(event.minutes)} and lasts past the hour`;
+  }, [nowcastMinutes, oneCallData, now, settings.timeFormat]);
+
+  /**
+   * Spoken temperature in the display unit, for screen readers (e.g., "62 degrees")
+   */
+  const speakTemp = (tempCelsius, withUnit = false) => speakTemperature(tempCelsius, units.temperature, withUnit);
+
+  /**
+   * When a custom alert match happens (e.g., "Tue 3AM-7AM", "Today 9PM-Wed 6AM")
+   */
+  const formatMatchSpan = (match) => {
+    const tz = oneCallData.timezoneOffset;
+    const startDay = formatDayName(getLocalDateKey(match.start, tz), tz);
+    const endDay = formatDayName(getLocalDateKey(match.end - 1, tz), tz);
+    const start = `${startDay} ${formatHour(match.start, tz, false, settings.timeFormat)}`;
+    const end = formatHour(match.end, tz, false, settings.timeFormat);
+    return startDay === endDay ? `${start}-${end}` : `${start}-${endDay} ${end}`;
+  };
+
+  /**
+   * Screen reader summary of one hourly forecast entry
+   * (e.g., "3PM, light rain, 62 degrees, 40 percent chance of precipitation")
+   */
+  const describeHour = (hour, index) => [
+    formatHour(hour.dt, oneCallData.timezoneOffset, index === 0, settings.timeFormat),
+    hour.weather[0].description,
+    speakTemp(hour.temp),
+    hour.pop > 0 && speakChanceOfPrecipitation(hour.pop),
+  ].filter(Boolean).join(', ');
+
+  /**
+   * Screen reader summary of one day of the 5-day forecast
+   */
+  const describeForecastDay = (day) => [
+    formatDayName(day.date, oneCallData.timezoneOffset, 'long'),
+    day.weather.description,
+    `high ${speakTemp(day.tempMax)}, low ${speakTemp(day.tempMin)}`,
+    day.pop > 0 && speakChanceOfPrecipitation(day.pop),
+    day.precipitation > 0 && `${speakPrecipitation(day.precipitation, units.precipitation)} expected`,
+  ].filter(Boolean).join(', ');
+
+  /**
+   * Screen reader summary of one minute of the nowcast
+   */
+  const describeNowcastMinute = (minute, index) => {
+    const band = getPrecipitationBand(minute.precipitation);
+    return [
+      index === 0 ? 'Now' : formatTime(minute.dt, oneCallData.timezoneOffset, settings.timeFormat),
+      band
+        ? `${NOWCAST_BANDS[band].label.toLowerCase()}, ${speakPrecipitation(minute.precipitation, units.precipitation)} per hour`
+        : 'dry',
+    ].join(', ');
+  };
+
+  /**
+   * Spoken wind, e.g. "18 kilometers per hour from the northwest, gusts 30 kilometers per hour"
+   */
+  const describeWind = (wind) => {
+    const direction = speakCompassPoint(getWindDirection(wind.deg));
+    return [
+      `${speakWindSpeed(wind.speed, units.wind)}${direction ? ` from the ${direction}` : ''}`,
+      wind.gust > 0 && `gusts ${speakWindSpeed(wind.gust, units.wind)}`,
+    ].filter(Boolean).join(', ');
+  };
+
+  // Read out by VoiceOver on new data or a unit change (TalkBack uses the live region)
+  const currentSummary = weather
+    ? `${weather.name}, ${speakTemp(weather.main.temp, true)}, ${weather.weather[0].description}`
+    : '';
+
+  // ----- EFFECTS -----
+
+  // Announce new weather and unit changes on the page being viewed
+  useEffect(() => {
+    if (isVisible) announceChange(currentSummary);
+  }, [currentSummary]);
+
+  // Announce load failures on the page being viewed
+  useEffect(() => {
+    if (isVisible && errorDetails && !loading) {
+      announceChange(`${errorDetails.title}. ${errorDetails.message}`);
+    }
+  }, [errorDetails, loading]);
+
+  // Keep the "last updated" badge, summary, alert countdowns and nowcast current
+  useEffect(() => {
+    setNow(Date.now());
+    if (!isStale && !oneCallData) return;
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, [isStale, oneCallData]);
+
+  // ----- RENDER -----
+  return (
+    <AnimationActivity.Provider value={isVisible}>
+      <View style={[styles.page, { backgroundColor: hasLoadedWeather ? theme.background : '#1a2a3a' }]}>
+        {/* Background Animation */}
+        {showAnimation && (
+          <WeatherAnimation
+            weatherType={weatherType}
+            showQuadrantShowcase={!hasLoadedWeather}
+            intensity={intensity}
+            vibrate={settings.vibration}
+            reduceMotion={reduceMotion}
+          />
+        )}
+
+        {/* Main Content */}
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+          {...statsVisibility.scrollProps}
+        >
+          {renderHeader(theme, hasLoadedWeather)}
+
+          {/* Loading State */}
+          {loading && (
+            <View style={styles.loadingContainer} accessible accessibilityLiveRegion="polite">
+              <ActivityIndicator size="large" color={theme.accent} />
+              <Text style={styles.loadingText}>Fetching weather...</Text>
+              {retryAttempt > 0 && (
+                <Text style={styles.retryText}>
+                  Connection trouble, retrying ({retryAttempt}/{RETRY_DEFAULTS.retries})
+                </Text>
+              )}
+            </View>
+          )}
+
+          {/* Error State */}
+          {errorDetails && !loading && (
+            <View style={[styles.errorContainer, { backgroundColor: theme.cardBg }]} accessibilityLiveRegion="polite">
+              <Text style={styles.errorText}>{errorDetails.title}</Text>
+              <Text style={styles.errorMessage}>{errorDetails.message}</Text>
+              <TouchableOpacity
+                style={[styles.errorActionBtn, { backgroundColor: theme.accent }]}
+                onPress={() => onErrorAction(errorDetails.action)}
+                activeOpacity={0.8}
+                accessibilityRole="button"
+              >
+                <Text style={styles.errorActionText}>{errorDetails.actionLabel}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Weather Content */}
+          {weather && !loading && (
+            <>
+              {/* Current Weather */}
+              <View style={styles.currentWeatherSection}>
+                <View style={styles.locationRow}>
+                  <Text style={styles.locationName} accessibilityRole="header">{weather.name}</Text>
+                  {onToggleSaved && (
+                    <TouchableOpacity
+                      style={styles.saveBtn}
+                      onPress={onToggleSaved}
+                      activeOpacity={0.7}
+                      accessibilityRole="button"
+                      accessibilityLabel={isSaved ? `Remove ${weather.name} from saved locations` : `Save ${weather.name}`}
+                    >
+                      <Text style={[styles.saveIcon, isSaved && { color: theme.accent }]}>
+                        {isSaved ? '★' : '☆'}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+                <Text style={styles.countryName}>{weather.sys.country}</Text>
+
+                {/* Offline badge (only when showing cached data) */}
+                {isStale && (
+                  <View
+                    style={[styles.staleBadge, { backgroundColor: theme.cardBg }]}
+                    accessible
+                    accessibilityLiveRegion="polite"
+                  >
+                    <View style={styles.staleDot} />
+                    <Text style={styles.staleText}>
+                      {error?.type === ERROR_TYPES.OFFLINE ? 'Offline' : 'Not refreshed'} · last updated {formatTimeAgo(oneCallData.fetchedAt, now)}
+                    </Text>
+                  </View>
+                )}
+
+                <View
+                  style={styles.tempContainer}
+                  accessible
+                  accessibilityLabel={currentSummary}
+                  accessibilityLiveRegion="polite"
+                >
+                  <Image
+                    source={{ uri: getWeatherIconUrl(weather.weather[0].icon) }}
+                    style={styles.mainIcon}
+                  />
+                  <View style={styles.tempInfo}>
+                    <Text style={styles.mainTemp}>
+                      {convertTemp(weather.main.temp)}
+                      <Text style={styles.tempDegree}>{tempUnit}{unitLabel}</Text>
+                    </Text>
+                    <Text style={styles.weatherDesc}>
+                      {weather.weather[0].description}
+                    </Text>
+                  </View>
+                </View>
+
+                {/* Summary Headline */}
+                {!!weatherSummary && (
+                  <Text style={styles.weatherSummary}>{weatherSummary}</Text>
+                )}
+
+                <Text style={styles.feelsLike} accessibilityLabel={`Feels like ${speakTemp(weather.main.feels_like)}`}>
+                  Feels like {convertTemp(weather.main.feels_like)}°
+                </Text>
+
+                {/* Min/Max Temperature */}
+                <View
+                  style={styles.minMaxContainer}
+                  accessible
+                  accessibilityLabel={`High ${speakTemp(weather.main.temp_max)}, low ${speakTemp(weather.main.temp_min)}`}
+                >
+                  <Text style={styles.minMaxText}>
+                    H: {convertTemp(weather.main.temp_max)}°
+                  </Text>
+                  <Text style={styles.minMaxDivider}>•</Text>
+                  <Text style={styles.minMaxText}>
+                    L: {convertTemp(weather.main.temp_min)}°
+                  </Text>
+                </View>
+
+                {/* Sunrise/Sunset */}
+                <View
+                  style={styles.sunTimesContainer}
+                  accessible
+                  accessibilityLabel={`Sunrise ${formatTime(weather.sys.sunrise, weather.timezone, settings.timeFormat)}, sunset ${formatTime(weather.sys.sunset, weather.timezone, settings.timeFormat)}`}
+                >
+                  <View style={styles.sunTimeItem}>
+                    <Text style={styles.sunTimeIcon}>☀</Text>
+                    <Text style={styles.sunTimeValue}>
+                      {formatTime(weather.sys.sunrise, weather.timezone, settings.timeFormat)}
+                    </Text>
+                  </View>
+                  <View style={styles.sunTimeItem}>
+                    <Text style={styles.sunTimeIcon}>☽</Text>
+                    <Text style={styles.sunTimeValue}>
+                      {formatTime(weather.sys.sunset, weather.timezone, settings.timeFormat)}
+                    </Text>
+                  </View>
+                </View>
+
+                {/* Rain Volume (only when raining) */}
+                {weather.rain && (
+                  <View
+                    style={[styles.precipitationBadge, { backgroundColor: theme.cardBg }]}
+                    accessible
+                    accessibilityLabel={weather.rain['1h']
+                      ? `Rain, ${speakPrecipitation(weather.rain['1h'], units.precipitation)} per hour`
+                      : `Rain, ${speakPrecipitation(weather.rain['3h'], units.precipitation)} in 3 hours`}
+                  >
+                    <Text style={styles.precipitationIcon}>🌧</Text>
+                    <Text style={styles.precipitationText}>
+                      {weather.rain['1h']
+                        ? `${formatPrecipitation(weather.rain['1h'], units.precipitation)}/h`
+                        : `${formatPrecipitation(weather.rain['3h'], units.precipitation)} (3h)`}
+                    </Text>
+                  </View>
+                )}
+
+                {/* Snow Volume (only when snowing) */}
+                {weather.snow && (
+                  <View
+                    style={[styles.precipitationBadge, { backgroundColor: theme.cardBg }]}
+                    accessible
+                    accessibilityLabel={weather.snow['1h']
+                      ? `Snow, ${speakPrecipitation(weather.snow['1h'], units.precipitation)} per hour`
+                      : `Snow, ${speakPrecipitation(weather.snow['3h'], units.precipitation)} in 3 hours`}
+                  >
+                    <Text style={styles.precipitationIcon}>❄</Text>
+                    <Text style={styles.precipitationText}>
+                      {weather.snow['1h']
+                        ? `${formatPrecipitation(weather.snow['1h'], units.precipitation)}/h`
+                        : `${formatPrecipitation(weather.snow['3h'], units.precipitation)} (3h)`}
+                    </Text>
+                  </View>
+                )}
+              </View>
+
+              {/* Stats Cards (splash and snow effects only run while on screen) */}
+              <AnimationActivity.Provider value={isVisible && statsVisibility.isOnScreen}>
+                <View onLayout={statsVisibility.onSectionLayout}>
+                  {/* Stats Cards - Row 1 */}
+                  <View style={styles.statsRow}>
+                    <View
+                      style={[styles.statCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                      accessible
+                      accessibilityLabel={`Humidity ${weather.main.humidity} percent`}
+                    >
+                      <SplashContainer isRaining={isRaining} />
+                      <SnowPileContainer isSnowing={isSnowing} />
+                      <Text style={styles.statValue}>{weather.main.humidity}%</Text>
+                      <Text style={styles.statLabel}>Humidity</Text>
+                    </View>
+                    <View
+                      style={[styles.statCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                      accessible
+                      accessibilityLabel={`Wind ${describeWind(weather.wind)}`}
+                    >
+                      <SplashContainer isRaining={isRaining} />
+                      <SnowPileContainer isSnowing={isSnowing} />
+                      <Text style={styles.statValue}>
+                        {formatWindSpeed(weather.wind.speed, units.wind)} {getWindDirection(weather.wind.deg)}
+                      </Text>
+                      <Text style={styles.statLabel}>Wind</Text>
+                      {weather.wind.gust > 0 && (
+                        <Text style={styles.statSubValue}>
+                          Gusts: {formatWindSpeed(weather.wind.gust, units.wind)}
+                        </Text>
+                      )}
+                    </View>
+                    <View
+                      style={[styles.statCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                      accessible
+                      accessibilityLabel={`Pressure ${speakPressure(weather.main.pressure, units.pressure)}`}
+                    >
+                      <SplashContainer isRaining={isRaining} />
+                      <SnowPileContainer isSnowing={isSnowing} />
+                      <Text style={styles.statValue}>
+                        {formatPressure(weather.main.pressure, units.pressure)}
+                      </Text>
+                      <Text style={styles.statLabel}>{UNIT_LABELS[units.pressure]}</Text>
+                    </View>
+                  </View>
+
+                  {/* Stats Cards - Row 2 */}
+                  <View style={styles.statsRow}>
+                    <View
+                      style={[styles.statCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                      accessible
+                      accessibilityLabel={`Visibility ${speakVisibility(weather.visibility, units.distance)}`}
+                    >
+                      <SplashContainer isRaining={isRaining} />
+                      <SnowPileContainer isSnowing={isSnowing} />
+                      <Text style={styles.statValue}>{formatVisibility(weather.visibility, units.distance)}</Text>
+                      <Text style={styles.statLabel}>Visibility</Text>
+                    </View>
+                    <View
+                      style={[styles.statCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                      accessible
+                      accessibilityLabel={`Cloudiness ${weather.clouds.all} percent`}
+                    >
+                      <SplashContainer isRaining={isRaining} />
+                      <SnowPileContainer isSnowing={isSnowing} />
+                      <Text style={styles.statValue}>{weather.clouds.all}%</Text>
+                      <Text style={styles.statLabel}>Cloudiness</Text>
+                    </View>
+                    <View
+                      style={[styles.statCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                      accessible
+                      accessibilityLabel={`Dew point ${speakTemp(calculateDewPoint(weather.main.temp, weather.main.humidity))}`}
+                    >
+                      <SplashContainer isRaining={isRaining} />
+                      <SnowPileContainer isSnowing={isSnowing} />
+                      <Text style={styles.statValue}>
+                        {convertTemp(calculateDewPoint(weather.main.temp, weather.main.humidity))}°
+                      </Text>
+                      <Text style={styles.statLabel}>Dew Point</Text>
+                    </View>
+                  </View>
+                </View>
+              </AnimationActivity.Provider>
+
+              {/* UV Index (from One Call API) */}
+              {oneCallData?.current?.uvi !== undefined && (
+                <View style={styles.uvSection}>
+                  <Text style={styles.sectionTitle} accessibilityRole="header">UV Index</Text>
+                  <View
+                    style={[styles.uvCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                    accessible
+                    accessibilityLabel={`UV index ${Math.round(oneCallData.current.uvi)}, ${getUVLevel(oneCallData.current.uvi).label}`}
+                  >
+                    <View style={styles.uvContent}>
+                      <Text style={[styles.uvValue, { color: getUVLevel(oneCallData.current.uvi).color }]}>
+                        {Math.round(oneCallData.current.uvi)}
+                      </Text>
+                      <Text style={[styles.uvLabel, { color: getUVLevel(oneCallData.current.uvi).color }]}>
+                        {getUVLevel(oneCallData.current.uvi).label}
+                      </Text>
+                    </View>
+                    <View style={styles.uvBar}>
+                      <View style={[styles.uvBarFill, {
+                        width: `${Math.min(oneCallData.current.uvi / 11 * 100, 100)}%`,
+                        backgroundColor: getUVLevel(oneCallData.current.uvi).color
+                      }]} />
+                    </View>
+                  </View>
+                </View>
+              )}
+
+              {/* Weather Alerts (from One Call API) */}
+              {alerts.length > 0 && (
+                <View style={styles.alertsSection}>
+                  <Text style={styles.sectionTitle} accessibilityRole="header">Weather Alerts</Text>
+                  {shownAlerts.map((alert) => {
+                    const severity = ALERT_SEVERITIES[getAlertSeverity(alert)];
+                    const category = getAlertCategory(alert);
+                    const countdown = getAlertCountdown(alert, now);
+                    const isDismissed = isAlertDismissed(alert, dismissedAlerts);
+                    return (
+                      <TouchableOpacity
+                        key={getAlertId(alert)}
+                        style={[
+                          styles.alertCard,
+                          { backgroundColor: severity.tint, borderLeftColor: severity.color },
+                          isDismissed && styles.alertCardDismissed,
+                        ]}
+                        onPress={() => setSelectedAlertId(getAlertId(alert))}
+                        activeOpacity={0.7}
+                        accessibilityRole="button"
+                        accessibilityLabel={`${severity.label} weather alert: ${alert.event}. ${countdown.text}. Issued by ${alert.sender_name}`
+                          + (isDismissed ? '. Dismissed' : '')}
+                        accessibilityHint="Shows the full alert"
+                      >
+                        <View style={styles.alertHeader}>
+                          <Text style={styles.alertIcon}>{category.icon}</Text>
+                          <Text style={[styles.alertTitle, { color: severity.textColor }]}>{alert.event}</Text>
+                          <View style={[styles.alertBadge, { backgroundColor: severity.color }]}>
+                            <Text style={styles.alertBadgeText}>{severity.label}</Text>
+                          </View>
+                        </View>
+                        <Text style={styles.alertSender}>{alert.sender_name} · {countdown.text}</Text>
+                        <Text style={styles.alertDesc} numberOfLines={3}>
+                          {alert.description}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                  {dismissedAlertCount > 0 && (
+                    <TouchableOpacity
+                      onPress={() => setShowDismissedAlerts((shown) => !shown)}
+                      activeOpacity={0.7}
+                      accessibilityRole="button"
+                    >
+                      <Text style={styles.alertsToggle}>
+                        {showDismissedAlerts
+                          ? 'Hide dismissed alerts'
+                          : `Show ${dismissedAlertCount} dismissed alert${dismissedAlertCount === 1 ? '' : 's'}`}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+
+              {/* Custom Alerts (user-defined threshold rules) */}
+              {oneCallData && (
+                <View style={styles.alertsSection}>
+                  <View style={styles.sectionHeader}>
+                    <Text style={[styles.sectionTitle, styles.sectionHeaderTitle]} accessibilityRole="header">
+                      Custom Alerts
+                    </Text>
+                    <TouchableOpacity
+                      onPress={() => setIsEditingRules(true)}
+                      activeOpacity={0.7}
+                      accessibilityRole="button"
+                      accessibilityLabel={thresholdRules.length > 0 ? 'Edit custom alerts' : 'Add a custom alert'}
+                    >
+                      <Text style={[styles.sectionHeaderAction, { color: theme.accent }]}>
+                        {thresholdRules.length > 0 ? 'Edit' : 'Add'}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                  <View style={[styles.forecastCard, { backgroundColor: theme.cardBg }]}>
+                    {thresholdRules.length === 0 && (
+                      <Text style={styles.ruleEmpty}>
+                        Get a heads-up for frost, rain at a time of day, strong gusts or high UV here
+                      </Text>
+                    )}
+                    {thresholdRules.length > 0 && ruleMatches.length === 0 && (
+                      <Text style={styles.ruleEmpty}>
+                        None of your {thresholdRules.length === 1 ? 'rule' : `${thresholdRules.length} rules`} match the forecast
+                      </Text>
+                    )}
+                    {ruleMatches.slice(0, MAX_RULE_MATCHES).map((match, index, shown) => (
+                      <View
+                        key={`${match.rule.id}-${match.start}`}
+                        style={[styles.ruleMatchRow, index !== shown.length - 1 && styles.forecastRowBorder]}
+                        accessible
+                        accessibilityLabel={`${describeRule(match.rule, units, settings.timeFormat)}: `
+                          + `${RULE_TYPES[match.rule.type].comparison === 'below' ? 'down to' : 'up to'} `
+                          + `${formatRuleValue(match.rule.type, match.peak, units)}, ${formatMatchSpan(match)}`}
+                      >
+                        <Text style={styles.ruleIcon}>{RULE_TYPES[match.rule.type].icon}</Text>
+                        <View style={styles.ruleMatchText}>
+                          <Text style={styles.ruleMatchTitle}>
+                            {RULE_TYPES[match.rule.type].label}
+                            {' · '}
+                            {RULE_TYPES[match.rule.type].comparison === 'below' ? 'down to ' : 'up to '}
+                            {formatRuleValue(match.rule.type, match.peak, units)}
+                          </Text>
+                          <Text style={styles.ruleMatchTime}>{formatMatchSpan(match)}</Text>
+                        </View>
+                      </View>
+                    ))}
+                    {ruleMatches.length > MAX_RULE_MATCHES && (
+                      <Text style={styles.ruleMore}>
+                        {ruleMatches.length - MAX_RULE_MATCHES} more in the next 5 days
+                      </Text>
+                    )}
+                  </View>
+                </View>
+              )}
+
+              {/* Hourly Forecast (from One Call API) */}
+              {oneCallData?.hourly && (
+                <View style={styles.hourlySection}>
+                  <Text style={styles.sectionTitle} accessibilityRole="header">Hourly Forecast</Text>
+                  <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    style={[styles.hourlyScroll, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}
+                    contentContainerStyle={styles.hourlyScrollContent}
+                  >
+                    {oneCallData.hourly.slice(0, 24).map((hour, index) => (
+                      <View
+                        key={index}
+                        style={styles.hourlyItem}
+                        accessible
+                        accessibilityLabel={describeHour(hour, index)}
+                      >
+                        <Text style={styles.hourlyTime}>
+                          {formatHour(hour.dt, oneCallData.timezoneOffset, index === 0, settings.timeFormat)}
+                        </Text>
+                        <Image
+                          source={{ uri: getWeatherIconUrl(hour.weather[0].icon) }}
+                          style={styles.hourlyIcon}
+                        />
+                        <Text style={styles.hourlyTemp}>
+                          {convertTemp(hour.temp)}°
+                        </Text>
+                        {hour.pop > 0 && (
+                          <Text style={styles.hourlyPop}>
+                            {Math.round(hour.pop * 100)}%
+                          </Text>
+                        )}
+                      </View>
+                    ))}
+                  </ScrollView>
+
+                  {/* Temperature and precipitation chart */}
+                  {chartHours.length > 1 && (
+                    <View style={[styles.hourlyChartCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}>
+                      <HourlyChart
+                        hours={chartHours}
+                        timezoneOffset={oneCallData.timezoneOffset}
+                        units={units}
+                        timeFormat={settings.timeFormat}
+                        accent={theme.accent}
+                        describeHour={describeHour}
+                      />
+                    </View>
+                  )}
+                </View>
+              )}
+
+              {/* Next-hour precipitation nowcast (One Call minutely) */}
+              {nowcastMinutes.length > 0 && (
+                <View style={styles.minutelySection}>
+                  <Text style={styles.sectionTitle} accessibilityRole="header">Precipitation (Next Hour)</Text>
+                  <View style={[styles.minutelyCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}>
+                    <Text style={styles.nowcastCaption}>{nowcastCaption}</Text>
+                    <NowcastChart
+                      minutes={nowcastMinutes}
+                      timezoneOffset={oneCallData.timezoneOffset}
+                      units={units}
+                      timeFormat={settings.timeFormat}
+                      accent={theme.accent}
+                      describeMinute={describeNowcastMinute}
+                    />
+                  </View>
+                </View>
+              )}
+
+              {/* 5-Day Forecast */}
+              {forecast.length > 0 && (
+                <View style={styles.forecastSection}>
+                  <Text style={styles.sectionTitle} accessibilityRole="header">5-Day Forecast</Text>
+                  <View style={[styles.forecastCard, { backgroundColor: theme.cardBg }, isStale && styles.staleCard]}>
+                    {forecast.map((day, index) => (
+                      <TouchableOpacity
+                        key={day.date}
+                        style={[
+                          styles.forecastRow,
+                          index !== forecast.length - 1 && styles.forecastRowBorder
+                        ]}
+                        onPress={() => setSelectedDate(day.date)}
+                        activeOpacity={0.7}
+                        accessibilityRole="button"
+                        accessibilityLabel={describeForecastDay(day)}
+                        accessibilityHint="Shows the day's 3-hour timeline"
+                      >
+                        <Text style={styles.forecastDay}>
+                          {formatDayName(day.date, oneCallData.timezoneOffset)}
+                        </Text>
+                        <ForecastIcon
+                          condition={day.weather.main}
+                          iconCode={day.weather.icon}
+                        />
+                        <View style={styles.forecastCondition}>
+                          <Text style={styles.forecastConditionText}>
+                            {day.weather.main}
+                          </Text>
+                          {day.pop > 0 && (
+                            <Text style={styles.forecastPrecip}>
+                              {Math.round(day.pop * 100)}%
+                              {day.precipitation > 0 ? ` · ${formatPrecipitation(day.precipitation, units.precipitation)}` : ''}
+                            </Text>
+                          )}
+                        </View>
+                        <Text style={[styles.forecastTemp, styles.forecastTempLow]}>
+                          {convertTemp(day.tempMin)}°
+                        </Text>
+                        <View style={styles.forecastRange}>
+                          <View style={[styles.forecastRangeFill, {
+                            left: `${(day.tempMin - forecastRange.min) / forecastRange.span * 100}%`,
+                            right: `${(forecastRange.max - day.tempMax) / forecastRange.span * 100}%`,
+                            backgroundColor: theme.accent,
+                          }]} />
+                        </View>
+                        <Text style={styles.forecastTemp}>
+                          {convertTemp(day.tempMax)}°
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              )}
+            </>
+          )}
+
+
+          <View style={styles.bottomSpacer} />
+        </ScrollView>
+
+        <DayDetailModal
+          day={selectedDay}
+          timezoneOffset={oneCallData?.timezoneOffset}
+          coord={weather?.coord}
+          units={units}
+          timeFormat={settings.timeFormat}
+          theme={theme}
+          onClose={() => setSelectedDate(null)}
+        />
+
+        <RuleEditorModal
+          visible={isEditingRules}
+          rules={thresholdRules}
+          locationName={weather?.name}
+          units={units}
+          timeFormat={settings.timeFormat}
+          onChange={(rules) => onChangeRules?.(rules)}
+          onClose={() => setIsEditingRules(false)}
+        />
+
+        <AlertDetailModal
+          alert={selectedAlert}
+          timezoneOffset={oneCallData?.timezoneOffset}
+          timeFormat={settings.timeFormat}
+          isDismissed={!!selectedAlert && isAlertDismissed(selectedAlert, dismissedAlerts)}
+          onDismiss={(alert) => {
+            onDismissAlert?.(alert);
+            setSelectedAlertId(null);
+          }}
+          onRestore={(alert) => onRestoreAlert?.(alert)}
+          onClose={() => setSelectedAlertId(null)}
+        />
+      </View>
+    </AnimationActivity.Provider>
+  );
+};
+
+/**
+ * Detail sheet for one day of the 5-day forecast
+ * Condition summary, sunrise and sunset, the day's totals as stat cards,
+ * and the full 3-hour timeline from the forecast list
+ *
+ * @param {object} day - Daily summary from aggregateDailyForecast, or null when closed
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @param {object} coord - { lat, lon } of the location, for sunrise and sunset
+ * @param {object} units - Display units from getDisplayUnits
+ * @param {string} timeFormat - '12h' or '24h'
+ * @param {object} theme - Theme of the page the sheet opened from
+ * @param {function} onClose - Closes the sheet
+ */
+const DayDetailModal = ({ day, timezoneOffset, coord, units, timeFormat, theme, onClose }) => {
+  // Keep showing the last day while the sheet slides away
+  const lastDayRef = useRef(day);
+  if (day) lastDayRef.current = day;
+  const shownDay = lastDayRef.current;
+
+  if (!shownDay) return null;
+
+  const { steps } = shownDay;
+  const temp = (celsius) => `${convertTemperature(celsius, units.temperature)}°`;
+  const getStepVolume = (step) => (step.rain?.['3h'] || 0) + (step.snow?.['3h'] || 0);
+  const average = (values) => Math.round(values.reduce((total, value) => total + value, 0) / values.length);
+
+  // ----- DAY TOTALS -----
+  const windiest = steps.reduce((max, step) => (step.wind.speed > max.wind.speed ? step : max));
+  const strongestGust = Math.max(...steps.map((step) => step.wind.gust || 0));
+  const humidity = average(steps.map((step) => step.main.humidity));
+  const cloudiness = average(steps.map((step) => step.clouds.all));
+  const feelsMin = Math.min(...steps.map((step) => step.main.feels_like));
+  const feelsMax = Math.max(...steps.map((step) => step.main.feels_like));
+  const sun = coord ? getSunTimesForDate(shownDay.date, timezoneOffset, coord) : null;
+
+  const dayName = formatDayName(shownDay.date, timezoneOffset, 'long');
+  const monthDay = new Date(`${shownDay.date}T12:00:00Z`)
+    .toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  const summary = [
+    `High ${temp(shownDay.tempMax)}, low ${temp(shownDay.tempMin)}`,
+    shownDay.pop > 0 && `${Math.round(shownDay.pop * 100)}% chance of precipitation`
+      + (shownDay.precipitation > 0 ? `, ${formatPrecipitation(shownDay.precipitation, units.precipitation)} expected` : ''),
+    `Wind up to ${formatWindSpeed(windiest.wind.speed, units.wind)}`,
+  ].filter(Boolean).join('. ');
+
+  /**
+   * Sunrise or sunset label, or why there is none (polar day or night)
+   */
+  const formatSunTime = (timestamp) => {
+    if (timestamp) return formatTime(timestamp, timezoneOffset, timeFormat);
+    return sun.polarDay ? 'Sun up all day' : 'Sun down all day';
+  };
+
+  /**
+   * Screen reader summary of one 3-hour step
+   */
+  const describeStep = (step) => [
+    formatHour(step.dt, timezoneOffset, false, timeFormat),
+    step.weather[0].description,
+    speakTemperature(step.main.temp, units.temperature),
+    `feels like ${speakTemperature(step.main.feels_like, units.temperature)}`,
+    `wind ${speakWindSpeed(step.wind.speed, units.wind)}`,
+    `humidity ${step.main.humidity} percent`,
+    step.pop > 0 && speakChanceOfPrecipitation(step.pop),
+    getStepVolume(step) > 0 && speakPrecipitation(getStepVolume(step), units.precipitation),
+    `cloudiness ${step.clouds.all} percent`,
+  ].filter(Boolean).join(', ');
+
+  return (
+    <Modal visible={!!day} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle} accessibilityRole="header">{dayName}, {monthDay}</Text>
+            <TouchableOpacity onPress={onClose} activeOpacity={0.7} accessibilityRole="button">
+              <Text style={styles.modalDone}>Done</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            {/* Condition Summary */}
+            <View style={styles.daySummary} accessible accessibilityLabel={`${shownDay.weather.description}. ${summary}`}>
+              <ForecastIcon condition={shownDay.weather.main} iconCode={shownDay.weather.icon} />
+              <View style={styles.daySummaryText}>
+                <Text style={styles.dayCondition}>{shownDay.weather.description}</Text>
+                <Text style={styles.daySummaryLine}>{summary}</Text>
+              </View>
+            </View>
+
+            {/* Sunrise/Sunset */}
+            {sun && (
+              <View
+                style={[styles.sunTimesContainer, styles.daySunTimes]}
+                accessible
+                accessibilityLabel={`Sunrise ${formatSunTime(sun.sunrise)}, sunset ${formatSunTime(sun.sunset)}`}
+              >
+                <View style={styles.sunTimeItem}>
+                  <Text style={styles.sunTimeIcon}>☀</Text>
+                  <Text style={styles.sunTimeValue}>{formatSunTime(sun.sunrise)}</Text>
+                </View>
+                <View style={styles.sunTimeItem}>
+                  <Text style={styles.sunTimeIcon}>☽</Text>
+                  <Text style={styles.sunTimeValue}>{formatSunTime(sun.sunset)}</Text>
+                </View>
+              </View>
+            )}
+
+            {/* Day Totals */}
+            <View style={[styles.statsRow, styles.dayStatsRow]}>
+              <View
+                style={[styles.statCard, { backgroundColor: theme.cardBg }]}
+                accessible
+                accessibilityLabel={`Strongest wind ${speakWindSpeed(windiest.wind.speed, units.wind)}`
+                  + (strongestGust > 0 ? `, gusts ${speakWindSpeed(strongestGust, units.wind)}` : '')}
+              >
+                <Text style={styles.statValue}>{formatWindSpeed(windiest.wind.speed, units.wind)}</Text>
+                <Text style={styles.statLabel}>Max wind</Text>
+                {strongestGust > 0 && (
+                  <Text style={styles.statSubValue}>Gusts: {formatWindSpeed(strongestGust, units.wind)}</Text>
+                )}
+              </View>
+              <View
+                style={[styles.statCard, { backgroundColor: theme.cardBg }]}
+                accessible
+                accessibilityLabel={`Average humidity ${humidity} percent`}
+              >
+                <Text style={styles.statValue}>{humidity}%</Text>
+                <Text style={styles.statLabel}>Humidity</Text>
+              </View>
+              <View
+                style={[styles.statCard, { backgroundColor: theme.cardBg }]}
+                accessible
+                accessibilityLabel={`Average cloudiness ${cloudiness} percent`}
+              >
+                <Text style={styles.statValue}>{cloudiness}%</Text>
+                <Text style={styles.statLabel}>Cloudiness</Text>
+              </View>
+            </View>
+            <View style={[styles.statsRow, styles.dayStatsRow]}>
+              <View
+                style={[styles.statCard, { backgroundColor: theme.cardBg }]}
+                accessible
+                accessibilityLabel={speakChanceOfPrecipitation(shownDay.pop)}
+              >
+                <Text style={styles.statValue}>{Math.round(shownDay.pop * 100)}%</Text>
+                <Text style={styles.statLabel}>Chance</Text>
+              </View>
+              <View
+                style={[styles.statCard, { backgroundColor: theme.cardBg }]}
+                accessible
+                accessibilityLabel={`Total precipitation ${speakPrecipitation(shownDay.precipitation, units.precipitation)}`}
+              >
+                <Text style={styles.statValue}>{formatPrecipitation(shownDay.precipitation, units.precipitation)}</Text>
+                <Text style={styles.statLabel}>Total</Text>
+              </View>
+              <View
+                style={[styles.statCard, { backgroundColor: theme.cardBg }]}
+                accessible
+                accessibilityLabel={`Feels like ${speakTemperature(feelsMin, units.temperature)} to ${speakTemperature(feelsMax, units.temperature)}`}
+              >
+                <Text style={styles.statValue}>{temp(feelsMin)}–{temp(feelsMax)}</Text>
+                <Text style={styles.statLabel}>Feels like</Text>
+              </View>
+            </View>
+
+            {/* 3-Hour Timeline */}
+            <Text style={styles.sectionTitle} accessibilityRole="header">3-Hour Timeline</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {steps.map((step) => (
+                <View
+                  key={step.dt}
+                  style={[styles.statCard, styles.dayStepCard, { backgroundColor: theme.cardBg }]}
+                  accessible
+                  accessibilityLabel={describeStep(step)}
+                >
+                  <Text style={styles.statLabel}>{formatHour(step.dt, timezoneOffset, false, timeFormat)}</Text>
+                  <ForecastIcon condition={step.weather[0].main} iconCode={step.weather[0].icon} />
+                  <Text style={styles.statValue}>{temp(step.main.temp)}</Text>
+                  <Text style={styles.statSubValue}>Feels {temp(step.main.feels_like)}</Text>
+                  <Text style={styles.dayStepDetail}>
+                    💨 {formatWindSpeed(step.wind.speed, units.wind)} {getWindDirection(step.wind.deg)}
+                  </Text>
+                  <Text style={styles.dayStepDetail}>💧 {step.main.humidity}%</Text>
+                  <Text style={styles.dayStepDetail}>☂ {Math.round((step.pop || 0) * 100)}%</Text>
+                  {getStepVolume(step) > 0 && (
+                    <Text style={styles.dayStepDetail}>
+                      {step.snow?.['3h'] ? '❄' : '🌧'} {formatPrecipitation(getStepVolume(step), units.precipitation)}
+                    </Text>
+                  )}
+                  <Text style={styles.dayStepDetail}>☁ {step.clouds.all}%</Text>
+                </View>
+              ))}
+            </ScrollView>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Detail sheet for one weather alert
+ * Full text, the validity window in the city's local time with a live
+ * countdown, and severity and category badges
+ *
+ * @param {object} alert - Alert in the One Call shape, or null when closed
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @param {string} timeFormat - '12h' or '24h'
+ * @param {boolean} isDismissed - Alert is currently dismissed
+ * @param {function} onDismiss - Hides the alert until it changes
+ * @param {function} onRestore - Shows a dismissed alert again
+ * @param {function} onClose - Closes the sheet
+ */
+const AlertDetailModal = ({ alert, timezoneOffset, timeFormat, isDismissed, onDismiss, onRestore, onClose }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the last alert while the sheet slides away
+  const lastAlertRef = useRef(alert);
+  if (alert) lastAlertRef.current = alert;
+  const shownAlert = lastAlertRef.current;
+
+  // Tick the countdown while open
+  useEffect(() => {
+    if (!alert) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, [alert]);
+
+  if (!shownAlert) return null;
+
+  const severity = ALERT_SEVERITIES[getAlertSeverity(shownAlert)];
+  const category = getAlertCategory(shownAlert);
+  const countdown = getAlertCountdown(shownAlert, now);
+
+  /**
+   * Day and time in the city's local time (e.g., "Tomorrow 6:00 PM")
+   */
+  const formatLocal = (timestamp) => {
+    const dayName = formatDayName(getLocalDateKey(timestamp, timezoneOffset), timezoneOffset);
+    return `${dayName} ${formatTime(timestamp, timezoneOffset, timeFormat)}`;
+  };
+
+  return (
+    <Modal visible={!!alert} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={[styles.modalTitle, styles.alertDetailTitle, { color: severity.textColor }]} accessibilityRole="header">
+              {category.icon} {shownAlert.event}
+            </Text>
+            <TouchableOpacity onPress={onClose} activeOpacity={0.7} accessibilityRole="button">
+              <Text style={styles.modalDone}>Done</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            {/* Severity and Category */}
+            <View style={styles.alertBadges}>
+              <View style={[styles.alertBadge, { backgroundColor: severity.color }]}>
+                <Text style={styles.alertBadgeText}>{severity.label}</Text>
+              </View>
+              <View style={[styles.alertBadge, styles.alertCategoryBadge]}>
+                <Text style={styles.alertBadgeText}>{category.label}</Text>
+              </View>
+            </View>
+            <Text style={styles.alertSender}>{shownAlert.sender_name}</Text>
+
+            {/* Validity Window */}
+            <View
+              style={[styles.alertWindow, { borderLeftColor: severity.color }]}
+              accessible
+              accessibilityLabel={[
+                shownAlert.start && `From ${formatLocal(shownAlert.start)}`,
+                shownAlert.end && `until ${formatLocal(shownAlert.end)}`,
+                countdown.text,
+              ].filter(Boolean).join(', ')}
+            >
+              {!!shownAlert.start && (
+                <View style={styles.alertWindowRow}>
+                  <Text style={styles.alertWindowLabel}>From</Text>
+                  <Text style={styles.alertWindowValue}>{formatLocal(shownAlert.start)}</Text>
+                </View>
+              )}
+              {!!shownAlert.end && (
+                <View style={styles.alertWindowRow}>
+                  <Text style={styles.alertWindowLabel}>Until</Text>
+                  <Text style={styles.alertWindowValue}>{formatLocal(shownAlert.end)}</Text>
+                </View>
+              )}
+              <Text style={[styles.alertCountdown, { color: severity.textColor }]}>{countdown.text}</Text>
+            </View>
+
+            {/* Full Text */}
+            <Text style={[styles.alertDesc, styles.alertFullText]} selectable>
+              {shownAlert.description}
+            </Text>
+
+            <TouchableOpacity
+              style={styles.alertDismissButton}
+              onPress={() => (isDismissed ? onRestore(shownAlert) : onDismiss(shownAlert))}
+              activeOpacity={0.7}
+              accessibilityRole="button"
+              accessibilityHint={isDismissed ? undefined : 'Hides this alert until it is updated'}
+            >
+              <Text style={styles.alertDismissText}>{isDismissed ? 'Show in list again' : 'Dismiss'}</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Weather page for a saved location
+ * Owns its weather state and loads it by coordinates when mounted
+ */
+const SavedLocationPage = ({ location, weatherClient, onErrorAction, ...pageProps }) => {
+  const weatherState = useWeather(weatherClient);
 
-  // ----- DERIVED VALUES -----
-  const theme = WEATHER_THEMES[weatherType] || WEATHER_THEMES.default;
-  const tempUnit = '°';
-  const unitLabel = isCelsius ? 'C' : 'F';
+  useEffect(() => {
+    weatherState.fetchWeatherByCoords(location.lat, location.lon, {
+      name: location.name,
+      country: location.country,
+    });
+  }, [location.id]);
 
-  // ----- HELPER FUNCTIONS -----
+  return (
+    <WeatherPage
+      weatherState={weatherState}
+      onErrorAction={(action) => onErrorAction(action, weatherState)}
+      {...pageProps}
+    />
+  );
+};
 
-  /**
-   * Converts temperature from Celsius to Fahrenheit if needed
-   */
-  const convertTemp = (tempCelsius) => {
-    if (isCelsius) return Math.round(tempCelsius);
-    return Math.round((tempCelsius * 9 / 5) + 32);
+/**
+ * Sheet for managing saved locations
+ * Lists each location with move up/down and remove controls
+ */
+const SavedLocationsModal = ({ visible, locations, onClose, onSelect, onMove, onRemove }) => {
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle} accessibilityRole="header">Saved Locations</Text>
+            <TouchableOpacity onPress={onClose} activeOpacity={0.7} accessibilityRole="button">
+              <Text style={styles.modalDone}>Done</Text>
+            </TouchableOpacity>
+          </View>
+
+          {locations.length === 0 && (
+            <Text style={styles.modalEmpty}>
+              Tap ☆ next to a city name to save it here
+            </Text>
+          )}
+
+          {locations.map((location, index) => (
+            <View
+              key={location.id}
+              style={[
+                styles.savedRow,
+                index !== locations.length - 1 && styles.forecastRowBorder
+              ]}
+            >
+              <TouchableOpacity
+                style={styles.savedName}
+                onPress={() => onSelect(index)}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityLabel={`${location.name}, ${location.country}`}
+                accessibilityHint="Shows this location"
+              >
+                <Text style={styles.savedCity}>{location.name}</Text>
+                <Text style={styles.savedCountry}>{location.country}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.savedAction}
+                onPress={() => onMove(location.id, -1)}
+                disabled={index === 0}
+                accessibilityRole="button"
+                accessibilityLabel={`Move ${location.name} up`}
+                accessibilityState={{ disabled: index === 0 }}
+              >
+                <Text style={[styles.savedActionText, index === 0 && styles.savedActionDisabled]}>↑</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.savedAction}
+                onPress={() => onMove(location.id, 1)}
+                disabled={index === locations.length - 1}
+                accessibilityRole="button"
+                accessibilityLabel={`Move ${location.name} down`}
+                accessibilityState={{ disabled: index === locations.length - 1 }}
+              >
+                <Text style={[styles.savedActionText, index === locations.length - 1 && styles.savedActionDisabled]}>↓</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.savedAction}
+                onPress={() => onRemove(location.id)}
+                accessibilityRole="button"
+                accessibilityLabel={`Remove ${location.name}`}
+              >
+                <Text style={[styles.savedActionText, styles.savedRemoveText]}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Sheet for editing the persisted settings
+ * Choice settings are segmented rows, effects are switches, and the
+ * default location can be none, the GPS location, or a saved location.
+ * Each unit row starts with "Auto", which follows the unit system.
+ */
+const SettingsModal = ({
+  visible,
+  settings,
+  savedLocations,
+  isSystemReduceMotion,
+  isNotificationPermissionDenied,
+  onClose,
+  onChange,
+  onSelectUnitSystem,
+}) => {
+  const presetUnits = UNIT_PRESETS[settings.unitSystem].units;
+
+  // Keep a default location that has since been unsaved selectable
+  const defaultLocation = settings.defaultLocation;
+  const locationChoices = defaultLocation?.id && !savedLocations.some((l) => l.id === defaultLocation.id)
+    ? [...savedLocations, defaultLocation]
+    : savedLocations;
+
+  const isDefaultLocation = (choice) => {
+    if (choice === null || choice === 'current') return defaultLocation === choice;
+    return defaultLocation?.id === choice.id;
   };
 
-  // ----- API FUNCTIONS -----
+  const renderChip = (key, label, isActive, onPress, role = 'radio') => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.settingsChip, isActive && styles.settingsChipActive]}
+      onPress={onPress}
+      activeOpacity={0.8}
+      accessibilityRole={role}
+      accessibilityState={{ checked: isActive }}
+    >
+      <Text style={[styles.settingsChipText, isActive && styles.settingsChipTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
 
   /**
-   * Fetches One Call API data for UV, hourly, minutely, and alerts
-   * Note: One Call API 3.0 requires a separate subscription
-   * Falls back gracefully if not available
+   * Adds or removes an alert severity from the notified ones
    */
-  const fetchOneCallData = async (lat, lon) => {
-    try {
-      // Try One Call API 3.0 first
-      const response = await fetch(
-        `https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lon}&appid=${API_KEY}&units=metric&exclude=daily`
-      );
+  const toggleAlertSeverity = (severity) => {
+    const selected = settings.alertNotifications;
+    onChange('alertNotifications', selected.includes(severity)
+      ? selected.filter((value) => value !== severity)
+      : SETTING_OPTIONS.alertNotifications.filter((value) => value === severity || selected.includes(value)));
+  };
 
-      if (response.ok) {
-        const data = await response.json();
-        setOneCallData(data);
-        return;
-      }
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle} accessibilityRole="header">Settings</Text>
+            <TouchableOpacity onPress={onClose} activeOpacity={0.7} accessibilityRole="button">
+              <Text style={styles.modalDone}>Done</Text>
+            </TouchableOpacity>
+          </View>
 
-      // If 3.0 fails, try 2.5 (older free version)
-      const response25 = await fetch(
-        `https://api.openweathermap.org/data/2.5/onecall?lat=${lat}&lon=${lon}&appid=${API_KEY}&units=metric&exclude=daily`
-      );
+          <ScrollView showsVerticalScrollIndicator={false}>
+            {/* Unit System */}
+            <View style={[styles.settingsRow, styles.forecastRowBorder]}>
+              <Text style={styles.settingsLabel}>Units</Text>
+              <View
+                style={styles.settingsChips}
+                accessibilityRole="radiogroup"
+                accessibilityLabel="Units"
+              >
+                {SETTING_OPTIONS.unitSystem.map((system) => renderChip(
+                  system,
+                  UNIT_PRESETS[system].name,
+                  settings.unitSystem === system,
+                  () => onSelectUnitSystem(system)
+                ))}
+              </View>
+            </View>
 
-      if (response25.ok) {
-        const data = await response25.json();
-        setOneCallData(data);
-      } else {
-        // One Call not available, set to null
-        setOneCallData(null);
-      }
-    } catch (err) {
-      console.log('One Call API not available:', err.message);
-      setOneCallData(null);
-    }
-  };
+            {/* Per-Quantity Overrides */}
+            {UNIT_ROWS.map((row) => (
+              <View key={row.key} style={[styles.settingsRow, styles.forecastRowBorder]}>
+                <Text style={styles.settingsLabel}>{row.title}</Text>
+                <View
+                  style={styles.settingsChips}
+                  accessibilityRole="radiogroup"
+                  accessibilityLabel={row.title}
+                >
+                  {renderChip(
+                    'auto',
+                    `Auto (${UNIT_LABELS[presetUnits[row.quantity]]})`,
+                    settings[row.key] === null,
+                    () => onChange(row.key, null)
+                  )}
+                  {SETTING_OPTIONS[row.key].map((value) => renderChip(
+                    value,
+                    UNIT_LABELS[value],
+                    settings[row.key] === value,
+                    () => onChange(row.key, value)
+                  ))}
+                </View>
+              </View>
+            ))}
+
+            {/* Time Format */}
+            <View style={[styles.settingsRow, styles.forecastRowBorder]}>
+              <Text style={styles.settingsLabel}>Time format</Text>
+              <View
+                style={styles.settingsChips}
+                accessibilityRole="radiogroup"
+                accessibilityLabel="Time format"
+              >
+                {SETTING_OPTIONS.timeFormat.map((value) => renderChip(
+                  value,
+                  TIME_FORMAT_LABELS[value],
+                  settings.timeFormat === value,
+                  () => onChange('timeFormat', value)
+                ))}
+              </View>
+            </View>
 
-  /**
-   * Fetches weather data by city name
-   */
-  const fetchWeatherByCity = async (cityName) => {
-    try {
-      setLoading(true);
-      setError(null);
+            {/* Default Location */}
+            <View style={[styles.settingsRow, styles.forecastRowBorder]}>
+              <Text style={styles.settingsLabel}>Open at launch</Text>
+              <View
+                style={styles.settingsChips}
+                accessibilityRole="radiogroup"
+                accessibilityLabel="Open at launch"
+              >
+                {renderChip('none', 'Search', isDefaultLocation(null), () => onChange('defaultLocation', null))}
+                {renderChip('current', 'My location', isDefaultLocation('current'), () => onChange('defaultLocation', 'current'))}
+                {locationChoices.map((location) => renderChip(
+                  location.id,
+                  location.name,
+                  isDefaultLocation(location),
+                  () => onChange('defaultLocation', location)
+                ))}
+              </View>
+            </View>
 
-      // Fetch current weather
-      const weatherResponse = await fetch(
-        `${API_BASE_URL}/weather?q=${cityName}&appid=${API_KEY}&units=metric`
-      );
-      if (!weatherResponse.ok) throw new Error('City not found');
-      const weatherData = await weatherResponse.json();
-      setWeather(weatherData);
-      setHasLoadedWeather(true); // Mark that we've loaded weather
+            {/* Alert Notifications */}
+            <View style={[styles.settingsRow, styles.forecastRowBorder]}>
+              <Text style={styles.settingsLabel}>Alert notifications</Text>
+              <View style={styles.settingsChips} accessibilityLabel="Alert notifications">
+                {SETTING_OPTIONS.alertNotifications.map((severity) => renderChip(
+                  severity,
+                  ALERT_SEVERITIES[severity].label,
+                  settings.alertNotifications.includes(severity),
+                  () => toggleAlertSeverity(severity),
+                  'checkbox'
+                ))}
+              </View>
+              <Text style={styles.settingsHint}>
+                {isNotificationPermissionDenied
+                  ? 'Notifications are turned off for this app in the system settings'
+                  : 'New alerts at these levels for your location and saved cities, checked every 15 minutes (OpenWeatherMap only)'}
+              </Text>
+            </View>
 
-      // Fetch One Call data using coordinates from weather response
-      fetchOneCallData(weatherData.coord.lat, weatherData.coord.lon);
+            {/* Effects */}
+            <View style={[styles.settingsRow, styles.forecastRowBorder]}>
+              <Text style={styles.settingsLabel}>Reduce motion</Text>
+              <View
+                style={styles.settingsChips}
+                accessibilityRole="radiogroup"
+                accessibilityLabel="Reduce motion"
+              >
+                {SETTING_OPTIONS.reduceMotion.map((value) => renderChip(
+                  value,
+                  value === 'system'
+                    ? `${REDUCE_MOTION_LABELS.system} (${isSystemReduceMotion ? 'on' : 'off'})`
+                    : REDUCE_MOTION_LABELS[value],
+                  settings.reduceMotion === value,
+                  () => onChange('reduceMotion', value)
+                ))}
+              </View>
+              <Text style={styles.settingsHint}>
+                Replaces weather animations with still scenes and turns off lightning flashes and vibration
+              </Text>
+            </View>
+            <View style={[styles.settingsRow, styles.settingsSwitchRow, styles.forecastRowBorder]}>
+              <Text style={styles.settingsLabel}>Weather animations</Text>
+              <Switch
+                value={settings.animations}
+                accessibilityLabel="Weather animations"
+                onValueChange={(value) => onChange('animations', value)}
+              />
+            </View>
+            <View style={[styles.settingsRow, styles.settingsSwitchRow]}>
+              <Text style={styles.settingsLabel}>Vibrate on lightning</Text>
+              <Switch
+                value={settings.vibration}
+                accessibilityLabel="Vibrate on lightning"
+                onValueChange={(value) => onChange('vibration', value)}
+              />
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
 
-      // Fetch 5-day forecast
-      const forecastResponse = await fetch(
-        `${API_BASE_URL}/forecast?q=${cityName}&appid=${API_KEY}&units=metric`
-      );
-      const forecastData = await forecastResponse.json();
+/**
+ * Minus / value / plus control, adjustable with screen reader swipes
+ *
+ * @param {string} label - What the value is, for screen readers
+ * @param {string} value - Formatted value
+ * @param {function} onStep - Called with 1 (plus) or -1 (minus)
+ */
+const Stepper = ({ label, value, onStep }) => (
+  <View
+    style={styles.stepper}
+    accessible
+    accessibilityRole="adjustable"
+    accessibilityLabel={label}
+    accessibilityValue={{ text: value }}
+    accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+    onAccessibilityAction={(event) => onStep(event.nativeEvent.actionName === 'increment' ? 1 : -1)}
+  >
+    <TouchableOpacity style={styles.savedAction} onPress={() => onStep(-1)} activeOpacity={0.7}>
+      <Text style={styles.savedActionText}>−</Text>
+    </TouchableOpacity>
+    <Text style={styles.stepperValue}>{value}</Text>
+    <TouchableOpacity style={styles.savedAction} onPress={() => onStep(1)} activeOpacity={0.7}>
+      <Text style={styles.savedActionText}>+</Text>
+    </TouchableOpacity>
+  </View>
+);
 
-      // Filter to get one reading per day (at noon)
-      setForecast(
-        forecastData.list.filter((item) => item.dt_txt.includes('12:00:00'))
-      );
-    } catch (err) {
-      setError(err.message);
-      setWeather(null);
-      setForecast([]);
-      setOneCallData(null);
-    } finally {
-      setLoading(false);
-    }
+/**
+ * Sheet for editing a location's custom alert rules
+ * Each rule has a threshold stepper and an optional time-of-day window;
+ * changes apply (and persist) right away, like the settings.
+ *
+ * @param {boolean} visible - Sheet is open
+ * @param {object[]} rules - The location's rules
+ * @param {string} locationName - Location the rules belong to
+ * @param {object} units - Display units from getDisplayUnits
+ * @param {string} timeFormat - '12h' or '24h'
+ * @param {function} onChange - Called with the new list of rules
+ * @param {function} onClose - Closes the sheet
+ */
+const RuleEditorModal = ({ visible, rules, locationName, units, timeFormat, onChange, onClose }) => {
+  const updateRule = (id, update) => {
+    onChange(rules.map((rule) => (rule.id === id ? update(rule) : rule)));
   };
 
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle} accessibilityRole="header">
+              Custom Alerts{locationName ? ` · ${locationName}` : ''}
+            </Text>
+            <TouchableOpacity onPress={onClose} activeOpacity={0.7} accessibilityRole="button">
+              <Text style={styles.modalDone}>Done</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false}>
+            {rules.length === 0 && (
+              <Text style={styles.modalEmpty}>No rules for this location yet</Text>
+            )}
+
+            {rules.map((rule) => {
+              const type = RULE_TYPES[rule.type];
+              return (
+                <View key={rule.id} style={[styles.settingsRow, styles.forecastRowBorder]}>
+                  <View style={styles.settingsSwitchRow}>
+                    <Text style={styles.settingsLabel}>{type.icon} {type.label}</Text>
+                    <TouchableOpacity
+                      style={styles.savedAction}
+                      onPress={() => onChange(rules.filter((r) => r.id !== rule.id))}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Remove ${describeRule(rule, units, timeFormat)}`}
+                    >
+                      <Text style={[styles.savedActionText, styles.savedRemoveText]}>✕</Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  <View style={styles.ruleEditorRow}>
+                    <Text style={styles.ruleEditorLabel}>
+                      {type.comparison === 'below' ? 'At or below' : 'At or above'}
+                    </Text>
+                    <Stepper
+                      label={`${type.label} threshold`}
+                      value={formatRuleValue(rule.type, rule.threshold, units)}
+                      onStep={(direction) => updateRule(rule.id, (r) => stepRuleThreshold(r, direction, units))}
+                    />
+                  </View>
+
+                  <View style={styles.ruleEditorRow}>
+                    <Text style={styles.ruleEditorLabel}>Only at certain hours</Text>
+                    <Switch
+                      value={!!rule.window}
+                      accessibilityLabel={`${type.label} only at certain hours`}
+                      onValueChange={() => updateRule(rule.id, toggleRuleWindow)}
+                    />
+                  </View>
+                  {rule.window && (
+                    <>
+                      <View style={styles.ruleEditorRow}>
+                        <Text style={styles.ruleEditorLabel}>From</Text>
+                        <Stepper
+                          label={`${type.label} from`}
+                          value={formatWindowHour(rule.window.from, timeFormat)}
+                          onStep={(direction) => updateRule(rule.id, (r) => stepRuleWindow(r, 'from', direction))}
+                        />
+                      </View>
+                      <View style={styles.ruleEditorRow}>
+                        <Text style={styles.ruleEditorLabel}>Until</Text>
+                        <Stepper
+                          label={`${type.label} until`}
+                          value={formatWindowHour(rule.window.to, timeFormat)}
+                          onStep={(direction) => updateRule(rule.id, (r) => stepRuleWindow(r, 'to', direction))}
+                        />
+                      </View>
+                    </>
+                  )}
+                </View>
+              );
+            })}
+
+            {/* Add Rule */}
+            <View style={styles.settingsRow}>
+              <Text style={styles.settingsLabel}>Add a rule</Text>
+              <View style={styles.settingsChips}>
+                {Object.entries(RULE_TYPES).map(([key, type]) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={styles.settingsChip}
+                    onPress={() => onChange([...rules, createRule(key)])}
+                    activeOpacity={0.8}
+                    accessibilityRole="button"
+                    accessibilityLabel={`Add ${type.label} rule`}
+                  >
+                    <Text style={styles.settingsChipText}>+ {type.icon} {type.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.settingsHint}>
+                Checked against the hourly and 5-day forecast each time the weather refreshes (UV only for the next 2 days)
+              </Text>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+
+// ============================================================================
+// MAIN APP COMPONENT
+// ============================================================================
+
+export default function App() {
+  // ----- STATE -----
+  const [city, setCity] = useState('');
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isHydrated, setIsHydrated] = useState(false); // Persisted state restored (saving starts after)
+  const [savedLocations, setSavedLocations] = useState([]);
+  const [dismissedAlerts, setDismissedAlerts] = useState({}); // Alert id -> { revision, end }
+  const [rulesByLocation, setRulesByLocation] = useState({}); // Location id -> custom alert rules
+  const [activePage, setActivePage] = useState(0); // 0 = search/GPS page, then saved locations
+  const [isManagingLocations, setIsManagingLocations] = useState(false);
+  const [isEditingSettings, setIsEditingSettings] = useState(false);
+  const [suggestions, setSuggestions] = useState([]); // Autocomplete places for the search text
+  const [showSuggestions, setShowSuggestions] = useState(false); // Only while the user is typing
+
+  const pagerRef = useRef(null);
+  const locationRequestRef = useRef(0); // Bumped by every search so a slow GPS fix can't override it
+
+  // ----- DERIVED VALUES -----
+  const providerId = settings.provider;
+  const weatherClient = useMemo(() => createWeatherClient({ provider: providerId }), [providerId]);
+  const primary = useWeather(weatherClient); // Search/GPS page
+  const isAppActive = useAppActive(); // Animations pause in the background and with the screen off
+  const isSystemReduceMotion = useSystemReduceMotion();
+  const reduceMotion = isReduceMotion(settings, isSystemReduceMotion);
+  const primaryLocation = primary.weather ? locationFromWeather(primary.weather) : null;
+  // Rules follow the saved location the search/GPS page shows, if any, whichever provider placed it
+  const primaryRulesId = primaryLocation
+    && (findNearbyLocation(savedLocations, primaryLocation.lat, primaryLocation.lon) || primaryLocation).id;
+  const isNotificationPermissionDenied = useAlertNotifications({
+    severities: settings.alertNotifications,
+    location: primaryLocation,
+    isAppActive,
+  });
+  const savedIds = savedLocations.map((l) => l.id);
+  const pageCount = savedLocations.length + 1;
+  const isCelsius = getDisplayUnits(settings).temperature === 'celsius';
+
+  // ----- HELPER FUNCTIONS -----
+
   /**
-   * Fetches weather data by coordinates
+   * Replaces the custom alert rules of one location (persisted by the effect below)
    */
-  const fetchWeatherByCoords = async (lat, lon) => {
-    try {
-      setLoading(true);
-      setError(null);
-
-      // Fetch current weather
-      const weatherResponse = await fetch(
-        `${API_BASE_URL}/weather?lat=${lat}&lon=${lon}&appid=${API_KEY}&units=metric`
-      );
-      const weatherData = await weatherResponse.json();
-      setWeather(weatherData);
-      setCity(weatherData.name);
-      setHasLoadedWeather(true); // Mark that we've loaded weather
+  const updateLocationRules = (locationId, rules) => {
+    setRulesByLocation((current) => setLocationRules(current, locationId, rules));
+  };
 
-      // Fetch One Call data for UV, hourly, minutely, alerts
-      fetchOneCallData(lat, lon);
+  /**
+   * Updates one or more settings (persisted by the effect below)
+   */
+  const updateSettings = (changes) => {
+    setSettings((current) => ({ ...current, ...changes }));
+  };
 
-      // Fetch 5-day forecast
-      const forecastResponse = await fetch(
-        `${API_BASE_URL}/forecast?lat=${lat}&lon=${lon}&appid=${API_KEY}&units=metric`
-      );
-      const forecastData = await forecastResponse.json();
-      setForecast(
-        forecastData.list.filter((item) => item.dt_txt.includes('12:00:00'))
-      );
-    } catch (err) {
-      setError('Failed to fetch weather data');
-      setOneCallData(null);
-    } finally {
-      setLoading(false);
-    }
+  /**
+   * Scrolls the pager to a page
+   */
+  const goToPage = (index) => {
+    pagerRef.current?.scrollTo({ x: index * SCREEN_WIDTH, animated: true });
+    setActivePage(index);
   };
 
+  // ----- API FUNCTIONS -----
+
   /**
    * Gets user's current location and fetches weather
    */
   const getLocation = async () => {
+    const requestId = ++locationRequestRef.current;
+    const isCurrent = () => requestId === locationRequestRef.current;
+
     try {
-      setLoading(true);
+      primary.cancelRequest();
+      primary.setLoading(true);
+      goToPage(0);
 
       const { status } = await Location.requestForegroundPermissionsAsync();
+      if (!isCurrent()) return;
       if (status !== 'granted') {
-        setError('Location permission denied');
-        setLoading(false);
+        primary.setError(new WeatherError(ERROR_TYPES.LOCATION_DENIED));
+        primary.setLoading(false);
         return;
       }
 
       const location = await Location.getCurrentPositionAsync({});
-      await fetchWeatherByCoords(
+      if (!isCurrent()) return;
+      const data = await primary.fetchWeatherByCoords(
         location.coords.latitude,
         location.coords.longitude
       );
+      if (data) setCity(data.current.name);
     } catch (err) {
-      setError('Could not get location');
-      setLoading(false);
+      if (!isCurrent()) return;
+      primary.setError(new WeatherError(ERROR_TYPES.LOCATION_UNAVAILABLE, err.message));
+      primary.setLoading(false);
+    }
+  };
+
+  /**
+   * Loads the location chosen as "Open at launch" in settings
+   */
+  const openDefaultLocation = (defaultLocation) => {
+    if (defaultLocation === 'current') {
+      getLocation();
+    } else if (defaultLocation) {
+      setCity(defaultLocation.name);
+      primary.fetchWeatherByCoords(defaultLocation.lat, defaultLocation.lon, {
+        name: defaultLocation.name,
+        country: defaultLocation.country,
+      });
     }
   };
 
   // ----- EVENT HANDLERS -----
 
   const handleSearch = () => {
+    setShowSuggestions(false);
     if (city.trim()) {
-      fetchWeatherByCity(city.trim());
+      locationRequestRef.current++;
+      goToPage(0);
+      primary.fetchWeatherByCity(city.trim());
     }
   };
 
+  const handleCityChange = (text) => {
+    setCity(text);
+    setShowSuggestions(true);
+  };
+
+  /**
+   * Loads the exact place picked from the autocomplete dropdown
+   */
+  const handleSelectSuggestion = (place) => {
+    setShowSuggestions(false);
+    setCity(place.name);
+    locationRequestRef.current++;
+    goToPage(0);
+    primary.fetchWeatherByCoords(place.lat, place.lon, {
+      name: place.name,
+      country: place.country,
+    });
+  };
+
   const toggleTemperatureUnit = () => {
-    setIsCelsius(!isCelsius);
+    updateSettings({ temperatureUnit: isCelsius ? 'fahrenheit' : 'celsius' });
+  };
+
+  /**
+   * Switches to a unit preset, dropping the per-quantity overrides
+   */
+  const selectUnitSystem = (unitSystem) => {
+    const overrides = {};
+    Object.keys(UNIT_SETTINGS).forEach((key) => {
+      overrides[key] = null;
+    });
+    updateSettings({ unitSystem, ...overrides });
+  };
+
+  const toggleProvider = () => {
+    updateSettings({ provider: providerId === 'openweathermap' ? 'openmeteo' : 'openweathermap' });
+  };
+
+  const toggleSaved = (weather) => {
+    const location = locationFromWeather(weather);
+    if (savedIds.includes(location.id)) {
+      setSavedLocations(removeLocation(savedLocations, location.id));
+    } else {
+      setSavedLocations(addLocation(savedLocations, location));
+    }
+  };
+
+  /**
+   * Runs the recovery action offered in a page's error card
+   */
+  const handleErrorAction = (action, weatherState) => {
+    switch (action) {
+      case 'switchProvider': updateSettings({ provider: 'openmeteo' }); break;
+      case 'locate':         getLocation(); break;
+      case 'openSettings':   Linking.openSettings(); break;
+      default:               weatherState.retry();
+    }
+  };
+
+  const handlePagerScroll = (event) => {
+    setActivePage(Math.round(event.nativeEvent.contentOffset.x / SCREEN_WIDTH));
   };
 
   // ----- EFFECTS -----
 
-  // Update weather type when weather data changes
+  // Restore persisted state on launch, then open the default location
+  // Changes made while it loaded are merged over the stored values, not lost
+  useEffect(() => {
+    Promise.all([loadSettings(), loadSavedLocations(), loadDismissedAlerts(), loadThresholdRules()])
+      .then(([storedSettings, storedLocations, storedDismissed, storedRules]) => {
+        setSettings((current) => ({ ...storedSettings, ...getChangedSettings(current) }));
+        setSavedLocations((current) => current.reduce(addLocation, storedLocations));
+        setDismissedAlerts((current) => ({ ...storedDismissed, ...current }));
+        setRulesByLocation((current) => ({ ...storedRules, ...current }));
+        setIsHydrated(true);
+        openDefaultLocation(storedSettings.defaultLocation);
+      });
+  }, []);
+
+  // Persist the settings once restored
+  useEffect(() => {
+    if (isHydrated) saveSettings(settings);
+  }, [isHydrated, settings]);
+
+  // Persist the saved locations once restored (saving earlier would overwrite them)
+  useEffect(() => {
+    if (isHydrated) saveSavedLocations(savedLocations);
+  }, [isHydrated, savedLocations]);
+
+  // Persist the dismissed alerts once restored
+  useEffect(() => {
+    if (isHydrated) saveDismissedAlerts(dismissedAlerts);
+  }, [isHydrated, dismissedAlerts]);
+
+  // Persist the custom alert rules once restored
+  useEffect(() => {
+    if (isHydrated) saveThresholdRules(rulesByLocation);
+  }, [isHydrated, rulesByLocation]);
+
+  // Look up matching places while the user types (debounced)
   useEffect(() => {
-    if (weather) {
-      setWeatherType(getWeatherType(weather));
+    const text = city.trim();
+    if (!showSuggestions || text.length < 2) {
+      setSuggestions([]);
+      return;
     }
-  }, [weather]);
 
-  // ----- RENDER -----
-  return (
-    <View style={[styles.container, { backgroundColor: hasLoadedWeather ? theme.background : '#1a2a3a' }]}>
-      <StatusBar style="light" />
+    // Superseded lookups are aborted and their results ignored
+    let isCancelled = false;
+    const controller = new AbortController();
 
-      {/* Background Animation */}
-      <WeatherAnimation weatherType={weatherType} showQuadrantShowcase={!hasLoadedWeather} />
+    const timeout = setTimeout(async () => {
+      try {
+        const places = await weatherClient.searchPlaces(text, { signal: controller.signal });
+        if (!isCancelled) setSuggestions(places);
+      } catch (err) {
+        if (!isCancelled) setSuggestions([]);
+      }
+    }, 300);
 
-      {/* Main Content */}
-      <ScrollView
-        style={styles.scrollView}
-        contentContainerStyle={styles.scrollContent}
-        showsVerticalScrollIndicator={false}
-      >
-        {/* Header: Location Button & Unit Toggle */}
-        <View style={styles.header}>
+    return () => {
+      isCancelled = true;
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [city, showSuggestions, weatherClient]);
+
+  // Keep the active page in range after locations are removed
+  useEffect(() => {
+    if (activePage >= pageCount) goToPage(pageCount - 1);
+  }, [pageCount]);
+
+  // ----- RENDER -----
+
+  /**
+   * Header, search bar and page dots, drawn on every page in that page's theme
+   */
+  const renderHeader = (theme, hasLoadedWeather) => (
+    <>
+      {/* Header: Location Button & Unit Toggle */}
+      <View style={styles.header}>
+        <View style={styles.headerButtons}>
           <TouchableOpacity
             style={styles.locationBtn}
             onPress={getLocation}
             activeOpacity={0.7}
+            accessibilityRole="button"
+            accessibilityLabel="Use my location"
           >
             <Text style={styles.locationIcon}>&#9737;</Text>
           </TouchableOpacity>
-
           <TouchableOpacity
-            style={[styles.unitToggle, { backgroundColor: theme.cardBg }]}
-            onPress={toggleTemperatureUnit}
-            activeOpacity={0.8}
+            style={styles.locationBtn}
+            onPress={() => setIsEditingSettings(true)}
+            activeOpacity={0.7}
+            accessibilityRole="button"
+            accessibilityLabel="Settings"
           >
-            <View style={[
-              styles.unitOption,
-              isCelsius && { backgroundColor: theme.accent }
-            ]}>
-              <Text style={[
-                styles.unitText,
-                isCelsius && styles.unitTextActive
-              ]}>C</Text>
-            </View>
-            <View style={[
-              styles.unitOption,
-              !isCelsius && { backgroundColor: theme.accent }
-            ]}>
-              <Text style={[
-                styles.unitText,
-                !isCelsius && styles.unitTextActive
-              ]}>F</Text>
-            </View>
+            <Text style={styles.settingsIcon}>⚙</Text>
           </TouchableOpacity>
         </View>
 
-        {/* Search Bar */}
+        <TouchableOpacity
+          style={[styles.providerToggle, { backgroundColor: theme.cardBg }]}
+          onPress={toggleProvider}
+          activeOpacity={0.8}
+          accessibilityRole="button"
+          accessibilityLabel="Weather data provider"
+          accessibilityValue={{ text: WEATHER_PROVIDERS[providerId].name }}
+          accessibilityHint="Switches to the other provider and reloads the weather"
+        >
+          <Text style={styles.providerLabel}>Data</Text>
+          <Text style={styles.providerText}>{WEATHER_PROVIDERS[providerId].name}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.unitToggle, { backgroundColor: theme.cardBg }]}
+          onPress={toggleTemperatureUnit}
+          activeOpacity={0.8}
+          accessibilityRole="button"
+          accessibilityLabel="Temperature unit"
+          accessibilityValue={{ text: isCelsius ? 'Celsius' : 'Fahrenheit' }}
+          accessibilityHint={`Switches to ${isCelsius ? 'Fahrenheit' : 'Celsius'}`}
+        >
+          <View style={[
+            styles.unitOption,
+            isCelsius && { backgroundColor: theme.accent }
+          ]}>
+            <Text style={[
+              styles.unitText,
+              isCelsius && styles.unitTextActive
+            ]}>C</Text>
+          </View>
+          <View style={[
+            styles.unitOption,
+            !isCelsius && { backgroundColor: theme.accent }
+          ]}>
+            <Text style={[
+              styles.unitText,
+              !isCelsius && styles.unitTextActive
+            ]}>F</Text>
+          </View>
+        </TouchableOpacity>
+      </View>
+
+      {/* Search Bar */}
+      <View style={styles.searchWrapper}>
         <View style={[styles.searchContainer, { backgroundColor: hasLoadedWeather ? theme.cardBg : 'rgba(255, 255, 255, 0.2)' }]}>
           <TextInput
             style={styles.searchInput}
             placeholder="Search city..."
             placeholderTextColor="rgba(255,255,255,0.5)"
             value={city}
-            onChangeText={setCity}
+            onChangeText={handleCityChange}
             onSubmitEditing={handleSearch}
             returnKeyType="search"
+            accessibilityLabel="Search city"
           />
           <TouchableOpacity
             style={[styles.searchBtn, { backgroundColor: hasLoadedWeather ? theme.accent : 'rgba(255, 255, 255, 0.3)' }]}
             onPress={handleSearch}
             activeOpacity={0.8}
+            accessibilityRole="button"
+            accessibilityLabel="Search"
           >
-            <Text style={styles.searchBtnText}>Go</Text>
-          </TouchableOpacity>
-        </View>
-
-        {/* Loading State */}
-        {loading && (
-          <View style={styles.loadingContainer}>
-            <ActivityIndicator size="large" color={theme.accent} />
-            <Text style={styles.loadingText}>Fetching weather...</Text>
-          </View>
-        )}
-
-        {/* Error State */}
-        {error && (
-          <View style={[styles.errorContainer, { backgroundColor: theme.cardBg }]}>
-            <Text style={styles.errorText}>{error}</Text>
-          </View>
-        )}
-
-        {/* Weather Content */}
-        {weather && !loading && (
-          <>
-            {/* Current Weather */}
-            <View style={styles.currentWeatherSection}>
-              <Text style={styles.locationName}>{weather.name}</Text>
-              <Text style={styles.countryName}>{weather.sys.country}</Text>
-
-              <View style={styles.tempContainer}>
-                <Image
-                  source={{ uri: getWeatherIconUrl(weather.weather[0].icon) }}
-                  style={styles.mainIcon}
-                />
-                <View style={styles.tempInfo}>
-                  <Text style={styles.mainTemp}>
-                    {convertTemp(weather.main.temp)}
-                    <Text style={styles.tempDegree}>{tempUnit}{unitLabel}</Text>
-                  </Text>
-                  <Text style={styles.weatherDesc}>
-                    {weather.weather[0].description}
-                  </Text>
-                </View>
-              </View>
-
-              <Text style={styles.feelsLike}>
-                Feels like {convertTemp(weather.main.feels_like)}°
-              </Text>
-
-              {/* Min/Max Temperature */}
-              <View style={styles.minMaxContainer}>
-                <Text style={styles.minMaxText}>
-                  H: {convertTemp(weather.main.temp_max)}°
-                </Text>
-                <Text style={styles.minMaxDivider}>•</Text>
-                <Text style={styles.minMaxText}>
-                  L: {convertTemp(weather.main.temp_min)}°
-                </Text>
-              </View>
-
-              {/* Sunrise/Sunset */}
-              <View style={styles.sunTimesContainer}>
-                <View style={styles.sunTimeItem}>
-                  <Text style={styles.sunTimeIcon}>☀</Text>
-                  <Text style={styles.sunTimeValue}>
-                    {formatTime(weather.sys.sunrise, weather.timezone)}
-                  </Text>
-                </View>
-                <View style={styles.sunTimeItem}>
-                  <Text style={styles.sunTimeIcon}>☽</Text>
-                  <Text style={styles.sunTimeValue}>
-                    {formatTime(weather.sys.sunset, weather.timezone)}
-                  </Text>
-                </View>
-              </View>
-
-              {/* Rain Volume (only when raining) */}
-              {weather.rain && (
-                <View style={[styles.precipitationBadge, { backgroundColor: theme.cardBg }]}>
-                  <Text style={styles.precipitationIcon}>🌧</Text>
-                  <Text style={styles.precipitationText}>
-                    {weather.rain['1h'] ? `${weather.rain['1h']} mm/h` : `${weather.rain['3h']} mm (3h)`}
-                  </Text>
-                </View>
-              )}
-
-              {/* Snow Volume (only when snowing) */}
-              {weather.snow && (
-                <View style={[styles.precipitationBadge, { backgroundColor: theme.cardBg }]}>
-                  <Text style={styles.precipitationIcon}>❄</Text>
-                  <Text style={styles.precipitationText}>
-                    {weather.snow['1h'] ? `${weather.snow['1h']} mm/h` : `${weather.snow['3h']} mm (3h)`}
-                  </Text>
-                </View>
-              )}
-            </View>
-
-            {/* Stats Cards - Row 1 */}
-            <View style={styles.statsRow}>
-              <View style={[styles.statCard, { backgroundColor: theme.cardBg }]}>
-                <SplashContainer isRaining={weatherType === 'rain' || weatherType === 'thunderstorm'} />
-                <SnowPileContainer isSnowing={weatherType === 'snow'} />
-                <Text style={styles.statValue}>{weather.main.humidity}%</Text>
-                <Text style={styles.statLabel}>Humidity</Text>
-              </View>
-              <View style={[styles.statCard, { backgroundColor: theme.cardBg }]}>
-                <SplashContainer isRaining={weatherType === 'rain' || weatherType === 'thunderstorm'} />
-                <SnowPileContainer isSnowing={weatherType === 'snow'} />
-                <Text style={styles.statValue}>
-                  {Math.round(weather.wind.speed)} m/s {getWindDirection(weather.wind.deg)}
-                </Text>
-                <Text style={styles.statLabel}>Wind</Text>
-                {weather.wind.gust && (
-                  <Text style={styles.statSubValue}>
-                    Gusts: {Math.round(weather.wind.gust)} m/s
-                  </Text>
-                )}
-              </View>
-              <View style={[styles.statCard, { backgroundColor: theme.cardBg }]}>
-                <SplashContainer isRaining={weatherType === 'rain' || weatherType === 'thunderstorm'} />
-                <SnowPileContainer isSnowing={weatherType === 'snow'} />
-                <Text style={styles.statValue}>{weather.main.pressure}</Text>
-                <Text style={styles.statLabel}>hPa</Text>
-              </View>
-            </View>
-
-            {/* Stats Cards - Row 2 */}
-            <View style={styles.statsRow}>
-              <View style={[styles.statCard, { backgroundColor: theme.cardBg }]}>
-                <SplashContainer isRaining={weatherType === 'rain' || weatherType === 'thunderstorm'} />
-                <SnowPileContainer isSnowing={weatherType === 'snow'} />
-                <Text style={styles.statValue}>{formatVisibility(weather.visibility)}</Text>
-                <Text style={styles.statLabel}>Visibility</Text>
-              </View>
-              <View style={[styles.statCard, { backgroundColor: theme.cardBg }]}>
-                <SplashContainer isRaining={weatherType === 'rain' || weatherType === 'thunderstorm'} />
-                <SnowPileContainer isSnowing={weatherType === 'snow'} />
-                <Text style={styles.statValue}>{weather.clouds.all}%</Text>
-                <Text style={styles.statLabel}>Cloudiness</Text>
-              </View>
-              <View style={[styles.statCard, { backgroundColor: theme.cardBg }]}>
-                <SplashContainer isRaining={weatherType === 'rain' || weatherType === 'thunderstorm'} />
-                <SnowPileContainer isSnowing={weatherType === 'snow'} />
-                <Text style={styles.statValue}>
-                  {convertTemp(calculateDewPoint(weather.main.temp, weather.main.humidity))}°
-                </Text>
-                <Text style={styles.statLabel}>Dew Point</Text>
-              </View>
-            </View>
+            <Text style={styles.searchBtnText}>Go</Text>
+          </TouchableOpacity>
+        </View>
 
-            {/* UV Index (from One Call API) */}
-            {oneCallData?.current?.uvi !== undefined && (
-              <View style={styles.uvSection}>
-                <Text style={styles.sectionTitle}>UV Index</Text>
-                <View style={[styles.uvCard, { backgroundColor: theme.cardBg }]}>
-                  <View style={styles.uvContent}>
-                    <Text style={[styles.uvValue, { color: getUVLevel(oneCallData.current.uvi).color }]}>
-                      {Math.round(oneCallData.current.uvi)}
-                    </Text>
-                    <Text style={[styles.uvLabel, { color: getUVLevel(oneCallData.current.uvi).color }]}>
-                      {getUVLevel(oneCallData.current.uvi).label}
-                    </Text>
-                  </View>
-                  <View style={styles.uvBar}>
-                    <View style={[styles.uvBarFill, {
-                      width: `${Math.min(oneCallData.current.uvi / 11 * 100, 100)}%`,
-                      backgroundColor: getUVLevel(oneCallData.current.uvi).color
-                    }]} />
-                  </View>
+        {/* Autocomplete Suggestions */}
+        {showSuggestions && suggestions.length > 0 && (
+          <View style={styles.suggestionList}>
+            {suggestions.map((place, index) => (
+              <TouchableOpacity
+                key={`${place.lat},${place.lon}`}
+                style={[
+                  styles.suggestionRow,
+                  index !== suggestions.length - 1 && styles.forecastRowBorder
+                ]}
+                onPress={() => handleSelectSuggestion(place)}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityLabel={[place.name, place.state, place.country].filter(Boolean).join(', ')}
+              >
+                <Text style={styles.suggestionFlag}>{getCountryFlag(place.country)}</Text>
+                <View style={styles.suggestionText}>
+                  <Text style={styles.suggestionCity}>{place.name}</Text>
+                  <Text style={styles.suggestionRegion}>
+                    {[place.state, place.country].filter(Boolean).join(', ')}
+                  </Text>
                 </View>
-              </View>
-            )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
 
-            {/* Weather Alerts (from One Call API) */}
-            {oneCallData?.alerts && oneCallData.alerts.length > 0 && (
-              <View style={styles.alertsSection}>
-                <Text style={styles.sectionTitle}>Weather Alerts</Text>
-                {oneCallData.alerts.map((alert, index) => (
-                  <View key={index} style={[styles.alertCard, { backgroundColor: 'rgba(244, 67, 54, 0.15)' }]}>
-                    <View style={styles.alertHeader}>
-                      <Text style={styles.alertIcon}>⚠</Text>
-                      <Text style={styles.alertTitle}>{alert.event}</Text>
-                    </View>
-                    <Text style={styles.alertSender}>{alert.sender_name}</Text>
-                    <Text style={styles.alertDesc} numberOfLines={3}>
-                      {alert.description}
-                    </Text>
-                  </View>
-                ))}
-              </View>
-            )}
+      {/* Page Dots & Saved Locations Editor (only with saved locations) */}
+      {savedLocations.length > 0 && (
+        <View style={styles.pageIndicator}>
+          <View
+            style={styles.pageDots}
+            accessible
+            accessibilityLabel={`Location ${activePage + 1} of ${pageCount}, swipe to change`}
+          >
+            {Array.from({ length: pageCount }, (_, index) => (
+              <View
+                key={index}
+                style={[
+                  styles.pageDot,
+                  index === 0 && styles.pageDotHome,
+                  index === activePage && { backgroundColor: theme.accent }
+                ]}
+              />
+            ))}
+          </View>
+          <TouchableOpacity
+            onPress={() => setIsManagingLocations(true)}
+            activeOpacity={0.7}
+            accessibilityRole="button"
+            accessibilityLabel="Edit saved locations"
+          >
+            <Text style={styles.pageEdit}>Edit</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </>
+  );
 
-            {/* Hourly Forecast (from One Call API) */}
-            {oneCallData?.hourly && (
-              <View style={styles.hourlySection}>
-                <Text style={styles.sectionTitle}>Hourly Forecast</Text>
-                <ScrollView
-                  horizontal
-                  showsHorizontalScrollIndicator={false}
-                  style={[styles.hourlyScroll, { backgroundColor: theme.cardBg }]}
-                  contentContainerStyle={styles.hourlyScrollContent}
-                >
-                  {oneCallData.hourly.slice(0, 24).map((hour, index) => (
-                    <View key={index} style={styles.hourlyItem}>
-                      <Text style={styles.hourlyTime}>
-                        {formatHour(hour.dt, oneCallData.timezone_offset, index === 0)}
-                      </Text>
-                      <Image
-                        source={{ uri: getWeatherIconUrl(hour.weather[0].icon) }}
-                        style={styles.hourlyIcon}
-                      />
-                      <Text style={styles.hourlyTemp}>
-                        {convertTemp(hour.temp)}°
-                      </Text>
-                      {hour.pop > 0 && (
-                        <Text style={styles.hourlyPop}>
-                          {Math.round(hour.pop * 100)}%
-                        </Text>
-                      )}
-                    </View>
-                  ))}
-                </ScrollView>
-              </View>
-            )}
+  return (
+    <View style={styles.container}>
+      <StatusBar style="light" />
 
-            {/* Minutely Precipitation (from One Call API) */}
-            {oneCallData?.minutely && oneCallData.minutely.some(m => m.precipitation > 0) && (
-              <View style={styles.minutelySection}>
-                <Text style={styles.sectionTitle}>Precipitation (Next Hour)</Text>
-                <View style={[styles.minutelyCard, { backgroundColor: theme.cardBg }]}>
-                  <View style={styles.minutelyChart}>
-                    {oneCallData.minutely.slice(0, 60).map((minute, index) => (
-                      <View
-                        key={index}
-                        style={[
-                          styles.minutelyBar,
-                          {
-                            height: Math.max(minute.precipitation * 20, 2),
-                            backgroundColor: minute.precipitation > 0 ? theme.accent : 'rgba(255,255,255,0.1)',
-                          }
-                        ]}
-                      />
-                    ))}
-                  </View>
-                  <View style={styles.minutelyLabels}>
-                    <Text style={styles.minutelyLabel}>Now</Text>
-                    <Text style={styles.minutelyLabel}>15m</Text>
-                    <Text style={styles.minutelyLabel}>30m</Text>
-                    <Text style={styles.minutelyLabel}>45m</Text>
-                    <Text style={styles.minutelyLabel}>60m</Text>
-                  </View>
-                </View>
-              </View>
-            )}
+      {/* City Pager: search/GPS page followed by one page per saved location */}
+      <ScrollView
+        ref={pagerRef}
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+        onMomentumScrollEnd={handlePagerScroll}
+      >
+        <WeatherPage
+          weatherState={primary}
+          settings={settings}
+          showAnimation={settings.animations && activePage <= 1}
+          isVisible={isAppActive && activePage === 0}
+          reduceMotion={reduceMotion}
+          renderHeader={renderHeader}
+          isSaved={!!primary.weather && savedIds.includes(locationFromWeather(primary.weather).id)}
+          onToggleSaved={() => toggleSaved(primary.weather)}
+          onErrorAction={(action) => handleErrorAction(action, primary)}
+          dismissedAlerts={dismissedAlerts}
+          onDismissAlert={(alert) => setDismissedAlerts((current) => dismissAlert(current, alert))}
+          onRestoreAlert={(alert) => setDismissedAlerts((current) => restoreAlert(current, alert))}
+          thresholdRules={primaryRulesId ? rulesByLocation[primaryRulesId] : undefined}
+          onChangeRules={(rules) => primaryRulesId && updateLocationRules(primaryRulesId, rules)}
+        />
+        {savedLocations.map((location, index) => (
+          <SavedLocationPage
+            key={location.id}
+            location={location}
+            weatherClient={weatherClient}
+            settings={settings}
+            showAnimation={settings.animations && Math.abs(activePage - (index + 1)) <= 1}
+            isVisible={isAppActive && activePage === index + 1}
+            reduceMotion={reduceMotion}
+            renderHeader={renderHeader}
+            isSaved
+            onToggleSaved={() => setSavedLocations(removeLocation(savedLocations, location.id))}
+            onErrorAction={handleErrorAction}
+            dismissedAlerts={dismissedAlerts}
+            onDismissAlert={(alert) => setDismissedAlerts((current) => dismissAlert(current, alert))}
+            onRestoreAlert={(alert) => setDismissedAlerts((current) => restoreAlert(current, alert))}
+            thresholdRules={rulesByLocation[location.id]}
+            onChangeRules={(rules) => updateLocationRules(location.id, rules)}
+          />
+        ))}
+      </ScrollView>
 
-            {/* 5-Day Forecast */}
-            {forecast.length > 0 && (
-              <View style={styles.forecastSection}>
-                <Text style={styles.sectionTitle}>5-Day Forecast</Text>
-                <View style={[styles.forecastCard, { backgroundColor: theme.cardBg }]}>
-                  {forecast.map((day, index) => (
-                    <View
-                      key={index}
-                      style={[
-                        styles.forecastRow,
-                        index !== forecast.length - 1 && styles.forecastRowBorder
-                      ]}
-                    >
-                      <Text style={styles.forecastDay}>
-                        {formatDayName(day.dt_txt)}
-                      </Text>
-                      <ForecastIcon
-                        condition={day.weather[0].main}
-                        iconCode={day.weather[0].icon}
-                      />
-                      <Text style={styles.forecastCondition}>
-                        {day.weather[0].main}
-                      </Text>
-                      <Text style={styles.forecastTemp}>
-                        {convertTemp(day.main.temp)}°
-                      </Text>
-                    </View>
-                  ))}
-                </View>
-              </View>
-            )}
-          </>
-        )}
+      <SavedLocationsModal
+        visible={isManagingLocations}
+        locations={savedLocations}
+        onClose={() => setIsManagingLocations(false)}
+        onSelect={(index) => {
+          setIsManagingLocations(false);
+          goToPage(index + 1);
+        }}
+        onMove={(id, offset) => setSavedLocations(moveLocation(savedLocations, id, offset))}
+        onRemove={(id) => setSavedLocations(removeLocation(savedLocations, id))}
+      />
 
-        <View style={styles.bottomSpacer} />
-      </ScrollView>
+      <SettingsModal
+        visible={isEditingSettings}
+        settings={settings}
+        savedLocations={savedLocations}
+        isSystemReduceMotion={isSystemReduceMotion}
+        isNotificationPermissionDenied={isNotificationPermissionDenied}
+        onClose={() => setIsEditingSettings(false)}
+        onChange={(key, value) => updateSettings({ [key]: value })}
+        onSelectUnitSystem={selectUnitSystem}
+      />
     </View>
   );
 }
@@ -1843,6 +4754,11 @@ const styles = StyleSheet.create({
   // ----- LAYOUT -----
   container: {
     flex: 1,
+    backgroundColor: '#1a2a3a',
+  },
+  page: {
+    width: SCREEN_WIDTH,
+    flex: 1,
   },
   scrollView: {
     flex: 1,
@@ -1866,6 +4782,13 @@ const styles = StyleSheet.create({
     zIndex: 1,
     overflow: 'hidden',
   },
+  gustLayer: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: -GUST_MARGIN,
+    right: -GUST_MARGIN,
+  },
 
   // ----- QUADRANT SHOWCASE -----
   quadrantContainer: {
@@ -2017,6 +4940,33 @@ const styles = StyleSheet.create({
     fontSize: 22,
     color: '#fff',
   },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  settingsIcon: {
+    fontSize: 20,
+    color: '#fff',
+  },
+  providerToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  providerLabel: {
+    fontSize: 11,
+    color: 'rgba(255,255,255,0.5)',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+    marginRight: 8,
+  },
+  providerText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
   unitToggle: {
     flexDirection: 'row',
     borderRadius: 20,
@@ -2037,11 +4987,13 @@ const styles = StyleSheet.create({
   },
 
   // ----- SEARCH -----
+  searchWrapper: {
+    marginBottom: 32,
+  },
   searchContainer: {
     flexDirection: 'row',
     borderRadius: 16,
     padding: 6,
-    marginBottom: 32,
   },
   searchInput: {
     flex: 1,
@@ -2061,6 +5013,178 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#000',
   },
+  suggestionList: {
+    marginTop: 8,
+    borderRadius: 16,
+    backgroundColor: 'rgba(15, 25, 35, 0.92)',
+    overflow: 'hidden',
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+  },
+  suggestionFlag: {
+    fontSize: 22,
+    width: 34,
+  },
+  suggestionText: {
+    flex: 1,
+  },
+  suggestionCity: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#fff',
+  },
+  suggestionRegion: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.5)',
+    marginTop: 2,
+  },
+
+  // ----- PAGE INDICATOR -----
+  pageIndicator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: -20,
+    marginBottom: 24,
+  },
+  pageDots: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  pageDot: {
+    width: 7,
+    height: 7,
+    borderRadius: 3.5,
+    backgroundColor: 'rgba(255,255,255,0.25)',
+  },
+  pageDotHome: {
+    borderRadius: 1,
+  },
+  pageEdit: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: 'rgba(255,255,255,0.6)',
+  },
+
+  // ----- SAVED LOCATIONS SHEET -----
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  modalSheet: {
+    maxHeight: '85%',
+    backgroundColor: '#1a2a3a',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    paddingHorizontal: 24,
+    paddingTop: 20,
+    paddingBottom: 40,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  modalDone: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#64B5F6',
+  },
+  modalEmpty: {
+    fontSize: 14,
+    color: 'rgba(255,255,255,0.5)',
+    paddingVertical: 20,
+    textAlign: 'center',
+  },
+  savedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  savedName: {
+    flex: 1,
+  },
+  savedCity: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#fff',
+  },
+  savedCountry: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.5)',
+    marginTop: 2,
+    letterSpacing: 1,
+  },
+  savedAction: {
+    width: 36,
+    height: 36,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  savedActionText: {
+    fontSize: 18,
+    color: '#fff',
+  },
+  savedActionDisabled: {
+    color: 'rgba(255,255,255,0.2)',
+  },
+  savedRemoveText: {
+    color: '#FF6B6B',
+  },
+
+  // ----- SETTINGS SHEET -----
+  settingsRow: {
+    paddingVertical: 14,
+  },
+  settingsSwitchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  settingsLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#fff',
+  },
+  settingsChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 10,
+  },
+  settingsChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255,255,255,0.08)',
+  },
+  settingsChipActive: {
+    backgroundColor: '#64B5F6',
+  },
+  settingsChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'rgba(255,255,255,0.6)',
+  },
+  settingsChipTextActive: {
+    color: '#000',
+  },
+  settingsHint: {
+    marginTop: 8,
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.5)',
+  },
 
   // ----- LOADING & ERROR -----
   loadingContainer: {
@@ -2072,22 +5196,58 @@ const styles = StyleSheet.create({
     fontSize: 15,
     color: 'rgba(255,255,255,0.6)',
   },
+  retryText: {
+    marginTop: 6,
+    fontSize: 13,
+    color: 'rgba(255,255,255,0.45)',
+  },
   errorContainer: {
     padding: 20,
     borderRadius: 16,
     alignItems: 'center',
+    marginBottom: 24,
   },
   errorText: {
     color: '#FF6B6B',
     fontSize: 15,
     fontWeight: '500',
   },
+  errorMessage: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 13,
+    textAlign: 'center',
+    lineHeight: 19,
+    marginTop: 6,
+  },
+  errorActionBtn: {
+    marginTop: 14,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 12,
+  },
+  errorActionText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#000',
+  },
 
   // ----- CURRENT WEATHER -----
   currentWeatherSection: {
     alignItems: 'center',
     marginBottom: 32,
   },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  saveBtn: {
+    marginLeft: 10,
+    padding: 4,
+  },
+  saveIcon: {
+    fontSize: 24,
+    color: 'rgba(255,255,255,0.6)',
+  },
   locationName: {
     fontSize: 32,
     fontWeight: '300',
@@ -2128,12 +5288,48 @@ const styles = StyleSheet.create({
     textTransform: 'capitalize',
     marginTop: -8,
   },
+  weatherSummary: {
+    fontSize: 15,
+    lineHeight: 21,
+    color: 'rgba(255,255,255,0.85)',
+    textAlign: 'center',
+    marginTop: 8,
+    paddingHorizontal: 24,
+  },
   feelsLike: {
     fontSize: 14,
     color: 'rgba(255,255,255,0.5)',
     marginTop: 12,
   },
 
+  // Offline / stale data
+  staleBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 14,
+    marginTop: 12,
+  },
+  staleDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#FFB74D',
+    marginRight: 8,
+  },
+  staleText: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.7)',
+    fontWeight: '500',
+  },
+  staleCard: {
+    opacity: 0.6,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: 'rgba(255,255,255,0.25)',
+  },
+
   // Min/Max Temperature
   minMaxContainer: {
     flexDirection: 'row',
@@ -2226,6 +5422,46 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 
+  // ----- DAY DETAIL SHEET -----
+  daySummary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  daySummaryText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  dayCondition: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#fff',
+    textTransform: 'capitalize',
+  },
+  daySummaryLine: {
+    fontSize: 13,
+    color: 'rgba(255,255,255,0.7)',
+    marginTop: 4,
+    lineHeight: 18,
+  },
+  daySunTimes: {
+    marginBottom: 20,
+  },
+  dayStatsRow: {
+    marginBottom: 12,
+  },
+  dayStepCard: {
+    flex: 0,
+    width: 112,
+    marginRight: 10,
+    paddingVertical: 14,
+  },
+  dayStepDetail: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.75)',
+    marginTop: 4,
+  },
+
   // ----- FORECAST -----
   forecastSection: {
     marginBottom: 20,
@@ -2236,6 +5472,18 @@ const styles = StyleSheet.create({
     color: '#fff',
     marginBottom: 16,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  sectionHeaderTitle: {
+    flex: 1,
+  },
+  sectionHeaderAction: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
   forecastCard: {
     borderRadius: 20,
     overflow: 'hidden',
@@ -2251,7 +5499,7 @@ const styles = StyleSheet.create({
     borderBottomColor: 'rgba(255,255,255,0.06)',
   },
   forecastDay: {
-    width: 80,
+    width: 72,
     fontSize: 15,
     fontWeight: '500',
     color: '#fff',
@@ -2262,14 +5510,40 @@ const styles = StyleSheet.create({
   },
   forecastCondition: {
     flex: 1,
+    marginLeft: 8,
+  },
+  forecastConditionText: {
     fontSize: 14,
     color: 'rgba(255,255,255,0.6)',
-    marginLeft: 8,
+  },
+  forecastPrecip: {
+    fontSize: 11,
+    color: '#64B5F6',
+    marginTop: 2,
+    fontWeight: '500',
   },
   forecastTemp: {
-    fontSize: 18,
+    width: 36,
+    fontSize: 16,
     fontWeight: '600',
     color: '#fff',
+    textAlign: 'right',
+  },
+  forecastTempLow: {
+    color: 'rgba(255,255,255,0.5)',
+  },
+  forecastRange: {
+    width: 60,
+    height: 5,
+    marginLeft: 8,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+  },
+  forecastRangeFill: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderRadius: 3,
   },
 
   // ----- CUSTOM FORECAST ICONS -----
@@ -2430,17 +5704,61 @@ const styles = StyleSheet.create({
     borderRadius: 2,
   },
 
-  // ----- WEATHER ANIMATIONS -----
+  // Mini Haze
+  miniHazeSun: {
+    position: 'absolute',
+    top: 6,
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    backgroundColor: 'rgba(255, 224, 130, 0.7)',
+  },
+  miniHazeLines: {
+    marginTop: 16,
+  },
+  miniHazeLine: {
+    backgroundColor: 'rgba(255, 236, 200, 0.6)',
+  },
 
-  // Raindrop
-  raindrop: {
+  // Mini Dust
+  miniDustLine: {
+    backgroundColor: 'rgba(255, 204, 128, 0.6)',
+  },
+  miniDustGrain: {
     position: 'absolute',
-    width: 2,
-    height: 24,
-    backgroundColor: 'rgba(170, 200, 255, 0.5)',
+    width: 3,
+    height: 3,
+    borderRadius: 1.5,
+    backgroundColor: '#E8C48A',
+  },
+
+  // Mini Smoke
+  miniSmokePuff: {
+    position: 'absolute',
+    backgroundColor: 'rgba(188, 170, 164, 0.8)',
+  },
+
+  // Mini Squall
+  miniSquall: {
+    alignItems: 'flex-start',
+  },
+  miniSquallLine: {
+    height: 2,
+    marginVertical: 2.5,
+    backgroundColor: 'rgba(128, 203, 196, 0.8)',
     borderRadius: 1,
   },
 
+  // Mini Tornado
+  miniTornadoBar: {
+    height: 4,
+    marginVertical: 1,
+    borderRadius: 2,
+    backgroundColor: 'rgba(200, 200, 190, 0.7)',
+  },
+
+  // ----- WEATHER ANIMATIONS -----
+
   // Lightning
   lightningBolt: {
     position: 'absolute',
@@ -2525,18 +5843,37 @@ const styles = StyleSheet.create({
     zIndex: 10,
   },
 
-  // Snowflake (background animation)
-  snowflake: {
-    position: 'absolute',
-    backgroundColor: 'rgba(255, 255, 255, 0.8)',
-  },
-
   // Cloud
   cloud: {
     position: 'absolute',
     backgroundColor: 'rgba(255, 255, 255, 0.25)',
   },
 
+  // Fog, Haze, Dust & Smoke
+  fogBank: {
+    position: 'absolute',
+    left: -SCREEN_WIDTH * 0.3,
+    width: SCREEN_WIDTH * 1.6,
+  },
+  hazeTint: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  mote: {
+    position: 'absolute',
+  },
+
+  // Tornado
+  tornadoRing: {
+    position: 'absolute',
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: 'rgba(190, 195, 180, 0.22)',
+  },
+
   // Sun Glow
   sunGlow: {
     position: 'absolute',
@@ -2558,6 +5895,14 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
   },
 
+  // Static scenes (reduce motion), at the middle of the animated pulse
+  staticSunGlow: {
+    opacity: 0.55,
+  },
+  staticMoonGlow: {
+    opacity: 0.35,
+  },
+
   // Moon
   moonContainer: {
     position: 'absolute',
@@ -2679,6 +6024,143 @@ const styles = StyleSheet.create({
     color: 'rgba(255,255,255,0.7)',
     lineHeight: 20,
   },
+  alertCardDismissed: {
+    opacity: 0.5,
+  },
+  alertBadge: {
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginLeft: 8,
+  },
+  alertBadgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#fff',
+    textTransform: 'uppercase',
+  },
+  alertsToggle: {
+    fontSize: 13,
+    color: 'rgba(255,255,255,0.6)',
+    textAlign: 'center',
+    paddingVertical: 6,
+  },
+
+  // ----- CUSTOM ALERTS -----
+  ruleEmpty: {
+    fontSize: 14,
+    color: 'rgba(255,255,255,0.6)',
+    padding: 16,
+    lineHeight: 20,
+  },
+  ruleMatchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+  },
+  ruleIcon: {
+    fontSize: 20,
+    width: 32,
+  },
+  ruleMatchText: {
+    flex: 1,
+  },
+  ruleMatchTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#fff',
+  },
+  ruleMatchTime: {
+    fontSize: 13,
+    color: 'rgba(255,255,255,0.6)',
+    marginTop: 2,
+  },
+  ruleMore: {
+    fontSize: 13,
+    color: 'rgba(255,255,255,0.5)',
+    textAlign: 'center',
+    paddingBottom: 12,
+  },
+  ruleEditorRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  ruleEditorLabel: {
+    fontSize: 14,
+    color: 'rgba(255,255,255,0.7)',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 18,
+    backgroundColor: 'rgba(255,255,255,0.08)',
+  },
+  stepperValue: {
+    minWidth: 72,
+    textAlign: 'center',
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+
+  // ----- ALERT DETAIL SHEET -----
+  alertDetailTitle: {
+    flex: 1,
+    marginRight: 12,
+  },
+  alertBadges: {
+    flexDirection: 'row',
+    marginLeft: -8,
+    marginBottom: 10,
+  },
+  alertCategoryBadge: {
+    backgroundColor: 'rgba(255,255,255,0.15)',
+  },
+  alertWindow: {
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    padding: 14,
+    marginBottom: 16,
+  },
+  alertWindowRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  alertWindowLabel: {
+    fontSize: 13,
+    color: 'rgba(255,255,255,0.5)',
+  },
+  alertWindowValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  alertCountdown: {
+    fontSize: 15,
+    fontWeight: '700',
+    marginTop: 4,
+  },
+  alertFullText: {
+    marginBottom: 20,
+  },
+  alertDismissButton: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.3)',
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  alertDismissText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
 
   // ----- HOURLY FORECAST -----
   hourlySection: {
@@ -2717,6 +6199,77 @@ const styles = StyleSheet.create({
     marginTop: 4,
     fontWeight: '500',
   },
+  hourlyChartCard: {
+    marginTop: 12,
+    borderRadius: 16,
+    padding: 16,
+  },
+  hourlyChartReadout: {
+    height: 22,
+    justifyContent: 'center',
+    marginBottom: 8,
+  },
+  hourlyChartReadoutText: {
+    fontSize: 13,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  hourlyChartReadoutTime: {
+    fontWeight: '700',
+  },
+  hourlyChartLegend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  hourlyChartLegendLine: {
+    width: 14,
+    height: 2,
+    marginRight: 4,
+  },
+  hourlyChartLegendDashed: {
+    height: 0,
+    borderTopWidth: 2,
+    borderStyle: 'dashed',
+    opacity: 0.6,
+  },
+  hourlyChartLegendSwatch: {
+    width: 8,
+    height: 10,
+    borderRadius: 2,
+    marginRight: 4,
+  },
+  hourlyChartLegendText: {
+    fontSize: 11,
+    color: 'rgba(255,255,255,0.6)',
+    marginRight: 12,
+  },
+  hourlyChartArea: {
+    height: HOURLY_CHART_HEIGHT,
+  },
+  hourlyChartAxis: {
+    position: 'absolute',
+    right: 0,
+    fontSize: 10,
+    color: 'rgba(255,255,255,0.45)',
+  },
+  hourlyChartAxisTop: {
+    top: 0,
+  },
+  hourlyChartAxisBottom: {
+    top: HOURLY_CHART.curveHeight - 14,
+  },
+  hourlyChartLabels: {
+    height: 16,
+    marginTop: 6,
+  },
+  hourlyChartLabel: {
+    position: 'absolute',
+    width: 48,
+    textAlign: 'center',
+    fontSize: 11,
+    color: 'rgba(255,255,255,0.6)',
+  },
 
   // ----- MINUTELY PRECIPITATION -----
   minutelySection: {
@@ -2726,24 +6279,23 @@ const styles = StyleSheet.create({
     borderRadius: 16,
     padding: 16,
   },
-  minutelyChart: {
-    flexDirection: 'row',
-    alignItems: 'flex-end',
-    height: 60,
-    gap: 1,
-  },
-  minutelyBar: {
-    flex: 1,
-    minHeight: 2,
-    borderRadius: 1,
+  nowcastCaption: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+    marginBottom: 8,
   },
-  minutelyLabels: {
+  nowcastLegendItem: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
-    marginTop: 8,
+    alignItems: 'center',
   },
-  minutelyLabel: {
+  nowcastArea: {
+    height: NOWCAST_CHART.height,
+  },
+  nowcastLabel: {
+    position: 'absolute',
+    width: NOWCAST_CHART.labelWidth,
     fontSize: 11,
-    color: 'rgba(255,255,255,0.4)',
+    color: 'rgba(255,255,255,0.6)',
   },
 });
@@ -0,0 +1,62 @@
+import { ERROR_TYPES, WeatherError } from '../errors';
+import { createWeatherClient, getDefaultProviderId } from '../weatherClient';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Provider stand-in returning a fixed model, or failing with `error`
+ */
+const createProvider = ({ error } = {}) => ({
+  id: 'fake',
+  name: 'Fake',
+  load: jest.fn(async () => {
+    if (error) throw error;
+    return {
+      current: { name: 'Testville' },
+      forecast: [],
+      hourly: null,
+      minutely: null,
+      alerts: [],
+      yesterday: null,
+      timezoneOffset: 0,
+    };
+  }),
+  searchPlaces: jest.fn(async () => []),
+});
+
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+describe('createWeatherClient', () => {
+  it('adds the provider id, daily roll-up and load time', async () => {
+    const client = createWeatherClient({ provider: createProvider() });
+    const data = await client.getWeatherByCoords(1, 2);
+
+    expect(data.provider).toBe('fake');
+    expect(data.daily).toEqual([]);
+    expect(typeof data.fetchedAt).toBe('number');
+  });
+
+  it('falls back to the default provider for unknown ids', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const client = createWeatherClient({ provider: 'retired-provider' });
+
+    expect(client.provider.id).toBe(getDefaultProviderId());
+    console.log.mockRestore();
+  });
+
+  it('classifies provider failures', async () => {
+    const client = createWeatherClient({
+      provider: createProvider({ error: new TypeError('Network request failed') }),
+    });
+    const error = await client.getWeatherByCity('Testville').catch((err) => err);
+
+    expect(error).toBeInstanceOf(WeatherError);
+    expect(error.type).toBe(ERROR_TYPES.OFFLINE);
+  });
+});
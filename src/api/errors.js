@@ -0,0 +1,88 @@
+/**
+ * Weather Errors
+ * Classifies HTTP and network failures into a small set of error types
+ * so the UI can show a specific message and recovery action for each
+ */
+
+// ============================================================================
+// ERROR TYPES
+// ============================================================================
+
+export const ERROR_TYPES = {
+  INVALID_KEY: 'invalid_key',           // 401/403 - missing, wrong or unsubscribed API key
+  RATE_LIMITED: 'rate_limited',         // 429 - too many requests
+  NOT_FOUND: 'not_found',               // 404 or no geocoding match
+  OFFLINE: 'offline',                   // Network request never got a response
+  SERVER: 'server',                     // 5xx - provider is down
+  LOCATION_DENIED: 'location_denied',   // User refused location permission
+  LOCATION_UNAVAILABLE: 'location_unavailable', // GPS fix failed
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Error with a type from ERROR_TYPES and, for HTTP failures, the status code
+ */
+export class WeatherError extends Error {
+  constructor(type, message = type, { status } = {}) {
+    super(message);
+    this.name = 'WeatherError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Maps an HTTP status code to an error type
+ *
+ * @param {number} status - HTTP status code
+ * @returns {string} - Error type from ERROR_TYPES
+ */
+export const getErrorTypeForStatus = (status) => {
+  if (status === 401 || status === 403) return ERROR_TYPES.INVALID_KEY;
+  if (status === 404) return ERROR_TYPES.NOT_FOUND;
+  if (status === 429) return ERROR_TYPES.RATE_LIMITED;
+  if (status >= 500) return ERROR_TYPES.SERVER;
+  return ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Builds a WeatherError from a failed (non-ok) fetch response
+ * Uses the provider's own message from the JSON body when there is one
+ *
+ * @param {Response} response - fetch response with ok === false
+ * @returns {WeatherError}
+ */
+export const errorFromResponse = async (response) => {
+  let message = `HTTP ${response.status}`;
+  try {
+    const body = await response.json();
+    message = body.message || body.reason || message;
+  } catch (err) {
+    // Body isn't JSON, keep the status text
+  }
+  return new WeatherError(getErrorTypeForStatus(response.status), message, {
+    status: response.status,
+  });
+};
+
+/**
+ * Converts any thrown value into a WeatherError
+ * Abort errors are returned unchanged so cancelled loads stay recognizable.
+ * fetch rejects with a TypeError ("Network request failed" on native,
+ * "Failed to fetch" on web) when the request never got a response.
+ *
+ * @param {Error} err - Thrown value
+ * @returns {Error} - WeatherError, or the original AbortError
+ */
+export const toWeatherError = (err) => {
+  if (err instanceof WeatherError || err?.name === 'AbortError') return err;
+  if (err instanceof TypeError && /network|fetch/i.test(err.message)) {
+    return new WeatherError(ERROR_TYPES.OFFLINE, err.message);
+  }
+  return new WeatherError(ERROR_TYPES.UNKNOWN, err?.message);
+};
@@ -0,0 +1,133 @@
+import { ERROR_TYPES } from '../../errors';
+import { createOpenMeteoProvider } from '../openMeteo';
+import forecastFixture from '../__fixtures__/openMeteo.forecast.json';
+import geocodingFixture from '../__fixtures__/openMeteo.geocoding.json';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const respond = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+/**
+ * fetch stand-in serving the fixtures
+ */
+const createFetch = ({ geocoding = geocodingFixture } = {}) => jest.fn(async (url) => {
+  if (url.includes('geocoding-api')) return respond(geocoding);
+  if (url.includes('/v1/forecast')) return respond(forecastFixture);
+  throw new Error(`Unexpected request: ${url}`);
+});
+
+const { hourly } = forecastFixture;
+
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+describe('Open-Meteo provider', () => {
+  it('maps current conditions onto the OpenWeatherMap shape', async () => {
+    const provider = createOpenMeteoProvider({ fetch: createFetch() });
+    const { current, timezoneOffset } = await provider.load({ lat: 48.86, lon: 2.34, name: 'Paris', country: 'FR' });
+
+    expect(current).toEqual({
+      coord: { lat: 48.86, lon: 2.34 },
+      weather: [{ id: 500, main: 'Rain', description: 'light rain', icon: '10n' }],
+      main: {
+        temp: 9.8,
+        feels_like: 7.4,
+        temp_min: 7.8,
+        temp_max: 12.4,
+        pressure: 1005,
+        humidity: 82,
+      },
+      visibility: 16000,
+      wind: { speed: 5.2, deg: 210, gust: 11.4 },
+      clouds: { all: 100 },
+      rain: { '1h': 0.4 },
+      snow: undefined,
+      dt: forecastFixture.current.time,
+      sys: { country: 'FR', sunrise: 1699945320, sunset: 1699979220 },
+      timezone: 3600,
+      name: 'Paris',
+      uvi: 0,
+    });
+    expect(timezoneOffset).toBe(3600);
+  });
+
+  it('builds One Call style hours from the current hour onwards', async () => {
+    const provider = createOpenMeteoProvider({ fetch: createFetch() });
+    const data = await provider.load({ lat: 48.86, lon: 2.34 });
+
+    expect(data.hourly).toHaveLength(hourly.time.length - 1);
+    expect(data.hourly[0]).toEqual({
+      dt: hourly.time[1],
+      temp: 9.8,
+      feels_like: 7.4,
+      pressure: 1004.6,
+      humidity: 82,
+      dew_point: 6.8,
+      uvi: 0,
+      clouds: 100,
+      visibility: 16000,
+      wind_speed: 5.2,
+      wind_deg: 210,
+      wind_gust: 11.4,
+      weather: [{ id: 500, main: 'Rain', description: 'light rain', icon: '10n' }],
+      pop: 0.75,
+      rain: { '1h': 0.4 },
+      snow: undefined,
+    });
+    expect(data.minutely).toBeNull();
+    expect(data.alerts).toEqual([]);
+  });
+
+  it('reads yesterday from the past day', async () => {
+    const fetchImpl = createFetch();
+    const provider = createOpenMeteoProvider({ fetch: fetchImpl });
+    const { yesterday } = await provider.load({ lat: 48.86, lon: 2.34 });
+
+    expect(fetchImpl.mock.calls[0][0]).toContain('past_days=1');
+    expect(yesterday).toEqual({ tempMax: 11.1, tempMin: 6.2 });
+  });
+
+  it('rolls hours up into 3-hour steps aligned to UTC', async () => {
+    const provider = createOpenMeteoProvider({ fetch: createFetch() });
+    const { forecast } = await provider.load({ lat: 48.86, lon: 2.34 });
+
+    // 00:00 and 03:00 UTC; 21:00 is before the current time
+    expect(forecast.map((step) => step.dt_txt)).toEqual(['2023-11-15 00:00:00', '2023-11-15 03:00:00']);
+    expect(forecast[0]).toMatchObject({
+      dt: hourly.time[3],
+      main: { temp: 9.2, temp_min: 8.6, temp_max: 9.2 },
+      weather: [{ id: 500, main: 'Rain', icon: '10n' }],
+      pop: 0.55,
+      rain: { '3h': 0.7 },
+      snow: undefined,
+      sys: { pod: 'n' },
+    });
+  });
+
+  it('geocodes city searches', async () => {
+    const fetchImpl = createFetch();
+    const provider = createOpenMeteoProvider({ fetch: fetchImpl });
+    const { current } = await provider.load({ city: 'Paris' });
+
+    expect(current.name).toBe('Paris');
+    expect(current.sys.country).toBe('FR');
+    expect(current.coord).toEqual({ lat: 48.85341, lon: 2.3488 });
+    expect(fetchImpl.mock.calls[1][0]).toContain('latitude=48.85341&longitude=2.3488');
+  });
+
+  it('reports unknown cities as not found', async () => {
+    const provider = createOpenMeteoProvider({ fetch: createFetch({ geocoding: { generationtime_ms: 0.4 } }) });
+    const error = await provider.load({ city: 'Nowhere' }).catch((err) => err);
+
+    expect(error.type).toBe(ERROR_TYPES.NOT_FOUND);
+  });
+});
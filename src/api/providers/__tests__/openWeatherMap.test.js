@@ -0,0 +1,118 @@
+import { ERROR_TYPES, WeatherError } from '../../errors';
+import { createOpenWeatherMapProvider } from '../openWeatherMap';
+import weatherFixture from '../__fixtures__/openWeatherMap.weather.json';
+import forecastFixture from '../__fixtures__/openWeatherMap.forecast.json';
+import oneCallFixture from '../__fixtures__/openWeatherMap.onecall.json';
+import daySummaryFixture from '../__fixtures__/openWeatherMap.daySummary.json';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const respond = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+/**
+ * fetch stand-in serving the fixtures, with per-endpoint overrides
+ * (keyed by a URL fragment, e.g. '/3.0/onecall')
+ */
+const createFetch = (overrides = {}) => jest.fn(async (url) => {
+  const override = Object.keys(overrides).find((fragment) => url.includes(fragment));
+  if (override) return overrides[override];
+  if (url.includes('/day_summary')) return respond(daySummaryFixture);
+  if (url.includes('/onecall')) return respond(oneCallFixture);
+  if (url.includes('/forecast')) return respond(forecastFixture);
+  if (url.includes('/weather')) return respond(weatherFixture);
+  throw new Error(`Unexpected request: ${url}`);
+});
+
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+describe('OpenWeatherMap provider', () => {
+  it('maps the responses onto the normalized model', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: createFetch() });
+    const data = await provider.load({ lat: 51.5085, lon: -0.1257 });
+
+    expect(data.current).toEqual({ ...weatherFixture, uvi: 0 });
+    expect(data.forecast).toEqual(forecastFixture.list);
+    expect(data.hourly).toEqual(oneCallFixture.hourly);
+    expect(data.minutely).toEqual(oneCallFixture.minutely);
+    expect(data.alerts).toEqual(oneCallFixture.alerts);
+    expect(data.yesterday).toEqual({ tempMax: 11.3, tempMin: 6.1 });
+    expect(data.timezoneOffset).toBe(0);
+  });
+
+  it("asks for yesterday's summary by the location's date", async () => {
+    const fetchImpl = createFetch();
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: fetchImpl });
+    await provider.load({ lat: 51.5085, lon: -0.1257 });
+
+    const [url] = fetchImpl.mock.calls.find(([call]) => call.includes('/day_summary'));
+    expect(url).toContain('date=2023-11-13');
+  });
+
+  it('keeps the place name the user picked', async () => {
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: createFetch() });
+    const data = await provider.load({ lat: 51.5085, lon: -0.1257, name: 'City of London' });
+
+    expect(data.current.name).toBe('City of London');
+  });
+
+  it('falls back to One Call 2.5 when 3.0 is not subscribed', async () => {
+    const fetchImpl = createFetch({ '/3.0/onecall': respond({ message: 'Invalid API key' }, 401) });
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: fetchImpl });
+    const data = await provider.load({ city: 'London' });
+
+    expect(fetchImpl.mock.calls.some(([url]) => url.includes('/2.5/onecall'))).toBe(true);
+    expect(data.alerts).toEqual(oneCallFixture.alerts);
+  });
+
+  it('loads without One Call data when neither version is available', async () => {
+    const unavailable = respond({ message: 'Invalid API key' }, 401);
+    const fetchImpl = createFetch({ '/3.0/onecall': unavailable, '/2.5/onecall': unavailable });
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: fetchImpl });
+    const data = await provider.load({ city: 'London' });
+
+    expect(data.current.uvi).toBeUndefined();
+    expect(data.hourly).toBeNull();
+    expect(data.minutely).toBeNull();
+    expect(data.alerts).toEqual([]);
+    expect(data.yesterday).toBeNull();
+  });
+
+  it('loads only the alerts for the alert check', async () => {
+    const fetchImpl = createFetch();
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: fetchImpl });
+    const alerts = await provider.loadAlerts({ lat: 51.5085, lon: -0.1257 });
+
+    expect(alerts).toEqual(oneCallFixture.alerts);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl.mock.calls[0][0]).toContain('exclude=current,minutely,hourly,daily');
+  });
+
+  it('reports alert loads that neither One Call version allows', async () => {
+    const unavailable = respond({ message: 'Invalid API key' }, 401);
+    const fetchImpl = createFetch({ '/3.0/onecall': unavailable, '/2.5/onecall': unavailable });
+    const provider = createOpenWeatherMapProvider({ apiKey: 'test', fetch: fetchImpl });
+    const error = await provider.loadAlerts({ lat: 51.5085, lon: -0.1257 }).catch((err) => err);
+
+    expect(error.type).toBe(ERROR_TYPES.INVALID_KEY);
+  });
+
+  it('classifies a rejected API key', async () => {
+    const fetchImpl = createFetch({ '/weather': respond({ cod: 401, message: 'Invalid API key' }, 401) });
+    const provider = createOpenWeatherMapProvider({ apiKey: 'wrong', fetch: fetchImpl });
+    const error = await provider.load({ city: 'London' }).catch((err) => err);
+
+    expect(error).toBeInstanceOf(WeatherError);
+    expect(error.type).toBe(ERROR_TYPES.INVALID_KEY);
+    expect(error.message).toBe('Invalid API key');
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * Open-Meteo Provider
+ * Keyless alternative to OpenWeatherMap
+ *
+ * Open-Meteo returns column-oriented arrays and WMO weather codes, so this
+ * provider reshapes its response into the OpenWeatherMap-style fields of the
+ * normalized weather model (see weatherClient.js).
+ */
+
+import { ERROR_TYPES, WeatherError, errorFromResponse } from '../errors';
+import { resilientFetch } from '../request';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+const CURRENT_FIELDS = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'is_day',
+  'rain',
+  'showers',
+  'snowfall',
+  'weather_code',
+  'cloud_cover',
+  'pressure_msl',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+];
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'dew_point_2m',
+  'apparent_temperature',
+  'precipitation_probability',
+  'rain',
+  'showers',
+  'snowfall',
+  'weather_code',
+  'pressure_msl',
+  'cloud_cover',
+  'visibility',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+  'uv_index',
+  'is_day',
+];
+
+const DAILY_FIELDS = [
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'sunrise',
+  'sunset',
+];
+
+const HOURLY_STEPS = 48;       // Same horizon as One Call hourly
+const FORECAST_STEPS = 40;     // Same horizon as the 5-day/3-hour forecast
+const YESTERDAY = 0;           // past_days=1 puts yesterday first in the daily arrays
+const TODAY = 1;
+
+/**
+ * WMO weather interpretation codes mapped to OpenWeatherMap conditions
+ * [id, main, description, icon] - icon gets a 'd' or 'n' suffix
+ */
+const WMO_CONDITIONS = {
+  0: [800, 'Clear', 'clear sky', '01'],
+  1: [801, 'Clouds', 'mainly clear', '02'],
+  2: [802, 'Clouds', 'partly cloudy', '03'],
+  3: [804, 'Clouds', 'overcast clouds', '04'],
+  45: [741, 'Fog', 'fog', '50'],
+  48: [741, 'Fog', 'freezing fog', '50'],
+  51: [300, 'Drizzle', 'light drizzle', '09'],
+  53: [301, 'Drizzle', 'drizzle', '09'],
+  55: [302, 'Drizzle', 'heavy drizzle', '09'],
+  56: [300, 'Drizzle', 'light freezing drizzle', '09'],
+  57: [302, 'Drizzle', 'freezing drizzle', '09'],
+  61: [500, 'Rain', 'light rain', '10'],
+  63: [501, 'Rain', 'moderate rain', '10'],
+  65: [502, 'Rain', 'heavy rain', '10'],
+  66: [511, 'Rain', 'light freezing rain', '13'],
+  67: [511, 'Rain', 'freezing rain', '13'],
+  71: [600, 'Snow', 'light snow', '13'],
+  73: [601, 'Snow', 'snow', '13'],
+  75: [602, 'Snow', 'heavy snow', '13'],
+  77: [600, 'Snow', 'snow grains', '13'],
+  80: [520, 'Rain', 'light rain showers', '09'],
+  81: [521, 'Rain', 'rain showers', '09'],
+  82: [522, 'Rain', 'heavy rain showers', '09'],
+  85: [620, 'Snow', 'light snow showers', '13'],
+  86: [622, 'Snow', 'heavy snow showers', '13'],
+  95: [211, 'Thunderstorm', 'thunderstorm', '11'],
+  96: [202, 'Thunderstorm', 'thunderstorm with hail', '11'],
+  99: [202, 'Thunderstorm', 'thunderstorm with heavy hail', '11'],
+};
+
+
+// ============================================================================
+// MAPPING HELPERS
+// ============================================================================
+
+/**
+ * Converts a WMO weather code into an OpenWeatherMap weather entry
+ *
+ * @param {number} code - WMO weather code
+ * @param {boolean} isDay - Whether the sun is up
+ * @returns {object} - { id, main, description, icon }
+ */
+const toCondition = (code, isDay) => {
+  const [id, main, description, icon] = WMO_CONDITIONS[code] || WMO_CONDITIONS[3];
+  return { id, main, description, icon: `${icon}${isDay ? 'd' : 'n'}` };
+};
+
+/**
+ * Returns a precipitation volume object ({ '1h': mm }) or undefined when dry
+ *
+ * @param {number} amount - Precipitation in mm
+ * @param {string} period - Period key ('1h' or '3h')
+ */
+const toVolume = (amount, period) => {
+  if (!amount) return undefined;
+  return { [period]: Math.round(amount * 100) / 100 };
+};
+
+/**
+ * Formats a Unix timestamp like the /forecast dt_txt field (UTC)
+ *
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} - e.g. "2024-01-31 12:00:00"
+ */
+const toDtTxt = (timestamp) => {
+  return new Date(timestamp * 1000).toISOString().slice(0, 19).replace('T', ' ');
+};
+
+/**
+ * Builds a One Call style hourly entry from column index i
+ *
+ * @param {object} hourly - Open-Meteo hourly block
+ * @param {number} i - Index into the hourly arrays
+ */
+const toHourlyEntry = (hourly, i) => ({
+  dt: hourly.time[i],
+  temp: hourly.temperature_2m[i],
+  feels_like: hourly.apparent_temperature[i],
+  pressure: hourly.pressure_msl[i],
+  humidity: hourly.relative_humidity_2m[i],
+  dew_point: hourly.dew_point_2m[i],
+  uvi: hourly.uv_index[i],
+  clouds: hourly.cloud_cover[i],
+  visibility: hourly.visibility[i],
+  wind_speed: hourly.wind_speed_10m[i],
+  wind_deg: hourly.wind_direction_10m[i],
+  wind_gust: hourly.wind_gusts_10m[i],
+  weather: [toCondition(hourly.weather_code[i], hourly.is_day[i])],
+  pop: (hourly.precipitation_probability[i] || 0) / 100,
+  rain: toVolume(hourly.rain[i] + hourly.showers[i], '1h'),
+  snow: toVolume(hourly.snowfall[i] * 10, '1h'), // cm -> mm
+});
+
+/**
+ * Builds a /forecast style 3-hour entry from the hour at index i
+ * Precipitation is summed and pop maxed over the 3 hours it covers
+ *
+ * @param {object} hourly - Open-Meteo hourly block
+ * @param {number} i - Index of the first hour of the 3-hour step
+ */
+const toForecastEntry = (hourly, i) => {
+  const hours = [i, i + 1, i + 2].filter((h) => h < hourly.time.length);
+  const sum = (field, factor = 1) => hours.reduce((total, h) => total + hourly[field][h] * factor, 0);
+  const temps = hours.map((h) => hourly.temperature_2m[h]);
+  const isDay = hourly.is_day[i];
+
+  return {
+    dt: hourly.time[i],
+    dt_txt: toDtTxt(hourly.time[i]),
+    main: {
+      temp: hourly.temperature_2m[i],
+      feels_like: hourly.apparent_temperature[i],
+      temp_min: Math.min(...temps),
+      temp_max: Math.max(...temps),
+      pressure: hourly.pressure_msl[i],
+      humidity: hourly.relative_humidity_2m[i],
+    },
+    weather: [toCondition(hourly.weather_code[i], isDay)],
+    clouds: { all: hourly.cloud_cover[i] },
+    wind: {
+      speed: hourly.wind_speed_10m[i],
+      deg: hourly.wind_direction_10m[i],
+      gust: hourly.wind_gusts_10m[i],
+    },
+    visibility: hourly.visibility[i],
+    pop: Math.max(...hours.map((h) => hourly.precipitation_probability[h] || 0)) / 100,
+    rain: toVolume(sum('rain') + sum('showers'), '3h'),
+    snow: toVolume(sum('snowfall', 10), '3h'),
+    sys: { pod: isDay ? 'd' : 'n' },
+  };
+};
+
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Creates the Open-Meteo provider
+ *
+ * @param {object} options
+ * @param {function} options.fetch - fetch implementation (defaults to the retrying resilientFetch)
+ * @returns {object} - Provider implementing load(query), loadAlerts(query) and searchPlaces(text)
+ */
+export const createOpenMeteoProvider = ({
+  fetch: fetchImpl = resilientFetch,
+} = {}) => {
+  /**
+   * Finds places matching a search text using Open-Meteo geocoding
+   *
+   * @param {string} text - Partial or full place name
+   * @param {object} options
+   * @param {number} options.limit - Maximum number of results
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {object[]} - Places as { name, state, country, lat, lon }
+   */
+  const searchPlaces = async (text, { limit = 5, ...requestOptions } = {}) => {
+    const response = await fetchImpl(
+      `${GEOCODING_URL}?name=${encodeURIComponent(text)}&count=${limit}&language=en&format=json`,
+      requestOptions
+    );
+    if (!response.ok) throw await errorFromResponse(response);
+    const data = await response.json();
+
+    return (data.results || []).map((place) => ({
+      name: place.name,
+      state: place.admin1 || '',
+      country: place.country_code,
+      lat: place.latitude,
+      lon: place.longitude,
+    }));
+  };
+
+  /**
+   * Resolves a city name to its best matching place
+   */
+  const geocode = async (cityName, requestOptions) => {
+    const [place] = await searchPlaces(cityName, { ...requestOptions, limit: 1 });
+    if (!place) throw new WeatherError(ERROR_TYPES.NOT_FOUND, 'City not found');
+    return place;
+  };
+
+  /**
+   * Loads everything for a location and returns the normalized model
+   *
+   * @param {object} query - Either { city } or { lat, lon }
+   * @param {object} requestOptions - { signal, onRetry } passed to every fetch
+   */
+  const load = async (query, requestOptions = {}) => {
+    const place = query.city !== undefined
+      ? await geocode(query.city, requestOptions)
+      : {
+          name: query.name || `${query.lat.toFixed(2)}°, ${query.lon.toFixed(2)}°`,
+          country: query.country || '',
+          lat: query.lat,
+          lon: query.lon,
+        };
+
+    const response = await fetchImpl(
+      `${FORECAST_URL}?latitude=${place.lat}&longitude=${place.lon}` +
+      `&current=${CURRENT_FIELDS.join(',')}` +
+      `&hourly=${HOURLY_FIELDS.join(',')}` +
+      `&daily=${DAILY_FIELDS.join(',')}` +
+      '&wind_speed_unit=ms&timeformat=unixtime&timezone=auto&forecast_days=6&past_days=1',
+      requestOptions
+    );
+    if (!response.ok) throw await errorFromResponse(response);
+    const data = await response.json();
+    const { current, hourly, daily } = data;
+
+    // Hourly steps from the current hour onwards
+    const firstHour = Math.max(hourly.time.findIndex((t) => t > current.time) - 1, 0);
+    const hourIndexes = hourly.time
+      .map((_, i) => i)
+      .filter((i) => i >= firstHour);
+
+    // 3-hour steps aligned to UTC like the /forecast endpoint
+    const forecastIndexes = hourIndexes
+      .filter((i) => hourly.time[i] > current.time && new Date(hourly.time[i] * 1000).getUTCHours() % 3 === 0)
+      .slice(0, FORECAST_STEPS);
+
+    return {
+      current: {
+        coord: { lat: place.lat, lon: place.lon },
+        weather: [toCondition(current.weather_code, current.is_day)],
+        main: {
+          temp: current.temperature_2m,
+          feels_like: current.apparent_temperature,
+          temp_min: daily.temperature_2m_min[TODAY],
+          temp_max: daily.temperature_2m_max[TODAY],
+          pressure: Math.round(current.pressure_msl),
+          humidity: current.relative_humidity_2m,
+        },
+        visibility: hourly.visibility[firstHour],
+        wind: {
+          speed: current.wind_speed_10m,
+          deg: current.wind_direction_10m,
+          gust: current.wind_gusts_10m,
+        },
+        clouds: { all: current.cloud_cover },
+        rain: toVolume(current.rain + current.showers, '1h'),
+        snow: toVolume(current.snowfall * 10, '1h'),
+        dt: current.time,
+        sys: {
+          country: place.country,
+          sunrise: daily.sunrise[TODAY],
+          sunset: daily.sunset[TODAY],
+        },
+        timezone: data.utc_offset_seconds,
+        name: place.name,
+        uvi: hourly.uv_index[firstHour],
+      },
+      forecast: forecastIndexes.map((i) => toForecastEntry(hourly, i)),
+      hourly: hourIndexes.slice(0, HOURLY_STEPS).map((i) => toHourlyEntry(hourly, i)),
+      minutely: null, // Open-Meteo has no minute-by-minute data
+      alerts: [],
+      yesterday: {
+        tempMax: daily.temperature_2m_max[YESTERDAY],
+        tempMin: daily.temperature_2m_min[YESTERDAY],
+      },
+      timezoneOffset: data.utc_offset_seconds,
+    };
+  };
+
+  return {
+    id: 'openmeteo',
+    name: 'Open-Meteo',
+    load,
+    loadAlerts: async () => [], // Open-Meteo has no weather alerts
+    searchPlaces,
+  };
+};
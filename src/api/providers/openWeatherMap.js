@@ -0,0 +1,218 @@
+/**
+ * OpenWeatherMap Provider
+ * Loads current weather, the 5-day/3-hour forecast, One Call data and
+ * yesterday's summary from OpenWeatherMap and maps them onto the normalized
+ * weather model, and official alerts on their own for the background alert check
+ */
+
+import { errorFromResponse } from '../errors';
+import { resilientFetch } from '../request';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const API_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const GEOCODING_URL = 'https://api.openweathermap.org/geo/1.0/direct';
+
+// One Call 3.0 requires a separate subscription, 2.5 is the older free version
+const ONE_CALL_URLS = [
+  'https://api.openweathermap.org/data/3.0/onecall',
+  'https://api.openweathermap.org/data/2.5/onecall',
+];
+
+// One Call blocks left out when only the alerts are needed
+const ALERTS_ONLY_EXCLUDE = 'current,minutely,hourly,daily';
+
+// Daily aggregates of past days (One Call 3.0 only)
+const DAY_SUMMARY_URL = 'https://api.openweathermap.org/data/3.0/onecall/day_summary';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Builds the location part of a query string
+ *
+ * @param {object} query - Either { city } or { lat, lon }
+ * @returns {string} - Query string fragment (e.g., "q=Paris" or "lat=1&lon=2")
+ */
+const toLocationParams = (query) => {
+  if (query.city !== undefined) return `q=${encodeURIComponent(query.city)}`;
+  return `lat=${query.lat}&lon=${query.lon}`;
+};
+
+/**
+ * Fetches One Call data for UV, hourly, minutely, and alerts
+ * Falls back to the older API version, then to null if neither is available
+ *
+ * @param {function} fetchImpl - fetch implementation
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} requestOptions - { signal, onRetry } passed to fetch
+ * @returns {object|null} - Raw One Call response, or null
+ */
+const fetchOneCall = async (fetchImpl, apiKey, lat, lon, requestOptions) => {
+  try {
+    for (const url of ONE_CALL_URLS) {
+      const response = await fetchImpl(
+        `${url}?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&exclude=daily`,
+        requestOptions
+      );
+      if (response.ok) return await response.json();
+    }
+    return null;
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    console.log('One Call API not available:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Fetches yesterday's aggregated temperatures
+ * Yesterday is the calendar day before the location's current date
+ *
+ * @param {function} fetchImpl - fetch implementation
+ * @param {string} apiKey - OpenWeatherMap API key
+ * @param {object} current - Current weather response (coord, dt, timezone)
+ * @param {object} requestOptions - { signal, onRetry } passed to fetch
+ * @returns {object|null} - { tempMax, tempMin }, or null if unavailable
+ */
+const fetchYesterday = async (fetchImpl, apiKey, current, requestOptions) => {
+  const date = new Date((current.dt + current.timezone - 86400) * 1000).toISOString().slice(0, 10);
+  try {
+    const response = await fetchImpl(
+      `${DAY_SUMMARY_URL}?lat=${current.coord.lat}&lon=${current.coord.lon}&date=${date}&appid=${apiKey}&units=metric`,
+      requestOptions
+    );
+    if (!response.ok) return null;
+    const { temperature } = await response.json();
+    return temperature ? { tempMax: temperature.max, tempMin: temperature.min } : null;
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    console.log('Day summary not available:', err.message);
+    return null;
+  }
+};
+
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+
+/**
+ * Creates the OpenWeatherMap provider
+ *
+ * @param {object} options
+ * @param {string} options.apiKey - OpenWeatherMap API key
+ * @param {function} options.fetch - fetch implementation (defaults to the retrying resilientFetch)
+ * @returns {object} - Provider implementing load(query), loadAlerts(query) and searchPlaces(text)
+ */
+export const createOpenWeatherMapProvider = ({
+  apiKey = process.env.EXPO_PUBLIC_WEATHER_API_KEY,
+  fetch: fetchImpl = resilientFetch,
+} = {}) => {
+  /**
+   * Loads everything for a location and returns the normalized model
+   *
+   * @param {object} query - Either { city } or { lat, lon }
+   * @param {object} requestOptions - { signal, onRetry } passed to every fetch
+   */
+  const load = async (query, requestOptions = {}) => {
+    const locationParams = toLocationParams(query);
+
+    // Current weather
+    const weatherResponse = await fetchImpl(
+      `${API_BASE_URL}/weather?${locationParams}&appid=${apiKey}&units=metric`,
+      requestOptions
+    );
+    if (!weatherResponse.ok) throw await errorFromResponse(weatherResponse);
+    const current = await weatherResponse.json();
+
+    // One Call and yesterday (by coordinates from the weather response) and 5-day forecast
+    const [oneCall, yesterday, forecastData] = await Promise.all([
+      fetchOneCall(fetchImpl, apiKey, current.coord.lat, current.coord.lon, requestOptions),
+      fetchYesterday(fetchImpl, apiKey, current, requestOptions),
+      fetchImpl(
+        `${API_BASE_URL}/forecast?${locationParams}&appid=${apiKey}&units=metric`,
+        requestOptions
+      ).then(async (response) => {
+        if (!response.ok) throw await errorFromResponse(response);
+        return response.json();
+      }),
+    ]);
+
+    return {
+      current: {
+        ...current,
+        // Keep the name the user picked rather than the nearest station's
+        name: query.name || current.name,
+        uvi: oneCall?.current?.uvi,
+      },
+      forecast: forecastData.list || [],
+      hourly: oneCall?.hourly || null,
+      minutely: oneCall?.minutely || null,
+      alerts: oneCall?.alerts || [],
+      yesterday,
+      timezoneOffset: current.timezone,
+    };
+  };
+
+  /**
+   * Loads only the official alerts for a location (One Call without its
+   * other blocks), falling back to the older One Call version
+   *
+   * @param {object} query - { lat, lon }
+   * @param {object} requestOptions - { signal, onRetry } passed to fetch
+   * @returns {object[]} - Alerts in the One Call shape
+   */
+  const loadAlerts = async ({ lat, lon }, requestOptions = {}) => {
+    let response;
+    for (const url of ONE_CALL_URLS) {
+      response = await fetchImpl(
+        `${url}?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&exclude=${ALERTS_ONLY_EXCLUDE}`,
+        requestOptions
+      );
+      if (response.ok) return (await response.json()).alerts || [];
+    }
+    throw await errorFromResponse(response);
+  };
+
+  /**
+   * Finds places matching a search text
+   *
+   * @param {string} text - Partial or full place name
+   * @param {object} options
+   * @param {number} options.limit - Maximum number of results
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {object[]} - Places as { name, state, country, lat, lon }
+   */
+  const searchPlaces = async (text, { limit = 5, ...requestOptions } = {}) => {
+    const response = await fetchImpl(
+      `${GEOCODING_URL}?q=${encodeURIComponent(text)}&limit=${limit}&appid=${apiKey}`,
+      requestOptions
+    );
+    if (!response.ok) throw await errorFromResponse(response);
+    const places = await response.json();
+
+    return places.map((place) => ({
+      name: place.local_names?.en || place.name,
+      state: place.state || '',
+      country: place.country,
+      lat: place.lat,
+      lon: place.lon,
+    }));
+  };
+
+  return {
+    id: 'openweathermap',
+    name: 'OpenWeatherMap',
+    load,
+    loadAlerts,
+    searchPlaces,
+  };
+};
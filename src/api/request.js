@@ -0,0 +1,181 @@
+/**
+ * Resilient Fetch
+ * fetch wrapper used by the weather providers that:
+ * - Retries network failures, 429 and 5xx responses with jittered
+ *   exponential backoff (honoring Retry-After when the server sends it)
+ * - Collapses identical in-flight GET requests into a single request
+ *
+ * Callers pass { signal, onRetry } as the second argument. Aborting one
+ * caller of a shared request only cancels the network request once every
+ * caller waiting on it has aborted.
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+export const RETRY_DEFAULTS = {
+  retries: 3,         // Attempts after the first one
+  baseDelay: 500,     // ms before the first retry, doubled each time
+  maxDelay: 8000,     // Upper bound for any single wait
+};
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const createAbortError = () => {
+  const err = new Error('Aborted');
+  err.name = 'AbortError';
+  return err;
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * fetch rejects with a TypeError when the request never got a response
+ */
+const isNetworkError = (err) => err instanceof TypeError;
+
+/**
+ * Returns how long to wait before retry number `attempt` (0-based)
+ * Uses Retry-After when present, otherwise exponential backoff with
+ * "equal jitter" (half fixed, half random) so clients don't retry in lockstep
+ *
+ * @param {number} attempt - Retries made so far
+ * @param {Response} response - Failed response, if the server answered
+ * @param {object} config - { baseDelay, maxDelay }
+ * @returns {number} - Delay in ms
+ */
+export const getRetryDelay = (attempt, response, { baseDelay, maxDelay }) => {
+  const retryAfter = Number(response?.headers?.get?.('Retry-After'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelay);
+
+  const exponential = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+/**
+ * Resolves after ms, or rejects with an AbortError when signal aborts
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeout);
+    reject(createAbortError());
+  };
+  const timeout = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Fetches a URL, retrying transient failures
+ *
+ * @param {function} fetchImpl - fetch implementation
+ * @param {string} url - URL to GET
+ * @param {AbortSignal} signal - Cancels the request and any pending wait
+ * @param {function} notify - Called with { attempt, retries, delay } before each retry
+ * @param {object} config - RETRY_DEFAULTS shape
+ * @returns {Response} - Last response (may still be non-ok)
+ */
+const fetchWithRetry = async (fetchImpl, url, signal, notify, config) => {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetchImpl(url, { signal });
+      if (!isRetryableStatus(response.status) || attempt >= config.retries) return response;
+    } catch (err) {
+      if (!isNetworkError(err) || attempt >= config.retries) throw err;
+    }
+
+    const delay = getRetryDelay(attempt, response, config);
+    notify({ attempt: attempt + 1, retries: config.retries, delay });
+    await wait(delay, signal);
+  }
+};
+
+
+// ============================================================================
+// RESILIENT FETCH
+// ============================================================================
+
+/**
+ * Creates a retrying, deduplicating fetch
+ *
+ * @param {function} fetchImpl - Underlying fetch (defaults to global fetch)
+ * @param {object} config - Overrides for RETRY_DEFAULTS
+ * @returns {function} - (url, { signal, onRetry }) => Promise<Response>
+ */
+export const createResilientFetch = (
+  fetchImpl = (...args) => fetch(...args),
+  config = {}
+) => {
+  const options = { ...RETRY_DEFAULTS, ...config };
+  const inFlight = new Map(); // url -> { promise, controller, subscribers }
+
+  const release = (url, entry) => {
+    if (inFlight.get(url) === entry) inFlight.delete(url);
+  };
+
+  return (url, { signal, onRetry } = {}) => {
+    let entry = inFlight.get(url);
+    if (!entry) {
+      const controller = new AbortController();
+      const subscribers = new Set();
+      const notify = (info) => subscribers.forEach((subscriber) => subscriber.onRetry?.(info));
+
+      entry = { controller, subscribers };
+      const current = entry;
+      entry.promise = fetchWithRetry(fetchImpl, url, controller.signal, notify, options);
+      entry.promise.then(() => release(url, current), () => release(url, current));
+      inFlight.set(url, entry);
+    }
+
+    const shared = entry;
+    const subscriber = { onRetry };
+    shared.subscribers.add(subscriber);
+
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        signal?.removeEventListener('abort', onAbort);
+        shared.subscribers.delete(subscriber);
+      };
+
+      const onAbort = () => {
+        leave();
+        // Last one out cancels the shared request
+        if (shared.subscribers.size === 0) {
+          release(url, shared);
+          shared.controller.abort();
+        }
+        reject(createAbortError());
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      shared.promise.then(
+        (response) => {
+          leave();
+          // Every caller gets its own copy of the body
+          resolve(response.clone());
+        },
+        (err) => {
+          leave();
+          reject(err);
+        }
+      );
+    });
+  };
+};
+
+/**
+ * Shared instance, so identical requests from different pages are collapsed too
+ */
+export const resilientFetch = createResilientFetch();
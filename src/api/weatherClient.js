@@ -0,0 +1,155 @@
+/**
+ * Weather Client
+ * Backend-agnostic entry point for loading weather data
+ *
+ * Every provider resolves to the same normalized model:
+ * - provider: Id of the provider that produced the data
+ * - current: Current conditions in the OpenWeatherMap /weather shape,
+ *            plus `uvi` when the provider knows it
+ * - forecast: 3-hour steps for the next 5 days in the /forecast list shape
+ * - daily: Forecast steps rolled up per local calendar day (see utils/forecast.js)
+ * - hourly: Hourly steps in the One Call shape, or null if unavailable
+ * - minutely: Minute steps in the One Call shape, or null if unavailable
+ * - alerts: Official weather alerts in the One Call shape
+ * - yesterday: Yesterday's { tempMax, tempMin } in °C, or null if unavailable
+ * - timezoneOffset: Location's offset from UTC in seconds
+ * - fetchedAt: Unix timestamp (ms) of when the data was loaded
+ *
+ * Failures are thrown as WeatherError (see errors.js), except cancelled
+ * loads which reject with the fetch AbortError.
+ */
+
+import { createOpenWeatherMapProvider } from './providers/openWeatherMap';
+import { createOpenMeteoProvider } from './providers/openMeteo';
+import { aggregateDailyForecast } from '../utils/forecast';
+import { toWeatherError } from './errors';
+
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Available weather providers, keyed by provider id
+ * Each entry has a display name and a factory that creates the provider
+ */
+export const WEATHER_PROVIDERS = {
+  openweathermap: {
+    name: 'OpenWeatherMap',
+    create: createOpenWeatherMapProvider,
+  },
+  openmeteo: {
+    name: 'Open-Meteo',
+    create: createOpenMeteoProvider,
+  },
+};
+
+/**
+ * Returns the provider to use when the user hasn't picked one
+ * OpenWeatherMap needs an API key, Open-Meteo works without one
+ *
+ * @returns {string} - Provider id
+ */
+export const getDefaultProviderId = () => {
+  return process.env.EXPO_PUBLIC_WEATHER_API_KEY ? 'openweathermap' : 'openmeteo';
+};
+
+
+/**
+ * Looks up a provider by id, falling back to the default provider for ids
+ * that no longer exist (e.g., a provider removed since the setting was saved)
+ *
+ * @param {string} id - Provider id
+ * @returns {object} - Entry of WEATHER_PROVIDERS
+ */
+const getProviderEntry = (id) => {
+  if (WEATHER_PROVIDERS[id]) return WEATHER_PROVIDERS[id];
+  console.log(`Unknown weather provider "${id}", using the default`);
+  return WEATHER_PROVIDERS[getDefaultProviderId()];
+};
+
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Creates a weather client backed by the given provider
+ *
+ * A provider is an object with an `id`, a `name`, a `load(query, options)`
+ * function, where query is either { city } or { lat, lon } (optionally with
+ * name/country), a `loadAlerts({ lat, lon }, options)` function returning
+ * just the alerts, and a `searchPlaces(text, options)` function for
+ * geocoding. Options are { signal, onRetry }, see request.js.
+ *
+ * @param {object} options
+ * @param {object|string} options.provider - Provider, or id from WEATHER_PROVIDERS
+ *   (unknown ids get the default provider)
+ * @returns {object} - Client with getWeatherByCity, getWeatherByCoords, getAlertsByCoords and searchPlaces
+ */
+export const createWeatherClient = ({
+  provider: providerOrId = getDefaultProviderId(),
+} = {}) => {
+  const provider = typeof providerOrId === 'string'
+    ? getProviderEntry(providerOrId).create()
+    : providerOrId;
+
+  const load = async (query, options) => {
+    let data;
+    try {
+      data = await provider.load(query, options);
+    } catch (err) {
+      throw toWeatherError(err);
+    }
+
+    return {
+      ...data,
+      daily: aggregateDailyForecast(data.forecast, data.timezoneOffset),
+      provider: provider.id,
+      fetchedAt: Date.now(),
+    };
+  };
+
+  return {
+    provider,
+
+    /**
+     * Loads weather for a city name
+     * @param {string} cityName - City to search for (e.g., "London")
+     * @param {object} options - { signal } to cancel the load, { onRetry } to follow retries
+     */
+    getWeatherByCity: (cityName, options) => load({ city: cityName }, options),
+
+    /**
+     * Loads weather for a pair of coordinates
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {object} place - Optional { name, country }, used by providers
+     *                         that can't reverse geocode
+     * @param {object} options - { signal } to cancel the load, { onRetry } to follow retries
+     */
+    getWeatherByCoords: (lat, lon, place, options) => load({ lat, lon, ...place }, options),
+
+    /**
+     * Loads only the official alerts for a pair of coordinates
+     * (cheaper than a full load when nothing else is needed)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {object} options - { signal } to cancel the load, { onRetry } to follow retries
+     * @returns {object[]} - Alerts in the One Call shape
+     */
+    getAlertsByCoords: (lat, lon, options) => provider.loadAlerts({ lat, lon }, options).catch((err) => {
+      throw toWeatherError(err);
+    }),
+
+    /**
+     * Finds places matching a search text, for autocomplete
+     * @param {string} text - Partial or full place name
+     * @param {object} options - { signal } to cancel the search
+     * @returns {object[]} - Places as { name, state, country, lat, lon }
+     */
+    searchPlaces: (text, options) => provider.searchPlaces(text, options).catch((err) => {
+      throw toWeatherError(err);
+    }),
+  };
+};
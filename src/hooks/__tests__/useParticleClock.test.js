@@ -0,0 +1,61 @@
+import { act, create } from 'react-test-renderer';
+import { useParticleClock } from '../useParticleClock';
+
+jest.mock('react-native-reanimated', () => {
+  const frameCallback = { setActive: jest.fn() };
+  return {
+    frameCallback,
+    runOnJS: (fn) => fn,
+    useAnimatedReaction: () => {},
+    useFrameCallback: () => frameCallback,
+    useSharedValue: (value) => ({ value }),
+  };
+});
+
+const { frameCallback } = jest.requireMock('react-native-reanimated');
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const Clock = ({ isActive }) => {
+  useParticleClock(isActive);
+  return null;
+};
+
+const render = (element) => {
+  let renderer;
+  act(() => {
+    renderer = create(element);
+  });
+  return renderer;
+};
+
+
+// ============================================================================
+// PAUSING
+// ============================================================================
+
+describe('useParticleClock', () => {
+  beforeEach(() => frameCallback.setActive.mockClear());
+
+  it('follows the active flag after mounting', () => {
+    const renderer = render(<Clock isActive />);
+    expect(frameCallback.setActive).toHaveBeenLastCalledWith(true);
+
+    act(() => renderer.update(<Clock isActive={false} />));
+    expect(frameCallback.setActive).toHaveBeenLastCalledWith(false);
+
+    act(() => renderer.update(<Clock isActive />));
+    expect(frameCallback.setActive).toHaveBeenLastCalledWith(true);
+  });
+
+  it('starts a clock that mounted inactive', () => {
+    const renderer = render(<Clock isActive={false} />);
+    expect(frameCallback.setActive).toHaveBeenLastCalledWith(false);
+
+    act(() => renderer.update(<Clock isActive />));
+    expect(frameCallback.setActive).toHaveBeenLastCalledWith(true);
+  });
+});
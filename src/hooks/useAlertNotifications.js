@@ -0,0 +1,71 @@
+/**
+ * useAlertNotifications Hook
+ * Keeps the severe weather alert checks (see tasks/alertCheck.js) in step
+ * with the settings: asks for notification permission when a severity is
+ * chosen, schedules the background check, and checks every
+ * ALERT_CHECK_INTERVAL_MINUTES while the app is in the foreground
+ */
+
+import { useEffect, useState } from 'react';
+
+import { saveWatchedLocation } from '../storage/alertNotifications';
+import {
+  ALERT_CHECK_INTERVAL_MINUTES,
+  checkForNewAlerts,
+  requestNotificationPermission,
+  setBackgroundAlertCheck,
+} from '../tasks/alertCheck';
+
+
+// ============================================================================
+// HOOK
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string[]} options.severities - Severities to notify for (settings.alertNotifications)
+ * @param {object} options.location - Search/GPS page location { id, name, country, lat, lon }, or null
+ * @param {boolean} options.isAppActive - App is in the foreground
+ * @returns {boolean} - Whether notifications were refused (checks are off until allowed)
+ */
+export const useAlertNotifications = ({ severities, location, isAppActive }) => {
+  const [isPermitted, setIsPermitted] = useState(null); // null until asked
+  const isEnabled = severities.length > 0;
+
+  // Remember the search/GPS location for background checks
+  useEffect(() => {
+    if (location) saveWatchedLocation(location);
+  }, [location?.id]);
+
+  // Ask for permission once notifications are wanted, then schedule the background check
+  useEffect(() => {
+    let isMounted = true;
+    if (!isEnabled) {
+      setBackgroundAlertCheck(false);
+      return;
+    }
+    requestNotificationPermission().then((granted) => {
+      if (!isMounted) return;
+      setIsPermitted(granted);
+      setBackgroundAlertCheck(granted);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, [isEnabled]);
+
+  // Check now and periodically while the app is open (again when the location changes)
+  useEffect(() => {
+    if (!isEnabled || !isPermitted || !isAppActive) return;
+    const check = () => {
+      checkForNewAlerts({ currentLocation: location }).catch((err) => {
+        console.log('Alert check failed:', err.message);
+      });
+    };
+    check();
+    const interval = setInterval(check, ALERT_CHECK_INTERVAL_MINUTES * 60000);
+    return () => clearInterval(interval);
+  }, [isEnabled, isPermitted, isAppActive, location?.id]);
+
+  return isEnabled && isPermitted === false;
+};
@@ -0,0 +1,114 @@
+/**
+ * Animation Lifecycle
+ * Decides when the animated effects may run, so loops, timers and
+ * vibration stop while nobody can see them
+ *
+ * A page provides AnimationActivity as true only while it is the page on
+ * screen and the app is in the foreground; sections can narrow it further
+ * (e.g., the stat cards once they are scrolled out of view). Animated
+ * components read it with useAnimationsActive, stop their loops and timers
+ * when it turns false and start them again when it turns true.
+ */
+
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { AppState, Dimensions } from 'react-native';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const SCROLL_THROTTLE_MS = 100; // How often scroll events update visibility
+const VISIBILITY_MARGIN = 50;   // px a section may be off screen and still count as visible
+
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+/**
+ * Whether animations below this point may run (default: always)
+ */
+export const AnimationActivity = createContext(true);
+
+/**
+ * @returns {boolean} - Whether the calling animation may run
+ */
+export const useAnimationsActive = () => useContext(AnimationActivity);
+
+
+// ============================================================================
+// HOOKS
+// ============================================================================
+
+/**
+ * Whether an AppState value means the app is in the foreground
+ * 'inactive' (iOS app switcher, notification shade, incoming call) and
+ * 'background' (home button, screen off) both count as not active; a
+ * launch state the platform hasn't reported yet ('unknown') counts as active.
+ */
+const isForegroundState = (state) => state !== 'inactive' && state !== 'background';
+
+/**
+ * Tracks whether the app is in the foreground (see isForegroundState)
+ *
+ * @returns {boolean} - true while the app is in the foreground
+ */
+export const useAppActive = () => {
+  const [isActive, setIsActive] = useState(isForegroundState(AppState.currentState));
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      setIsActive(isForegroundState(state));
+    });
+    return () => subscription.remove();
+  }, []);
+
+  return isActive;
+};
+
+/**
+ * Tracks whether one section of a vertical ScrollView is on screen
+ *
+ * @returns {object} - { isOnScreen, scrollProps, onSectionLayout }:
+ *   isOnScreen - Whether the section overlaps the visible part of the scroll view
+ *   scrollProps - Spread onto the ScrollView (onScroll, onLayout, scrollEventThrottle)
+ *   onSectionLayout - onLayout for the section (a direct child of the scroll content)
+ */
+export const useScrollVisibility = () => {
+  const [isOnScreen, setIsOnScreen] = useState(true);
+
+  const viewportRef = useRef({ offset: 0, height: Dimensions.get('window').height });
+  const sectionRef = useRef(null); // { y, height } once laid out
+
+  const update = () => {
+    if (!sectionRef.current) return;
+    const { offset, height } = viewportRef.current;
+    const { y, height: sectionHeight } = sectionRef.current;
+    // State updates with an unchanged value don't re-render
+    setIsOnScreen(
+      y + sectionHeight > offset - VISIBILITY_MARGIN
+      && y < offset + height + VISIBILITY_MARGIN
+    );
+  };
+
+  const scrollProps = {
+    scrollEventThrottle: SCROLL_THROTTLE_MS,
+    onScroll: (event) => {
+      viewportRef.current.offset = event.nativeEvent.contentOffset.y;
+      update();
+    },
+    onLayout: (event) => {
+      viewportRef.current.height = event.nativeEvent.layout.height;
+      update();
+    },
+  };
+
+  const onSectionLayout = (event) => {
+    const { y, height } = event.nativeEvent.layout;
+    sectionRef.current = { y, height };
+    update();
+  };
+
+  return { isOnScreen, scrollProps, onSectionLayout };
+};
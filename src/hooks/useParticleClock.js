@@ -0,0 +1,81 @@
+/**
+ * useParticleClock Hook
+ * Drives a particle system from a single UI-thread frame callback
+ *
+ * Particles compute their position from the shared `time` value, so one
+ * worklet advances all of them. The same callback watches frame times and
+ * shrinks the particle budget when the device can't keep up, then grows it
+ * back once frames are fast again.
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  runOnJS,
+  useAnimatedReaction,
+  useFrameCallback,
+  useSharedValue,
+} from 'react-native-reanimated';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const TARGET_FRAME_MS = 1000 / 60;
+const SLOW_FRAME_MS = 22;      // Smoothed frame time above this (~45 fps) sheds particles
+const FAST_FRAME_MS = 18;      // Below this, particles are slowly added back
+const MAX_STEP_MS = 50;        // Clamp for the clock after a stall, so particles don't jump
+const SMOOTHING = 0.1;         // Weight of the newest frame in the moving average
+
+const MIN_BUDGET = 0.25;       // Never drop below a quarter of the particles
+const BUDGET_STEP_DOWN = 0.01; // Per slow frame (about a second to halve)
+const BUDGET_STEP_UP = 0.002;  // Per fast frame (several seconds to recover)
+const BUDGET_LEVELS = 8;       // Rendered count changes in eighths, not every frame
+
+
+// ============================================================================
+// HOOK
+// ============================================================================
+
+/**
+ * @param {boolean} isActive - Run the clock (false freezes every particle)
+ * @returns {object} - { time, budget }:
+ *   time - Shared value with the elapsed animation time in ms
+ *   budget - Share of particles to render (MIN_BUDGET to 1), in eighths
+ */
+export const useParticleClock = (isActive = true) => {
+  const [budget, setBudget] = useState(1);
+
+  const time = useSharedValue(0);
+  const frameTime = useSharedValue(TARGET_FRAME_MS);
+  const budgetValue = useSharedValue(1);
+
+  const frameCallback = useFrameCallback((frameInfo) => {
+    'worklet';
+    const delta = frameInfo.timeSincePreviousFrame ?? TARGET_FRAME_MS;
+    time.value += Math.min(delta, MAX_STEP_MS);
+
+    // Adapt the budget to the smoothed frame time
+    frameTime.value += (delta - frameTime.value) * SMOOTHING;
+    if (frameTime.value > SLOW_FRAME_MS) {
+      budgetValue.value = Math.max(MIN_BUDGET, budgetValue.value - BUDGET_STEP_DOWN);
+    } else if (frameTime.value < FAST_FRAME_MS) {
+      budgetValue.value = Math.min(1, budgetValue.value + BUDGET_STEP_UP);
+    }
+  }, isActive);
+
+  // useFrameCallback only reads its autostart flag on mount
+  useEffect(() => {
+    frameCallback.setActive(isActive);
+  }, [frameCallback, isActive]);
+
+  // Only re-render when the budget crosses a level
+  useAnimatedReaction(
+    () => Math.ceil(budgetValue.value * BUDGET_LEVELS) / BUDGET_LEVELS,
+    (level, previous) => {
+      if (level !== previous) runOnJS(setBudget)(level);
+    }
+  );
+
+  return { time, budget };
+};
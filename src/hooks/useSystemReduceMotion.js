@@ -0,0 +1,37 @@
+/**
+ * useSystemReduceMotion Hook
+ * Follows the OS accessibility setting that asks apps to minimize motion
+ * (iOS "Reduce Motion", Android "Remove animations")
+ */
+
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo } from 'react-native';
+
+
+// ============================================================================
+// HOOK
+// ============================================================================
+
+/**
+ * @returns {boolean} - Whether the OS asks for reduced motion (false until known)
+ */
+export const useSystemReduceMotion = () => {
+  const [isEnabled, setIsEnabled] = useState(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    AccessibilityInfo.isReduceMotionEnabled()
+      .then((enabled) => {
+        if (isMounted) setIsEnabled(enabled);
+      })
+      .catch(() => {}); // Not supported on this platform: keep full motion
+
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setIsEnabled);
+    return () => {
+      isMounted = false;
+      subscription.remove();
+    };
+  }, []);
+
+  return isEnabled;
+};
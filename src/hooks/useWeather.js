@@ -0,0 +1,196 @@
+/**
+ * useWeather Hook
+ * Holds the weather state for one location page and loads it through
+ * the weather client, falling back to the offline cache on failure
+ *
+ * Every load cancels the one before it, and only the latest load may
+ * write to state, so overlapping searches can't mix cities.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+import { loadCachedWeather, saveCachedWeather } from '../storage/weatherCache';
+import { aggregateDailyForecast } from '../utils/forecast';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const FORECAST_DAYS = 5;
+
+
+// ============================================================================
+// HOOK
+// ============================================================================
+
+/**
+ * @param {object} weatherClient - Client from createWeatherClient
+ * @returns {object} - Weather state plus fetchWeatherByCity / fetchWeatherByCoords
+ */
+export const useWeather = (weatherClient) => {
+  // ----- STATE -----
+  const [weather, setWeather] = useState(null);
+  const [forecast, setForecast] = useState([]); // Daily summaries
+  const [oneCallData, setOneCallData] = useState(null); // UV, hourly, minutely, alerts
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null); // WeatherError of the last failed load
+  const [hasLoadedWeather, setHasLoadedWeather] = useState(false); // Track if any weather has been loaded
+  const [isStale, setIsStale] = useState(false); // Showing cached data after a failed fetch
+  const [retryAttempt, setRetryAttempt] = useState(0); // Retries made by the load in flight
+
+  // Last location that was loaded, so it can be reloaded from another provider
+  const lastQueryRef = useRef(null);
+
+  // Id and AbortController of the load in flight
+  const requestRef = useRef({ id: 0, controller: null });
+
+  // ----- HELPER FUNCTIONS -----
+
+  /**
+   * Cancels the load in flight, if any
+   */
+  const cancelRequest = () => {
+    requestRef.current.controller?.abort();
+    requestRef.current = { id: requestRef.current.id + 1, controller: null };
+  };
+
+  /**
+   * Starts a new load, cancelling the previous one
+   * Returns its abort signal and an isCurrent() check to run after every await
+   */
+  const beginRequest = () => {
+    cancelRequest();
+    const controller = new AbortController();
+    const { id } = requestRef.current;
+    requestRef.current = { id, controller };
+    return {
+      signal: controller.signal,
+      isCurrent: () => requestRef.current.id === id,
+    };
+  };
+
+  /**
+   * Stores a normalized weather model from the weather client in state
+   */
+  const applyWeatherData = (data, fromCache = false) => {
+    setIsStale(fromCache);
+    setWeather(data.current);
+    setOneCallData(data); // UV, hourly, minutely, alerts
+    setHasLoadedWeather(true); // Mark that we've loaded weather
+
+    // One summary per local day (entries cached before daily existed are rolled up here)
+    const daily = data.daily || aggregateDailyForecast(data.forecast, data.timezoneOffset);
+    setForecast(daily.slice(0, FORECAST_DAYS));
+  };
+
+  /**
+   * Shows the last cached weather for a location after a failed fetch
+   * Returns false when nothing is cached for it
+   */
+  const showCachedWeather = async (query, request) => {
+    const cached = await loadCachedWeather(query);
+    if (!cached) return false;
+    if (request.isCurrent()) applyWeatherData(cached, true);
+    return true;
+  };
+
+  // ----- API FUNCTIONS -----
+
+  /**
+   * Loads weather for a query through the client and stores it
+   * On failure the error is kept (a WeatherError, see api/errors.js) and
+   * the cached weather for the query is shown if there is one.
+   *
+   * @param {object} query - Either { city } or { lat, lon, name?, country? }
+   * @returns {object|null} - The loaded weather model, or null on failure
+   */
+  const loadWeather = async (query) => {
+    const request = beginRequest();
+    const options = {
+      signal: request.signal,
+      onRetry: ({ attempt }) => {
+        if (request.isCurrent()) setRetryAttempt(attempt);
+      },
+    };
+    lastQueryRef.current = query;
+    try {
+      setLoading(true);
+      setError(null);
+      setRetryAttempt(0);
+
+      const data = query.city !== undefined
+        ? await weatherClient.getWeatherByCity(query.city, options)
+        : await weatherClient.getWeatherByCoords(
+            query.lat,
+            query.lon,
+            { name: query.name, country: query.country },
+            options
+          );
+      if (!request.isCurrent()) return null;
+      applyWeatherData(data);
+      saveCachedWeather(query, data);
+      return data;
+    } catch (err) {
+      if (!request.isCurrent() || err.name === 'AbortError') return null;
+      setError(err);
+      if (await showCachedWeather(query, request) || !request.isCurrent()) return null;
+      setWeather(null);
+      setForecast([]);
+      setOneCallData(null);
+      return null;
+    } finally {
+      if (request.isCurrent()) {
+        setLoading(false);
+        setRetryAttempt(0);
+      }
+    }
+  };
+
+  /**
+   * Fetches weather data by city name
+   * @returns {object|null} - The loaded weather model, or null on failure
+   */
+  const fetchWeatherByCity = (cityName) => loadWeather({ city: cityName });
+
+  /**
+   * Fetches weather data by coordinates
+   * @param {object} place - Optional { name, country } for providers without reverse geocoding
+   * @returns {object|null} - The loaded weather model, or null on failure
+   */
+  const fetchWeatherByCoords = (lat, lon, place) => loadWeather({ lat, lon, ...place });
+
+  /**
+   * Loads the last location again (e.g., after an error)
+   */
+  const retry = () => {
+    if (lastQueryRef.current) loadWeather(lastQueryRef.current);
+  };
+
+  // ----- EFFECTS -----
+
+  // Reload the current location when the weather provider changes
+  useEffect(() => {
+    retry();
+  }, [weatherClient]);
+
+  // Drop the load in flight when the page goes away
+  useEffect(() => cancelRequest, []);
+
+  return {
+    weather,
+    forecast,
+    oneCallData,
+    loading,
+    error,
+    hasLoadedWeather,
+    isStale,
+    retryAttempt,
+    setLoading,
+    setError,
+    cancelRequest,
+    fetchWeatherByCity,
+    fetchWeatherByCoords,
+    retry,
+  };
+};
@@ -0,0 +1,25 @@
+import { findNearbyLocation, getLocationId } from '../savedLocations';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+
+// ============================================================================
+// LIST HELPERS
+// ============================================================================
+
+describe('findNearbyLocation', () => {
+  const london = { id: getLocationId(51.5085, -0.1257), name: 'London', country: 'GB', lat: 51.5085, lon: -0.1257 };
+  const paris = { id: getLocationId(48.8534, 2.3488), name: 'Paris', country: 'FR', lat: 48.8534, lon: 2.3488 };
+
+  it('matches a saved location placed slightly differently by another provider', () => {
+    // Half a kilometer away, but rounding to a different id
+    expect(getLocationId(51.5051, -0.1201)).not.toBe(london.id);
+    expect(findNearbyLocation([paris, london], 51.5051, -0.1201)).toBe(london);
+  });
+
+  it('ignores saved locations that are too far away', () => {
+    expect(findNearbyLocation([paris, london], 51.75, -1.25)).toBeNull();
+  });
+});
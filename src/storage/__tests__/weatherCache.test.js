@@ -0,0 +1,24 @@
+import { loadCachedWeather, saveCachedWeather } from '../weatherCache';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+describe('weather cache', () => {
+  it('keeps every entry when pages save at the same time', async () => {
+    const queries = [
+      { lat: 51.51, lon: -0.13 },
+      { lat: 48.86, lon: 2.35 },
+      { city: 'Tokyo' },
+    ];
+    await Promise.all(queries.map((query, index) => saveCachedWeather(query, { fetchedAt: index })));
+
+    const cached = await Promise.all(queries.map(loadCachedWeather));
+    expect(cached).toEqual([{ fetchedAt: 0 }, { fetchedAt: 1 }, { fetchedAt: 2 }]);
+  });
+});
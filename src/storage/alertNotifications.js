@@ -0,0 +1,104 @@
+/**
+ * Alert Notifications
+ * Persisted state of the severe weather alert checks, which also run in
+ * the background where only storage is available:
+ * - the alerts already notified, so each is announced once
+ * - the location shown on the search/GPS page, checked with the saved ones
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const NOTIFIED_KEY = 'notifiedAlerts';
+const LOCATION_KEY = 'alertWatchLocation';
+const NO_END_RETENTION = 7 * 24 * 3600; // Seconds to remember alerts without an end time
+
+
+// ============================================================================
+// NOTIFIED ALERTS
+// ============================================================================
+
+/**
+ * Records alerts as notified
+ *
+ * @param {object} notified - Map of notification key to end time (Unix seconds)
+ * @param {object[]} entries - { key, end } for each notified alert
+ * @returns {object} - New map
+ */
+export const addNotifiedAlerts = (notified, entries) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const next = { ...notified };
+  entries.forEach(({ key, end }) => {
+    next[key] = end || nowSeconds + NO_END_RETENTION;
+  });
+  return next;
+};
+
+/**
+ * Loads the notified alerts
+ *
+ * @returns {object} - Map of notification key to end time, or an empty map
+ */
+export const loadNotifiedAlerts = async () => {
+  try {
+    const json = await AsyncStorage.getItem(NOTIFIED_KEY);
+    return json ? JSON.parse(json) : {};
+  } catch (err) {
+    console.log('Notified alerts unreadable:', err.message);
+    return {};
+  }
+};
+
+/**
+ * Persists the notified alerts, leaving out those that have ended
+ *
+ * @param {object} notified - Map of notification key to end time
+ */
+export const saveNotifiedAlerts = async (notified) => {
+  const nowSeconds = Date.now() / 1000;
+  const current = Object.fromEntries(
+    Object.entries(notified).filter(([, end]) => end > nowSeconds)
+  );
+  try {
+    await AsyncStorage.setItem(NOTIFIED_KEY, JSON.stringify(current));
+  } catch (err) {
+    console.log('Could not save notified alerts:', err.message);
+  }
+};
+
+
+// ============================================================================
+// WATCHED LOCATION
+// ============================================================================
+
+/**
+ * Loads the search/GPS page's location
+ *
+ * @returns {object|null} - { id, name, country, lat, lon }, or null if none yet
+ */
+export const loadWatchedLocation = async () => {
+  try {
+    const json = await AsyncStorage.getItem(LOCATION_KEY);
+    return json ? JSON.parse(json) : null;
+  } catch (err) {
+    console.log('Watched location unreadable:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Persists the search/GPS page's location
+ *
+ * @param {object} location - { id, name, country, lat, lon }
+ */
+export const saveWatchedLocation = async (location) => {
+  try {
+    await AsyncStorage.setItem(LOCATION_KEY, JSON.stringify(location));
+  } catch (err) {
+    console.log('Could not save watched location:', err.message);
+  }
+};
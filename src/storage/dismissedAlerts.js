@@ -0,0 +1,96 @@
+/**
+ * Dismissed Alerts
+ * Persisted record of the weather alerts the user has dismissed
+ *
+ * Stored as a map of alert id to { revision, end } (see utils/alerts.js).
+ * An alert stays hidden only while its revision matches, so an agency
+ * extending or rewording it brings it back. Entries are dropped once the
+ * alert has ended.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { getAlertId, getAlertRevision } from '../utils/alerts';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const STORAGE_KEY = 'dismissedAlerts';
+const NO_END_RETENTION = 7 * 24 * 3600; // Seconds to remember alerts without an end time
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Records an alert as dismissed in its current revision
+ *
+ * @param {object} dismissed - Current dismissed map
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {object} - New dismissed map
+ */
+export const dismissAlert = (dismissed, alert) => ({
+  ...dismissed,
+  [getAlertId(alert)]: {
+    revision: getAlertRevision(alert),
+    end: alert.end || Math.floor(Date.now() / 1000) + NO_END_RETENTION,
+  },
+});
+
+/**
+ * Forgets a dismissal, so the alert is listed again
+ *
+ * @param {object} dismissed - Current dismissed map
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {object} - New dismissed map
+ */
+export const restoreAlert = (dismissed, alert) => {
+  const { [getAlertId(alert)]: _removed, ...rest } = dismissed;
+  return rest;
+};
+
+/**
+ * Drops entries for alerts that have ended
+ */
+const pruneExpired = (dismissed) => {
+  const nowSeconds = Date.now() / 1000;
+  return Object.fromEntries(
+    Object.entries(dismissed).filter(([, entry]) => entry.end > nowSeconds)
+  );
+};
+
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Loads the dismissed alerts
+ *
+ * @returns {object} - Map of alert id to { revision, end }, or an empty map
+ */
+export const loadDismissedAlerts = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEY);
+    return json ? pruneExpired(JSON.parse(json)) : {};
+  } catch (err) {
+    console.log('Dismissed alerts unreadable:', err.message);
+    return {};
+  }
+};
+
+/**
+ * Persists the dismissed alerts (ended ones are left out)
+ *
+ * @param {object} dismissed - Map of alert id to { revision, end }
+ */
+export const saveDismissedAlerts = async (dismissed) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(pruneExpired(dismissed)));
+  } catch (err) {
+    console.log('Could not save dismissed alerts:', err.message);
+  }
+};
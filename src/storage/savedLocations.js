@@ -0,0 +1,125 @@
+/**
+ * Saved Locations
+ * Persisted list of favorite locations, shown as pages in the city pager
+ *
+ * Each location is { id, name, country, lat, lon }. The id is derived from
+ * the rounded coordinates, so saving the same place twice is a no-op.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const STORAGE_KEY = 'savedLocations';
+const NEARBY_DEGREES = 0.05; // Max lat/lon difference (~5 km) for the same place from another provider
+
+
+// ============================================================================
+// LIST HELPERS
+// ============================================================================
+
+/**
+ * Builds a location id from coordinates (~1 km precision)
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} - Location id (e.g., "51.51,-0.13")
+ */
+export const getLocationId = (lat, lon) => `${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+/**
+ * Builds a saved location from current weather data
+ *
+ * @param {object} weather - Current weather in the /weather shape
+ * @returns {object} - { id, name, country, lat, lon }
+ */
+export const locationFromWeather = (weather) => ({
+  id: getLocationId(weather.coord.lat, weather.coord.lon),
+  name: weather.name,
+  country: weather.sys.country,
+  lat: weather.coord.lat,
+  lon: weather.coord.lon,
+});
+
+/**
+ * Finds the saved location a pair of coordinates belongs to
+ * Providers place the same city a little differently, so ids (rounded
+ * coordinates) can differ between them; this matches the nearest saved
+ * location within NEARBY_DEGREES instead
+ *
+ * @param {object[]} locations - Saved locations
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {object|null} - The saved location, or null if none is close enough
+ */
+export const findNearbyLocation = (locations, lat, lon) => {
+  const distance = (l) => Math.max(Math.abs(l.lat - lat), Math.abs(l.lon - lon));
+  return locations
+    .filter((l) => distance(l) <= NEARBY_DEGREES)
+    .sort((a, b) => distance(a) - distance(b))[0] || null;
+};
+
+/**
+ * Adds a location to the end of the list (ignored if already saved)
+ */
+export const addLocation = (locations, location) => {
+  if (locations.some((l) => l.id === location.id)) return locations;
+  return [...locations, location];
+};
+
+/**
+ * Removes a location by id
+ */
+export const removeLocation = (locations, id) => {
+  return locations.filter((l) => l.id !== id);
+};
+
+/**
+ * Moves a location up (offset -1) or down (offset 1) in the list
+ */
+export const moveLocation = (locations, id, offset) => {
+  const from = locations.findIndex((l) => l.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= locations.length) return locations;
+
+  const next = [...locations];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Loads the saved locations list
+ *
+ * @returns {object[]} - Saved locations, or an empty list
+ */
+export const loadSavedLocations = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEY);
+    return json ? JSON.parse(json) : [];
+  } catch (err) {
+    console.log('Saved locations unreadable:', err.message);
+    return [];
+  }
+};
+
+/**
+ * Persists the saved locations list
+ *
+ * @param {object[]} locations - Saved locations in display order
+ */
+export const saveSavedLocations = async (locations) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(locations));
+  } catch (err) {
+    console.log('Could not save locations:', err.message);
+  }
+};
@@ -0,0 +1,171 @@
+/**
+ * Settings
+ * Persisted user preferences: display units, time format, the location
+ * opened at launch, the weather data provider, whether animations, vibration
+ * and reduced motion are on, and which weather alert severities raise
+ * notifications
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { WEATHER_PROVIDERS, getDefaultProviderId } from '../api/weatherClient';
+import { ALERT_SEVERITIES } from '../utils/alerts';
+import { UNIT_OPTIONS, UNIT_PRESETS, resolveUnits } from '../utils/units';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const STORAGE_KEY = 'settings';
+
+/**
+ * Setting that overrides the preset unit of each quantity
+ * null means "use the unit system's unit"
+ */
+export const UNIT_SETTINGS = {
+  temperatureUnit: 'temperature',
+  windUnit: 'wind',
+  pressureUnit: 'pressure',
+  distanceUnit: 'distance',
+  precipitationUnit: 'precipitation',
+};
+
+/**
+ * Allowed values for each choice setting, in the order they are offered
+ * (for list settings, the values the list may contain)
+ */
+export const SETTING_OPTIONS = {
+  unitSystem: Object.keys(UNIT_PRESETS),
+  temperatureUnit: UNIT_OPTIONS.temperature,
+  windUnit: UNIT_OPTIONS.wind,
+  pressureUnit: UNIT_OPTIONS.pressure,
+  distanceUnit: UNIT_OPTIONS.distance,
+  precipitationUnit: UNIT_OPTIONS.precipitation,
+  timeFormat: ['12h', '24h'],
+  provider: Object.keys(WEATHER_PROVIDERS),
+  reduceMotion: ['system', 'on', 'off'],
+  alertNotifications: Object.keys(ALERT_SEVERITIES),
+};
+
+/**
+ * Settings used on first launch and for any value missing from storage
+ * defaultLocation is null (start on the search page), 'current' (GPS),
+ * or a saved location { id, name, country, lat, lon }
+ * provider is a WEATHER_PROVIDERS id, OpenWeatherMap when an API key is set
+ * reduceMotion 'system' follows the OS accessibility setting
+ * alertNotifications lists the alert severities that notify (empty turns them off)
+ * Temperature stays in Fahrenheit by default, as before unit systems existed
+ */
+export const DEFAULT_SETTINGS = {
+  unitSystem: 'metric',
+  temperatureUnit: 'fahrenheit',
+  windUnit: null,
+  pressureUnit: null,
+  distanceUnit: null,
+  precipitationUnit: null,
+  timeFormat: '12h',
+  defaultLocation: null,
+  provider: getDefaultProviderId(),
+  animations: true,
+  vibration: true,
+  reduceMotion: 'system',
+  alertNotifications: ['extreme', 'severe'],
+};
+
+
+// ============================================================================
+// UNITS
+// ============================================================================
+
+/**
+ * Resolves the display units for a settings object
+ *
+ * @param {object} settings - Settings in the DEFAULT_SETTINGS shape
+ * @returns {object} - { temperature, wind, pressure, distance, precipitation }
+ */
+export const getDisplayUnits = (settings) => {
+  const overrides = {};
+  Object.entries(UNIT_SETTINGS).forEach(([key, quantity]) => {
+    overrides[quantity] = settings[key];
+  });
+  return resolveUnits(settings.unitSystem, overrides);
+};
+
+
+// ============================================================================
+// MOTION
+// ============================================================================
+
+/**
+ * Whether weather effects should be replaced by static scenes
+ *
+ * @param {object} settings - Settings in the DEFAULT_SETTINGS shape
+ * @param {boolean} isSystemReduceMotion - OS reduce-motion setting (see useSystemReduceMotion)
+ * @returns {boolean} - true when motion, flashes and vibration should be avoided
+ */
+export const isReduceMotion = (settings, isSystemReduceMotion) => {
+  if (settings.reduceMotion === 'system') return isSystemReduceMotion;
+  return settings.reduceMotion === 'on';
+};
+
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Drops stored values that are no longer valid (e.g., a removed unit)
+ */
+const sanitizeSettings = (stored) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (stored[key] === undefined) return;
+    const isValid = Array.isArray(DEFAULT_SETTINGS[key])
+      ? Array.isArray(stored[key]) && stored[key].every((value) => SETTING_OPTIONS[key].includes(value))
+      : !SETTING_OPTIONS[key]
+        || SETTING_OPTIONS[key].includes(stored[key])
+        || (UNIT_SETTINGS[key] && stored[key] === null);
+    if (!isValid) return;
+    settings[key] = stored[key];
+  });
+  return settings;
+};
+
+/**
+ * Settings that differ from the defaults, i.e. the ones the user changed
+ *
+ * @param {object} settings - Settings in the DEFAULT_SETTINGS shape
+ * @returns {object} - Changed keys with their values
+ */
+export const getChangedSettings = (settings) => Object.fromEntries(
+  Object.entries(settings).filter(([key, value]) => value !== DEFAULT_SETTINGS[key])
+);
+
+/**
+ * Loads the settings, filling in defaults for anything not stored
+ *
+ * @returns {object} - Settings in the DEFAULT_SETTINGS shape
+ */
+export const loadSettings = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEY);
+    return json ? sanitizeSettings(JSON.parse(json)) : DEFAULT_SETTINGS;
+  } catch (err) {
+    console.log('Settings unreadable:', err.message);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+/**
+ * Persists the settings
+ *
+ * @param {object} settings - Settings in the DEFAULT_SETTINGS shape
+ */
+export const saveSettings = async (settings) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.log('Could not save settings:', err.message);
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Threshold Rules
+ * Persisted user-defined alert rules (see utils/rules.js), kept per
+ * location so a frost rule for the allotment doesn't fire for the office
+ *
+ * Stored as a map of location id to that location's rules. Saved locations
+ * keep the id they were saved with, whichever provider loaded them; other
+ * places use their coordinate id (see getLocationId).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const STORAGE_KEY = 'thresholdRules';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Replaces the rules of one location (an empty list removes its entry)
+ *
+ * @param {object} rulesByLocation - Map of location id to rules
+ * @param {string} locationId - Location id
+ * @param {object[]} rules - The location's new rules
+ * @returns {object} - New map
+ */
+export const setLocationRules = (rulesByLocation, locationId, rules) => {
+  const { [locationId]: _previous, ...rest } = rulesByLocation;
+  return rules.length > 0 ? { ...rest, [locationId]: rules } : rest;
+};
+
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Loads the rules of every location
+ *
+ * @returns {object} - Map of location id to rules, or an empty map
+ */
+export const loadThresholdRules = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEY);
+    return json ? JSON.parse(json) : {};
+  } catch (err) {
+    console.log('Threshold rules unreadable:', err.message);
+    return {};
+  }
+};
+
+/**
+ * Persists the rules of every location
+ *
+ * @param {object} rulesByLocation - Map of location id to rules
+ */
+export const saveThresholdRules = async (rulesByLocation) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(rulesByLocation));
+  } catch (err) {
+    console.log('Could not save threshold rules:', err.message);
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Weather Cache
+ * Persists the last successfully loaded weather model for each location
+ * so it can be shown while offline
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const STORAGE_KEY = 'weatherCache';
+const MAX_ENTRIES = 10; // Oldest locations are dropped beyond this
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Builds the cache key for a location query
+ * Coordinates are rounded to ~1 km so nearby GPS fixes share an entry
+ *
+ * @param {object} query - Either { city } or { lat, lon }
+ * @returns {string} - Cache key (e.g., "city:london" or "coords:51.51,-0.13")
+ */
+export const getLocationKey = (query) => {
+  if (query.city !== undefined) return `city:${query.city.trim().toLowerCase()}`;
+  return `coords:${query.lat.toFixed(2)},${query.lon.toFixed(2)}`;
+};
+
+// Tail of the pending saves (see saveCachedWeather)
+let writeQueue = Promise.resolve();
+
+const readAll = async () => {
+  try {
+    const json = await AsyncStorage.getItem(STORAGE_KEY);
+    return json ? JSON.parse(json) : {};
+  } catch (err) {
+    console.log('Weather cache unreadable:', err.message);
+    return {};
+  }
+};
+
+/**
+ * Adds one entry and keeps only the most recently fetched locations
+ */
+const writeEntry = async (query, data) => {
+  try {
+    const entries = await readAll();
+    entries[getLocationKey(query)] = data;
+
+    const keep = Object.keys(entries)
+      .sort((a, b) => entries[b].fetchedAt - entries[a].fetchedAt)
+      .slice(0, MAX_ENTRIES);
+    const pruned = Object.fromEntries(keep.map((key) => [key, entries[key]]));
+
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(pruned));
+  } catch (err) {
+    console.log('Could not save weather cache:', err.message);
+  }
+};
+
+
+// ============================================================================
+// CACHE API
+// ============================================================================
+
+/**
+ * Saves a weather model for a location
+ * Saves run one at a time: each one rewrites the whole cache, so pages
+ * loading together would otherwise drop each other's entries
+ *
+ * @param {object} query - Either { city } or { lat, lon }
+ * @param {object} data - Normalized weather model from the weather client
+ */
+export const saveCachedWeather = (query, data) => {
+  writeQueue = writeQueue.then(() => writeEntry(query, data));
+  return writeQueue;
+};
+
+/**
+ * Loads the cached weather model for a location
+ *
+ * @param {object} query - Either { city } or { lat, lon }
+ * @returns {object|null} - Cached weather model (with fetchedAt), or null
+ */
+export const loadCachedWeather = async (query) => {
+  const entries = await readAll();
+  return entries[getLocationKey(query)] || null;
+};
@@ -0,0 +1,72 @@
+import * as Notifications from 'expo-notifications';
+
+import { createWeatherClient } from '../../api/weatherClient';
+import { loadNotifiedAlerts } from '../../storage/alertNotifications';
+import { checkForNewAlerts } from '../alertCheck';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('expo-background-task', () => ({ BackgroundTaskResult: { Success: 1, Failed: 2 } }));
+jest.mock('expo-task-manager', () => ({ defineTask: jest.fn() }));
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  scheduleNotificationAsync: jest.fn(),
+}));
+jest.mock('../../api/weatherClient', () => ({ createWeatherClient: jest.fn() }));
+jest.mock('../../storage/settings', () => ({
+  loadSettings: async () => ({ alertNotifications: ['extreme', 'severe'] }),
+}));
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const nowSeconds = Math.floor(Date.now() / 1000);
+const LOCATION = { id: 'london', name: 'London', lat: 51.51, lon: -0.13 };
+
+const createAlert = (event, start) => ({
+  sender_name: 'Met Office',
+  event,
+  start,
+  end: nowSeconds + 6 * 3600,
+  description: '',
+  tags: [],
+});
+
+const ALERTS = [
+  createAlert('Flood Warning', nowSeconds - 3600),
+  createAlert('Wind Warning', nowSeconds - 1800),
+];
+
+
+// ============================================================================
+// CHECK
+// ============================================================================
+
+describe('checkForNewAlerts', () => {
+  beforeAll(() => {
+    process.env.EXPO_PUBLIC_WEATHER_API_KEY = 'test';
+    createWeatherClient.mockReturnValue({ getAlertsByCoords: async () => ALERTS });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => console.log.mockRestore());
+
+  it('records the alerts that went out even when a later one fails', async () => {
+    Notifications.scheduleNotificationAsync
+      .mockResolvedValueOnce('sent')
+      .mockRejectedValueOnce(new Error('Notifications unavailable'));
+    await checkForNewAlerts({ currentLocation: LOCATION });
+
+    expect(Object.keys(await loadNotifiedAlerts())).toEqual([`Flood Warning|${ALERTS[0].start}`]);
+
+    // The next check only retries the one that failed
+    Notifications.scheduleNotificationAsync.mockClear().mockResolvedValue('sent');
+    await checkForNewAlerts({ currentLocation: LOCATION });
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    expect(Notifications.scheduleNotificationAsync.mock.calls[0][0].content.title).toContain('Wind Warning');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Alert Check
+ * Looks for new official weather alerts at the search/GPS page's location
+ * and every saved location, and raises a local notification for each one
+ * at a severity the user chose (settings.alertNotifications)
+ *
+ * Runs while the app is open (see useAlertNotifications) and as a
+ * background task, so it works from storage alone. An alert is notified
+ * once per event and start time across all locations, since neighbouring
+ * places usually share the same regional alert.
+ *
+ * Only OpenWeatherMap reports alerts, so checks need its API key.
+ */
+
+import * as BackgroundTask from 'expo-background-task';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import { Platform } from 'react-native';
+
+import { createWeatherClient } from '../api/weatherClient';
+import {
+  addNotifiedAlerts,
+  loadNotifiedAlerts,
+  loadWatchedLocation,
+  saveNotifiedAlerts,
+} from '../storage/alertNotifications';
+import { loadSavedLocations } from '../storage/savedLocations';
+import { loadSettings } from '../storage/settings';
+import {
+  ALERT_SEVERITIES,
+  getAlertCategory,
+  getAlertCountdown,
+  getAlertNotificationKey,
+  getAlertSeverity,
+  getNewAlerts,
+} from '../utils/alerts';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+export const ALERT_CHECK_TASK = 'weather-alert-check';
+export const ALERT_CHECK_INTERVAL_MINUTES = 15; // Shortest background interval either OS allows
+
+const ALERT_CHANNEL_ID = 'weather-alerts'; // Android notification channel
+const ALERT_PROVIDER = 'openweathermap';
+
+// Alerts raised while the app is open still show as banners
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Asks for permission to notify, creating the Android channel first
+ *
+ * @returns {boolean} - Whether notifications may be shown
+ */
+export const requestNotificationPermission = async () => {
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(ALERT_CHANNEL_ID, {
+        name: 'Weather alerts',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted || !current.canAskAgain) return current.granted;
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  } catch (err) {
+    console.log('Notification permission unavailable:', err.message);
+    return false;
+  }
+};
+
+/**
+ * Shows a notification for one alert right away
+ */
+const notifyAlert = (alert, location) => {
+  const severity = ALERT_SEVERITIES[getAlertSeverity(alert)];
+  const category = getAlertCategory(alert);
+  return Notifications.scheduleNotificationAsync({
+    content: {
+      title: `${category.icon} ${alert.event} · ${location.name}`,
+      body: `${severity.label}. ${getAlertCountdown(alert).text}. Issued by ${alert.sender_name}`,
+      data: { locationId: location.id, alertKey: getAlertNotificationKey(alert) },
+    },
+    trigger: Platform.OS === 'android' ? { channelId: ALERT_CHANNEL_ID } : null,
+  });
+};
+
+
+// ============================================================================
+// CHECK
+// ============================================================================
+
+let isChecking = false; // The open app and the background task can overlap
+
+/**
+ * Loads the alerts for every watched location and notifies the new ones
+ *
+ * @param {object} options
+ * @param {object} options.currentLocation - Search/GPS page location, when the
+ *   app is open (the background task uses the last one stored)
+ */
+export const checkForNewAlerts = async ({ currentLocation } = {}) => {
+  if (isChecking || !process.env.EXPO_PUBLIC_WEATHER_API_KEY) return;
+  isChecking = true;
+  try {
+    const { alertNotifications: severities } = await loadSettings();
+    if (severities.length === 0) return;
+
+    const [watched, savedLocations] = await Promise.all([
+      currentLocation || loadWatchedLocation(),
+      loadSavedLocations(),
+    ]);
+    const locations = [watched, ...savedLocations]
+      .filter((location, index, all) => location && all.findIndex((l) => l?.id === location.id) === index);
+
+    const client = createWeatherClient({ provider: ALERT_PROVIDER });
+    let notified = await loadNotifiedAlerts();
+
+    for (const location of locations) {
+      let alerts;
+      try {
+        alerts = await client.getAlertsByCoords(location.lat, location.lon);
+      } catch (err) {
+        console.log(`Alert check failed for ${location.name}:`, err.message);
+        continue;
+      }
+
+      // Only alerts that went out count as notified, the rest are tried again next check
+      const delivered = [];
+      for (const alert of getNewAlerts(alerts, notified, severities)) {
+        try {
+          await notifyAlert(alert, location);
+          delivered.push(alert);
+        } catch (err) {
+          console.log(`Alert notification failed for ${location.name}:`, err.message);
+        }
+      }
+      notified = addNotifiedAlerts(notified, delivered.map((alert) => ({
+        key: getAlertNotificationKey(alert),
+        end: alert.end,
+      })));
+    }
+
+    await saveNotifiedAlerts(notified);
+  } finally {
+    isChecking = false;
+  }
+};
+
+
+// ============================================================================
+// BACKGROUND TASK
+// ============================================================================
+
+TaskManager.defineTask(ALERT_CHECK_TASK, async () => {
+  try {
+    await checkForNewAlerts();
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (err) {
+    console.log('Background alert check failed:', err.message);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+/**
+ * Turns the background check on or off
+ *
+ * @param {boolean} isEnabled - Run the check periodically in the background
+ */
+export const setBackgroundAlertCheck = async (isEnabled) => {
+  try {
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(ALERT_CHECK_TASK);
+    if (isEnabled && !isRegistered) {
+      await BackgroundTask.registerTaskAsync(ALERT_CHECK_TASK, {
+        minimumInterval: ALERT_CHECK_INTERVAL_MINUTES,
+      });
+    } else if (!isEnabled && isRegistered) {
+      await BackgroundTask.unregisterTaskAsync(ALERT_CHECK_TASK);
+    }
+  } catch (err) {
+    console.log('Background alert check unavailable:', err.message);
+  }
+};
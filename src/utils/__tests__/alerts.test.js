@@ -0,0 +1,109 @@
+import {
+  getAlertId,
+  getAlertRevision,
+  getAlertSeverity,
+  isAlertDismissed,
+  sortAlerts,
+} from '../alerts';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const createAlert = (event, { tags = [], start = 1700000000, ...rest } = {}) => ({
+  sender_name: 'Met Office',
+  event,
+  start,
+  end: start + 12 * 3600,
+  description: 'Heavy rain may cause flooding.',
+  tags,
+  ...rest,
+});
+
+
+// ============================================================================
+// SEVERITY
+// ============================================================================
+
+describe('getAlertSeverity', () => {
+  it('reads CAP severities and MeteoAlarm colours from the tags first', () => {
+    expect(getAlertSeverity(createAlert('Flood Warning', { tags: ['Extreme'] }))).toBe('extreme');
+    expect(getAlertSeverity(createAlert('Wind', { tags: [' Orange '] }))).toBe('severe');
+    expect(getAlertSeverity(createAlert('Rain', { tags: ['Flood', 'yellow'] }))).toBe('moderate');
+  });
+
+  it('falls back to the wording of the event name', () => {
+    expect(getAlertSeverity(createAlert('Extreme Heat Warning'))).toBe('extreme');
+    expect(getAlertSeverity(createAlert('Tornado Warning'))).toBe('extreme');
+    expect(getAlertSeverity(createAlert('Heat Warning'))).toBe('severe');
+    expect(getAlertSeverity(createAlert('Winter Storm Watch'))).toBe('moderate');
+    expect(getAlertSeverity(createAlert('Wind Advisory'))).toBe('minor');
+  });
+
+  it('keeps a red flag warning severe', () => {
+    expect(getAlertSeverity(createAlert('Red Flag Warning'))).toBe('severe');
+  });
+
+  it('treats unrecognized wording as moderate', () => {
+    expect(getAlertSeverity(createAlert('Avalanche danger level 3'))).toBe('moderate');
+    expect(getAlertSeverity({ sender_name: 'Met Office' })).toBe('moderate');
+  });
+});
+
+
+// ============================================================================
+// ORDER
+// ============================================================================
+
+describe('sortAlerts', () => {
+  it('puts the most severe first, then the earliest start', () => {
+    const alerts = [
+      createAlert('Wind Advisory', { start: 100 }),
+      createAlert('Flood Warning', { start: 300 }),
+      createAlert('Heat Warning', { start: 200 }),
+      createAlert('Tornado Warning', { start: 400 }),
+    ];
+
+    expect(sortAlerts(alerts).map((alert) => alert.event)).toEqual([
+      'Tornado Warning',
+      'Heat Warning',
+      'Flood Warning',
+      'Wind Advisory',
+    ]);
+  });
+
+  it('leaves the given array as it was', () => {
+    const alerts = [createAlert('Wind Advisory'), createAlert('Tornado Warning')];
+    sortAlerts(alerts);
+
+    expect(alerts[0].event).toBe('Wind Advisory');
+  });
+});
+
+
+// ============================================================================
+// DISMISSAL
+// ============================================================================
+
+describe('isAlertDismissed', () => {
+  const alert = createAlert('Flood Warning');
+  const dismissed = {
+    [getAlertId(alert)]: { revision: getAlertRevision(alert), end: alert.end },
+  };
+
+  it('holds while the alert is unchanged', () => {
+    expect(isAlertDismissed(alert, dismissed)).toBe(true);
+    expect(isAlertDismissed(alert, {})).toBe(false);
+  });
+
+  it('lapses when the agency extends or rewrites the alert', () => {
+    expect(isAlertDismissed({ ...alert, end: alert.end + 3600 }, dismissed)).toBe(false);
+    expect(isAlertDismissed({ ...alert, description: 'River levels rising.' }, dismissed)).toBe(false);
+  });
+
+  it('does not carry over to another event or start time', () => {
+    expect(isAlertDismissed({ ...alert, event: 'Flood Watch' }, dismissed)).toBe(false);
+    expect(isAlertDismissed({ ...alert, start: alert.start + 3600 }, dismissed)).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+import { aggregateDailyForecast, getLocalDateKey } from '../forecast';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const HOUR = 3600;
+const START = Date.UTC(2024, 0, 31, 0) / 1000; // 2024-01-31 00:00 UTC
+
+/**
+ * 3-hour step in the /forecast list shape
+ */
+const createStep = (hoursFromStart, { min = 5, max = 5, main = 'Clouds', id = 803, icon = '04d', ...rest } = {}) => ({
+  dt: START + hoursFromStart * HOUR,
+  main: { temp: (min + max) / 2, temp_min: min, temp_max: max },
+  weather: [{ id, main, description: main.toLowerCase(), icon }],
+  ...rest,
+});
+
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+describe('aggregateDailyForecast', () => {
+  it('groups steps by local calendar day', () => {
+    const steps = [0, 3, 21, 24].map((hours) => createStep(hours));
+
+    expect(aggregateDailyForecast(steps).map((day) => day.date)).toEqual(['2024-01-31', '2024-02-01']);
+    // Three hours ahead of UTC, 21:00 UTC is already the next day
+    expect(aggregateDailyForecast(steps, 3 * HOUR).map((day) => day.steps.length)).toEqual([2, 2]);
+  });
+
+  it('takes the high and low over every step of the day', () => {
+    const [day] = aggregateDailyForecast([
+      createStep(0, { min: 2, max: 4 }),
+      createStep(12, { min: 9, max: 13 }),
+      createStep(21, { min: 5, max: 6 }),
+    ]);
+
+    expect(day).toMatchObject({ tempMin: 2, tempMax: 13 });
+  });
+
+  it('sums precipitation and keeps the highest chance', () => {
+    const [day] = aggregateDailyForecast([
+      createStep(0, { rain: { '3h': 1.24 }, pop: 0.4 }),
+      createStep(3, { snow: { '3h': 0.5 }, pop: 0.8 }),
+      createStep(6),
+    ]);
+
+    expect(day).toMatchObject({ precipitation: 1.7, pop: 0.8 });
+  });
+
+  it('describes the day by its most frequent daytime condition', () => {
+    const [day] = aggregateDailyForecast([
+      createStep(0, { main: 'Clear', id: 800, icon: '01n' }),
+      createStep(3, { main: 'Clear', id: 800, icon: '01n' }),
+      createStep(9, { main: 'Rain', id: 500, icon: '10d' }),
+      createStep(12, { main: 'Clouds', id: 803, icon: '04d' }),
+      createStep(15, { main: 'Rain', id: 501, icon: '10d' }),
+    ]);
+
+    expect(day.weather).toMatchObject({ main: 'Rain', id: 501 });
+  });
+
+  it('breaks ties with the more severe condition', () => {
+    const [day] = aggregateDailyForecast([
+      createStep(9, { main: 'Clouds', id: 803, icon: '04d' }),
+      createStep(12, { main: 'Snow', id: 600, icon: '13d' }),
+    ]);
+
+    expect(day.weather.main).toBe('Snow');
+  });
+});
+
+describe('getLocalDateKey', () => {
+  it("reads the date in the location's time zone", () => {
+    expect(getLocalDateKey(START, 0)).toBe('2024-01-31');
+    expect(getLocalDateKey(START, -HOUR)).toBe('2024-01-30');
+  });
+});
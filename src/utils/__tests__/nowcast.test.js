@@ -0,0 +1,108 @@
+import {
+  getNowcastBarHeight,
+  getNowcastEvent,
+  getNowcastKind,
+  getPrecipitationBand,
+  getUpcomingMinutes,
+} from '../nowcast';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const START = 1700000040; // Start of a minute, in seconds
+
+/**
+ * Minute steps from START, one per rate (mm/h)
+ */
+const createMinutes = (rates) => rates.map((precipitation, i) => ({ dt: START + i * 60, precipitation }));
+
+const repeat = (rate, count) => Array(count).fill(rate);
+
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+describe('getNowcastEvent', () => {
+  it('reports a dry hour as nothing', () => {
+    expect(getNowcastEvent(createMinutes(repeat(0, 60)))).toBeNull();
+    expect(getNowcastEvent([])).toBeNull();
+  });
+
+  it('finds when precipitation starts and how long it lasts', () => {
+    const minutes = createMinutes([...repeat(0, 15), ...repeat(1.2, 40), ...repeat(0, 5)]);
+    expect(getNowcastEvent(minutes)).toEqual({ type: 'starts', minutes: 15, duration: 40 });
+  });
+
+  it('leaves the duration open when it lasts past the hour', () => {
+    const minutes = createMinutes([...repeat(0, 50), ...repeat(3, 10)]);
+    expect(getNowcastEvent(minutes)).toEqual({ type: 'starts', minutes: 50, duration: null });
+  });
+
+  it('finds when current precipitation stops', () => {
+    const minutes = createMinutes([...repeat(0.5, 12), ...repeat(0, 48)]);
+    expect(getNowcastEvent(minutes)).toEqual({ type: 'stops', minutes: 12 });
+  });
+
+  it('reports precipitation throughout as continuing', () => {
+    expect(getNowcastEvent(createMinutes(repeat(8, 60)))).toEqual({ type: 'continuing' });
+  });
+
+  it('ignores traces below the wet rate', () => {
+    const minutes = createMinutes([...repeat(0.05, 30), ...repeat(0.1, 30)]);
+    expect(getNowcastEvent(minutes)).toEqual({ type: 'starts', minutes: 30, duration: null });
+  });
+});
+
+describe('getUpcomingMinutes', () => {
+  it('starts with the minute in progress and stops after an hour', () => {
+    const minutes = createMinutes(repeat(0, 70));
+    const upcoming = getUpcomingMinutes(minutes, (START + 5 * 60 + 30) * 1000);
+
+    expect(upcoming).toHaveLength(60);
+    expect(upcoming[0].dt).toBe(START + 5 * 60);
+  });
+
+  it('handles a missing nowcast', () => {
+    expect(getUpcomingMinutes(null)).toEqual([]);
+  });
+});
+
+
+// ============================================================================
+// BANDS
+// ============================================================================
+
+describe('getPrecipitationBand', () => {
+  it('sorts rates into light, moderate and heavy', () => {
+    expect(getPrecipitationBand(0)).toBeNull();
+    expect(getPrecipitationBand(0.1)).toBe('light');
+    expect(getPrecipitationBand(2.5)).toBe('moderate');
+    expect(getPrecipitationBand(7.6)).toBe('heavy');
+    expect(getPrecipitationBand(40)).toBe('heavy');
+    expect(getPrecipitationBand(undefined)).toBeNull();
+  });
+});
+
+describe('getNowcastBarHeight', () => {
+  it('gives each band a third of the height', () => {
+    expect(getNowcastBarHeight(0)).toBe(0);
+    expect(getNowcastBarHeight(2.5)).toBeCloseTo(1 / 3);
+    expect(getNowcastBarHeight(7.6)).toBeCloseTo(2 / 3);
+    expect(getNowcastBarHeight(100)).toBe(1);
+  });
+});
+
+describe('getNowcastKind', () => {
+  it('takes the kind from the current conditions, then the hour in progress', () => {
+    expect(getNowcastKind({ weather: [{ id: 601 }] }, { weather: [{ id: 500 }] })).toBe('snow');
+    expect(getNowcastKind({ weather: [{ id: 800 }] }, { weather: [{ id: 211 }] })).toBe('storm');
+  });
+
+  it('guesses from the temperature when neither says', () => {
+    expect(getNowcastKind({ weather: [{ id: 800 }], main: { temp: -1 } })).toBe('snow');
+    expect(getNowcastKind({ weather: [{ id: 804 }], main: { temp: 4 } })).toBe('rain');
+  });
+});
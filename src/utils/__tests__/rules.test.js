@@ -0,0 +1,149 @@
+import { evaluateRules } from '../rules';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const HOUR = 3600;
+const START = Date.UTC(2024, 0, 31, 18) / 1000; // 2024-01-31 18:00 UTC
+const NOW = START * 1000;
+
+/**
+ * Hourly steps from 18:00 UTC, one per entry of `values` (merged into each hour)
+ */
+const createHours = (values) => values.map((value, i) => ({
+  dt: START + i * HOUR,
+  temp: 5,
+  pop: 0,
+  wind_speed: 2,
+  uvi: 0,
+  ...value,
+}));
+
+/**
+ * 3-hour forecast step starting `hoursFromStart` after 18:00 UTC
+ */
+const createStep = (hoursFromStart, { temp = 5, pop = 0 } = {}) => ({
+  dt: START + hoursFromStart * HOUR,
+  main: { temp },
+  pop,
+  wind: { speed: 2 },
+});
+
+const frost = { id: 'frost', type: 'frost', threshold: 0, window: null };
+const rain = { id: 'rain', type: 'rain', threshold: 60, window: null };
+
+const at = (hoursFromStart) => START + hoursFromStart * HOUR;
+
+
+// ============================================================================
+// MATCHES
+// ============================================================================
+
+describe('evaluateRules', () => {
+  it('joins consecutive matching hours into one match with the peak value', () => {
+    const hourly = createHours([{ temp: 2 }, { temp: -1 }, { temp: -3 }, { temp: -2 }, { temp: 1 }]);
+    const matches = evaluateRules([frost], { hourly, forecast: [] }, NOW);
+
+    expect(matches).toEqual([{ rule: frost, start: at(1), end: at(4), peak: -3 }]);
+  });
+
+  it('starts a new match after a step that misses', () => {
+    const hourly = createHours([{ temp: -1 }, { temp: 1 }, { temp: -2 }]);
+    const matches = evaluateRules([frost], { hourly, forecast: [] }, NOW);
+
+    expect(matches.map(({ start, end }) => [start, end])).toEqual([[at(0), at(1)], [at(2), at(3)]]);
+  });
+
+  it('leaves out steps that are over and keeps the one in progress', () => {
+    const hourly = createHours([{ temp: -1 }, { temp: -1 }, { temp: 3 }]);
+    const matches = evaluateRules([frost], { hourly, forecast: [] }, NOW + 90 * 60 * 1000);
+
+    expect(matches).toEqual([{ rule: frost, start: at(1), end: at(2), peak: -1 }]);
+  });
+
+  it('lists matches of every rule soonest first', () => {
+    const hourly = createHours([{ pop: 0.8 }, { temp: -1 }, { pop: 0.7 }]);
+    const matches = evaluateRules([frost, rain], { hourly, forecast: [] }, NOW);
+
+    expect(matches.map((match) => [match.rule.id, match.start])).toEqual([
+      ['rain', at(0)],
+      ['frost', at(1)],
+      ['rain', at(2)],
+    ]);
+  });
+});
+
+
+// ============================================================================
+// TIME WINDOWS
+// ============================================================================
+
+describe('evaluateRules time windows', () => {
+  const allNight = createHours(Array.from({ length: 14 }, () => ({ temp: -4 })));
+
+  it('keeps matches inside the window', () => {
+    const rule = { ...frost, window: { from: 19, to: 21 } };
+    const matches = evaluateRules([rule], { hourly: allNight, forecast: [] }, NOW);
+
+    expect(matches.map(({ start, end }) => [start, end])).toEqual([[at(1), at(3)]]);
+  });
+
+  it('follows windows that wrap past midnight', () => {
+    const rule = { ...frost, window: { from: 22, to: 6 } };
+    const matches = evaluateRules([rule], { hourly: allNight, forecast: [] }, NOW);
+
+    // 22:00 to 06:00 the next morning, one stretch across midnight
+    expect(matches.map(({ start, end }) => [start, end])).toEqual([[at(4), at(12)]]);
+  });
+
+  it("reads the window in the location's time", () => {
+    const rule = { ...frost, window: { from: 22, to: 6 } };
+    const matches = evaluateRules([rule], { hourly: allNight, forecast: [], timezoneOffset: 2 * HOUR }, NOW);
+
+    // 18:00 UTC is 20:00 local, so the night starts two hours earlier in UTC
+    expect(matches.map(({ start, end }) => [start, end])).toEqual([[at(2), at(10)]]);
+  });
+
+  it('counts a 3-hour step when any of its hours is inside the window', () => {
+    const rule = { ...frost, window: { from: 23, to: 24 } };
+    const forecast = [createStep(3, { temp: -2 }), createStep(6, { temp: -2 })];
+    const matches = evaluateRules([rule], { hourly: null, forecast }, NOW);
+
+    // 21:00-00:00 includes 23:00, 00:00-03:00 does not
+    expect(matches.map(({ start, end }) => [start, end])).toEqual([[at(3), at(6)]]);
+  });
+});
+
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+describe('evaluateRules timeline', () => {
+  it('continues with 3-hour steps where the hourly forecast ends', () => {
+    const hourly = createHours([{ pop: 0.8 }, { pop: 0.8 }, { pop: 0.9 }]);
+    const forecast = [
+      createStep(0, { pop: 0.1 }), // Covered by the hourly forecast
+      createStep(3, { pop: 0.7 }),
+      createStep(6, { pop: 0.95 }),
+      createStep(9, { pop: 0.2 }),
+    ];
+    const matches = evaluateRules([rain], { hourly, forecast }, NOW);
+
+    expect(matches).toEqual([{ rule: rain, start: at(0), end: at(9), peak: 95 }]);
+  });
+
+  it('never matches values the 3-hour steps lack', () => {
+    const uv = { id: 'uv', type: 'uv', threshold: 1, window: null };
+    const forecast = [createStep(0), createStep(3)];
+
+    expect(evaluateRules([uv], { hourly: null, forecast }, NOW)).toEqual([]);
+  });
+
+  it('skips rules of unknown types', () => {
+    const hourly = createHours([{ temp: -1 }]);
+    expect(evaluateRules([{ ...frost, type: 'hail' }], { hourly, forecast: [] }, NOW)).toEqual([]);
+  });
+});
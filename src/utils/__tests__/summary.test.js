@@ -0,0 +1,77 @@
+import { buildWeatherSummary, SUMMARY_TEMPLATES } from '../summary';
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const NOW = Date.UTC(2023, 10, 14, 9); // 09:00 UTC, a Tuesday morning
+const HOUR = 3600;
+
+/**
+ * Calm, dry hours from the hour in progress onwards
+ */
+const createHours = (count = 12) => Array.from({ length: count }, (_, i) => ({
+  dt: NOW / 1000 + i * HOUR,
+  pop: 0,
+  wind_speed: 3,
+  weather: [{ id: 800 }],
+}));
+
+const createData = ({ todayHigh = 12, yesterday = { tempMax: 12, tempMin: 5 }, hours = createHours() } = {}) => ({
+  current: { main: { temp: 8 }, weather: [{ id: 800 }] },
+  hourly: hours,
+  minutely: null,
+  daily: [{ date: '2023-11-14', tempMax: todayHigh }],
+  yesterday,
+  timezoneOffset: 0,
+});
+
+const summarize = (data, language = 'en') => buildWeatherSummary(data, {
+  formatTemperature: (celsius) => `${Math.round(celsius)}°`,
+  formatTime: (timestamp) => `${new Date(timestamp * 1000).getUTCHours()}h`,
+  language,
+  now: NOW,
+});
+
+
+// ============================================================================
+// TEMPERATURE
+// ============================================================================
+
+describe('buildWeatherSummary', () => {
+  it("compares today's high with yesterday's", () => {
+    expect(summarize(createData({ todayHigh: 16 }))).toBe(
+      'Dry for the next 12 hours. Warmer than yesterday, up to 16°.'
+    );
+    expect(summarize(createData({ todayHigh: 7 }))).toBe(
+      'Dry for the next 12 hours. Cooler than yesterday, high 8°.'
+    );
+  });
+
+  it('leaves small changes and unknown yesterdays out', () => {
+    expect(summarize(createData({ todayHigh: 14 }))).toBe('Dry for the next 12 hours.');
+    expect(summarize(createData({ todayHigh: 20, yesterday: null }))).toBe('Dry for the next 12 hours.');
+  });
+
+  it('puts the temperature before the wind', () => {
+    const hours = createHours().map((hour, i) => (i === 5 ? { ...hour, wind_speed: 12 } : hour));
+    expect(summarize(createData({ todayHigh: 16, hours }))).toBe(
+      'Dry for the next 12 hours. Warmer than yesterday, up to 16° and windy this afternoon.'
+    );
+  });
+});
+
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+describe('SUMMARY_TEMPLATES', () => {
+  it('names every part of the day differently', () => {
+    Object.values(SUMMARY_TEMPLATES).forEach((t) => {
+      const names = [...Object.values(t.periods), ...Object.values(t.tomorrowPeriods)];
+      expect(new Set(names).size).toBe(names.length);
+    });
+  });
+});
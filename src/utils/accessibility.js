@@ -0,0 +1,140 @@
+/**
+ * Accessibility
+ * Spoken forms of the displayed quantities, so screen readers say
+ * "18 kilometers per hour" instead of "18 km slash h", and announcements
+ * for changes that happen away from the focused element
+ */
+
+import { AccessibilityInfo, Platform } from 'react-native';
+
+import {
+  convertTemperature,
+  convertWindSpeed,
+  formatPrecipitation,
+  formatPressure,
+  formatVisibility,
+} from './units';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+/**
+ * Spoken name of each unit, keyed by its display label (see UNIT_LABELS)
+ * 'm' is used by formatVisibility for short distances
+ */
+const UNIT_NAMES = {
+  '°C': 'degrees Celsius',
+  '°F': 'degrees Fahrenheit',
+  'm/s': 'meters per second',
+  'km/h': 'kilometers per hour',
+  mph: 'miles per hour',
+  kn: 'knots',
+  hPa: 'hectopascals',
+  inHg: 'inches of mercury',
+  mmHg: 'millimeters of mercury',
+  km: 'kilometers',
+  mi: 'miles',
+  m: 'meters',
+  mm: 'millimeters',
+  in: 'inches',
+};
+
+const COMPASS_NAMES = {
+  N: 'north',
+  NE: 'northeast',
+  E: 'east',
+  SE: 'southeast',
+  S: 'south',
+  SW: 'southwest',
+  W: 'west',
+  NW: 'northwest',
+};
+
+
+// ============================================================================
+// SPOKEN QUANTITIES
+// ============================================================================
+
+/**
+ * Spells out the unit of a "value unit" string from the units module
+ * (e.g., "6.2 mi" -> "6.2 miles")
+ */
+const speakFormatted = (formatted) => {
+  const [value, label] = formatted.split(' ');
+  return `${value} ${UNIT_NAMES[label] || label}`;
+};
+
+/**
+ * @param {number} celsius - Temperature in °C
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @param {boolean} withUnit - Name the scale (e.g., "17 degrees Celsius")
+ * @returns {string} - Spoken temperature (e.g., "17 degrees")
+ */
+export const speakTemperature = (celsius, unit, withUnit = false) => {
+  const value = convertTemperature(celsius, unit);
+  if (!withUnit) return `${value} degrees`;
+  return `${value} ${UNIT_NAMES[unit === 'fahrenheit' ? '°F' : '°C']}`;
+};
+
+/**
+ * @param {number} metersPerSecond - Wind speed in m/s
+ * @param {string} unit - Wind unit from UNIT_OPTIONS.wind
+ * @returns {string} - Spoken speed (e.g., "18 kilometers per hour", "Beaufort force 4")
+ */
+export const speakWindSpeed = (metersPerSecond, unit) => {
+  const value = convertWindSpeed(metersPerSecond, unit);
+  if (unit === 'bft') return `Beaufort force ${value}`;
+  return `${value} ${UNIT_NAMES[unit] || unit}`;
+};
+
+/**
+ * @param {string} direction - Compass point from getWindDirection (e.g., "NW")
+ * @returns {string} - Spoken direction (e.g., "northwest"), empty when unknown
+ */
+export const speakCompassPoint = (direction) => COMPASS_NAMES[direction] || '';
+
+/**
+ * @param {number} hPa - Pressure in hectopascals
+ * @param {string} unit - Pressure unit from UNIT_OPTIONS.pressure
+ * @returns {string} - Spoken pressure (e.g., "29.92 inches of mercury")
+ */
+export const speakPressure = (hPa, unit) => `${formatPressure(hPa, unit)} ${UNIT_NAMES[unit] || unit}`;
+
+/**
+ * @param {number} meters - Visibility in meters
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {string} - Spoken distance (e.g., "10 kilometers")
+ */
+export const speakVisibility = (meters, unit) => speakFormatted(formatVisibility(meters, unit));
+
+/**
+ * @param {number} mm - Amount in millimeters
+ * @param {string} unit - 'mm' or 'in'
+ * @returns {string} - Spoken amount (e.g., "1.2 millimeters")
+ */
+export const speakPrecipitation = (mm, unit) => speakFormatted(formatPrecipitation(mm, unit));
+
+/**
+ * @param {number} pop - Probability of precipitation (0-1)
+ * @returns {string} - Spoken chance (e.g., "40 percent chance of precipitation")
+ */
+export const speakChanceOfPrecipitation = (pop) => `${Math.round(pop * 100)} percent chance of precipitation`;
+
+
+// ============================================================================
+// ANNOUNCEMENTS
+// ============================================================================
+
+/**
+ * Announces a change to VoiceOver
+ * Android has live regions (accessibilityLiveRegion) on the changing
+ * views, so TalkBack already reads the change and this does nothing there.
+ *
+ * @param {string} message - Sentence to read out
+ */
+export const announceChange = (message) => {
+  if (Platform.OS !== 'ios' || !message) return;
+  AccessibilityInfo.announceForAccessibility(message);
+};
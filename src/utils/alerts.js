@@ -0,0 +1,234 @@
+/**
+ * Weather Alerts
+ * Classifies official alerts (One Call shape: sender_name, event, start,
+ * end, description, tags) by severity and category, orders them, and
+ * identifies them across refreshes so a dismissal sticks until the alert
+ * itself changes
+ *
+ * Providers rarely send a severity field, so it is read from the wording
+ * agencies use: CAP severities or MeteoAlarm colours in the tags, then
+ * "Warning" / "Watch" / "Advisory" in the event name.
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+/**
+ * Severity levels, most severe first
+ * color is the card accent, textColor the title on a dark background
+ */
+export const ALERT_SEVERITIES = {
+  extreme:  { rank: 4, label: 'Extreme',  color: '#D500F9', textColor: '#EA80FC', tint: 'rgba(213, 0, 249, 0.15)' },
+  severe:   { rank: 3, label: 'Severe',   color: '#F44336', textColor: '#FF6B6B', tint: 'rgba(244, 67, 54, 0.15)' },
+  moderate: { rank: 2, label: 'Moderate', color: '#FF9800', textColor: '#FFB74D', tint: 'rgba(255, 152, 0, 0.15)' },
+  minor:    { rank: 1, label: 'Minor',    color: '#FFC107', textColor: '#FFE082', tint: 'rgba(255, 193, 7, 0.12)' },
+};
+
+/**
+ * Severity words checked in order, first match wins
+ * Tags are matched whole (CAP severities, MeteoAlarm colours); event names
+ * by pattern. "Extreme Heat Warning" is extreme, "Heat Warning" severe,
+ * "Red Flag Warning" (fire weather) only severe.
+ */
+const SEVERITY_TAGS = {
+  extreme: 'extreme', red: 'extreme',
+  severe: 'severe', orange: 'severe', amber: 'severe',
+  moderate: 'moderate', yellow: 'moderate',
+  minor: 'minor', green: 'minor',
+};
+
+const SEVERITY_PATTERNS = [
+  ['extreme', /\b(extreme|emergency)\b|\bred\b(?! flag)|tornado warning|tsunami warning|hurricane warning|typhoon warning|cyclone warning/],
+  ['severe', /\b(warning|orange|amber)\b/],
+  ['moderate', /\b(watch|yellow|alert)\b/],
+  ['minor', /\b(advisory|statement|outlook|notice|information|green)\b/],
+];
+
+const DEFAULT_SEVERITY = 'moderate'; // Unrecognized wording from an official source
+
+/**
+ * Categories checked in order against the event name, then the tags
+ * (event names are the more specific: "Heat Advisory" over a tag like
+ * "Extreme temperature value")
+ */
+const ALERT_CATEGORIES = [
+  { id: 'tornado', label: 'Tornado', icon: '🌪', pattern: /tornado/ },
+  { id: 'tropical', label: 'Tropical cyclone', icon: '🌀', pattern: /tropical|hurricane|typhoon|cyclone/ },
+  { id: 'thunderstorm', label: 'Thunderstorm', icon: '⛈', pattern: /thunder|lightning/ },
+  { id: 'snow', label: 'Snow and ice', icon: '❄', pattern: /snow|\bice\b|icy|blizzard|winter|freezing rain|avalanche/ },
+  { id: 'flood', label: 'Flood', icon: '🌊', pattern: /flood|tsunami|coastal|surge|high tide/ },
+  { id: 'air', label: 'Air quality', icon: '😷', pattern: /air quality|smoke|dust|pollution|ozone/ },
+  { id: 'fire', label: 'Fire', icon: '🔥', pattern: /fire|red flag/ },
+  { id: 'heat', label: 'Heat', icon: '🌡', pattern: /heat|high temperature/ },
+  { id: 'cold', label: 'Cold', icon: '🥶', pattern: /cold|chill|frost|freeze|low temperature/ },
+  { id: 'wind', label: 'Wind', icon: '💨', pattern: /wind|gale|squall|storm/ },
+  { id: 'rain', label: 'Rain', icon: '🌧', pattern: /rain/ },
+  { id: 'temperature', label: 'Temperature', icon: '🌡', pattern: /temperature/ },
+  { id: 'fog', label: 'Fog', icon: '🌫', pattern: /fog|visibility/ },
+];
+
+const OTHER_CATEGORY = { id: 'other', label: 'Other', icon: '⚠' };
+
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Severity of an alert
+ *
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {string} - Key of ALERT_SEVERITIES
+ */
+export const getAlertSeverity = (alert) => {
+  const tagged = (alert.tags || [])
+    .map((tag) => SEVERITY_TAGS[tag.trim().toLowerCase()])
+    .find(Boolean);
+  if (tagged) return tagged;
+
+  const event = (alert.event || '').toLowerCase();
+  const match = SEVERITY_PATTERNS.find(([, pattern]) => pattern.test(event));
+  return match ? match[0] : DEFAULT_SEVERITY;
+};
+
+/**
+ * Category of an alert
+ *
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {object} - { id, label, icon }
+ */
+export const getAlertCategory = (alert) => {
+  const texts = [alert.event || '', ...(alert.tags || [])].map((text) => text.toLowerCase());
+  for (const text of texts) {
+    const category = ALERT_CATEGORIES.find(({ pattern }) => pattern.test(text));
+    if (category) return category;
+  }
+  return OTHER_CATEGORY;
+};
+
+/**
+ * Orders alerts most severe first, then by start time
+ *
+ * @param {object[]} alerts - Alerts in the One Call shape
+ * @returns {object[]} - New array, sorted
+ */
+export const sortAlerts = (alerts) => [...alerts].sort((a, b) =>
+  ALERT_SEVERITIES[getAlertSeverity(b)].rank - ALERT_SEVERITIES[getAlertSeverity(a)].rank
+  || (a.start || 0) - (b.start || 0)
+);
+
+
+// ============================================================================
+// IDENTITY
+// ============================================================================
+
+/**
+ * Short stable hash of a string (djb2), for telling alert texts apart
+ */
+const hashText = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Identifies an alert across refreshes
+ *
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {string} - Id from the issuer, event and start time
+ */
+export const getAlertId = (alert) => `${alert.sender_name || ''}|${alert.event}|${alert.start || 0}`;
+
+/**
+ * Changes whenever an agency updates an alert (new end time or text)
+ *
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {string} - Revision fingerprint
+ */
+export const getAlertRevision = (alert) => `${alert.end || 0}|${hashText(alert.description || '')}`;
+
+/**
+ * Whether an alert was dismissed in its current revision
+ *
+ * @param {object} alert - Alert in the One Call shape
+ * @param {object} dismissed - Map of alert id to { revision, end } (see dismissedAlerts storage)
+ * @returns {boolean}
+ */
+export const isAlertDismissed = (alert, dismissed) =>
+  dismissed[getAlertId(alert)]?.revision === getAlertRevision(alert);
+
+
+// ============================================================================
+// VALIDITY WINDOW
+// ============================================================================
+
+/**
+ * Formats a duration in seconds as days, hours and minutes
+ * (e.g., "2 d 3 h", "5 h 20 min", "12 min")
+ */
+const formatDuration = (seconds) => {
+  const minutes = Math.max(1, Math.ceil(seconds / 60));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  if (days > 0) return hours > 0 ? `${days} d ${hours} h` : `${days} d`;
+  if (hours > 0) return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+  return `${rest} min`;
+};
+
+/**
+ * Countdown for an alert's validity window
+ *
+ * @param {object} alert - Alert with start and end as Unix timestamps in seconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {object} - { status, text }: status is 'upcoming', 'active' or 'expired';
+ *   text reads "Starts in 3 h", "Ends in 1 h 20 min", "In effect" (no end) or "Expired"
+ */
+export const getAlertCountdown = (alert, now = Date.now()) => {
+  const nowSeconds = now / 1000;
+  if (alert.start && alert.start > nowSeconds) {
+    return { status: 'upcoming', text: `Starts in ${formatDuration(alert.start - nowSeconds)}` };
+  }
+  if (!alert.end) return { status: 'active', text: 'In effect' };
+  if (alert.end <= nowSeconds) return { status: 'expired', text: 'Expired' };
+  return { status: 'active', text: `Ends in ${formatDuration(alert.end - nowSeconds)}` };
+};
+
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Key an alert is notified under: the same event starting at the same
+ * time is one notification, even when reissued with new text or by
+ * another office
+ *
+ * @param {object} alert - Alert in the One Call shape
+ * @returns {string} - Notification key (e.g., "Flood Warning|1718035200")
+ */
+export const getAlertNotificationKey = (alert) => `${alert.event}|${alert.start || 0}`;
+
+/**
+ * Alerts worth a notification: at a chosen severity, not over yet, and
+ * not notified before
+ *
+ * @param {object[]} alerts - Alerts in the One Call shape
+ * @param {object} notified - Map of notification key to end time (see storage/alertNotifications)
+ * @param {string[]} severities - ALERT_SEVERITIES keys the user wants notifications for
+ * @param {number} now - Current time in milliseconds
+ * @returns {object[]} - New alerts, most severe first, one per notification key
+ */
+export const getNewAlerts = (alerts, notified, severities, now = Date.now()) => {
+  const seen = new Set(Object.keys(notified));
+  return sortAlerts(alerts).filter((alert) => {
+    const key = getAlertNotificationKey(alert);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return severities.includes(getAlertSeverity(alert))
+      && getAlertCountdown(alert, now).status !== 'expired';
+  });
+};
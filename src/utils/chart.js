@@ -0,0 +1,123 @@
+/**
+ * Chart Geometry
+ * Turns the hourly forecast into SVG paths and bar sizes for the hourly
+ * chart: temperature and feels-like curves over precipitation bars
+ *
+ * Everything here is pure layout math in pixels; drawing and scrubbing
+ * live in the HourlyChart component.
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const MIN_TEMP_SPAN = 4;    // °C; flatter days still get a readable curve
+const MIN_RAIN_SCALE = 2;   // mm/h shown as a full bar, unless the wettest hour is heavier
+
+
+// ============================================================================
+// PATHS
+// ============================================================================
+
+/**
+ * Tangent at each point for a monotone cubic curve (Fritsch-Butland)
+ * Flat at local peaks and troughs, so the curve never overshoots the data
+ */
+const getTangents = (points) => {
+  const slopes = points.slice(1).map((point, i) =>
+    (point.y - points[i].y) / (point.x - points[i].x)
+  );
+
+  return points.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === points.length - 1) return slopes[i - 1];
+    const before = slopes[i - 1];
+    const after = slopes[i];
+    if (before * after <= 0) return 0;
+    return 2 / (1 / before + 1 / after);
+  });
+};
+
+/**
+ * Smooth SVG path through points, without overshooting between them
+ *
+ * @param {object[]} points - { x, y } in increasing x order
+ * @returns {string} - SVG path data ("" for no points)
+ */
+export const getSmoothPath = (points) => {
+  if (points.length === 0) return '';
+  if (points.length === 1) return `M${points[0].x},${points[0].y}`;
+
+  const tangents = getTangents(points);
+  let path = `M${points[0].x},${points[0].y}`;
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    const third = (to.x - from.x) / 3;
+    path += ` C${from.x + third},${from.y + tangents[i] * third}`
+      + ` ${to.x - third},${to.y - tangents[i + 1] * third}`
+      + ` ${to.x},${to.y}`;
+  }
+  return path;
+};
+
+
+// ============================================================================
+// HOURLY CHART LAYOUT
+// ============================================================================
+
+/**
+ * Rain and snow (water equivalent) of one hourly entry in mm
+ *
+ * @param {object} hour - Hourly entry in the One Call shape
+ * @returns {number} - Precipitation in mm for the hour
+ */
+export const getHourlyPrecipitation = (hour) => (hour.rain?.['1h'] || 0) + (hour.snow?.['1h'] || 0);
+
+/**
+ * Lays out the hourly chart
+ * Hours are spread evenly across the width; both curves share one
+ * temperature scale so feels-like reads against the real temperature.
+ *
+ * @param {object[]} hours - Hourly entries in the One Call shape
+ * @param {object} size - { width, curveHeight, barHeight, padding }:
+ *   curveHeight - Height of the temperature area
+ *   barHeight - Height of the precipitation area below it
+ *   padding - Space kept clear around the curves (for the scrub dots)
+ * @returns {object} - { step, points, bars, tempPath, feelsPath, tempRange }:
+ *   points - Per hour { x, tempY, feelsY }
+ *   bars - Per hour { popHeight, rainHeight }
+ *   tempRange - { min, max } of both curves in °C
+ */
+export const getHourlyChartLayout = (hours, { width, curveHeight, barHeight, padding }) => {
+  const temps = hours.flatMap((hour) => [hour.temp, hour.feels_like ?? hour.temp]);
+  const min = Math.min(...temps);
+  const max = Math.max(...temps);
+  const span = Math.max(max - min, MIN_TEMP_SPAN);
+  const mid = (min + max) / 2;
+
+  const step = hours.length > 1 ? (width - padding * 2) / (hours.length - 1) : 0;
+  const toY = (temp) => padding + (1 - ((temp - mid) / span + 0.5)) * (curveHeight - padding * 2);
+
+  const rainScale = Math.max(MIN_RAIN_SCALE, ...hours.map(getHourlyPrecipitation));
+
+  const points = hours.map((hour, i) => ({
+    x: padding + i * step,
+    tempY: toY(hour.temp),
+    feelsY: toY(hour.feels_like ?? hour.temp),
+  }));
+
+  const bars = hours.map((hour) => ({
+    popHeight: (hour.pop || 0) * barHeight,
+    rainHeight: (getHourlyPrecipitation(hour) / rainScale) * barHeight,
+  }));
+
+  return {
+    step,
+    points,
+    bars,
+    tempPath: getSmoothPath(points.map((point) => ({ x: point.x, y: point.tempY }))),
+    feelsPath: getSmoothPath(points.map((point) => ({ x: point.x, y: point.feelsY }))),
+    tempRange: { min, max },
+  };
+};
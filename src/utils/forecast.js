@@ -0,0 +1,123 @@
+/**
+ * Forecast Utilities
+ * Rolls the 3-hour forecast steps up into per-day summaries
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+/**
+ * Tie-breaker when two conditions cover the same number of steps in a day
+ * Higher ranks win, so a day with equal rain and clouds reads as rain
+ */
+const CONDITION_SEVERITY = {
+  Thunderstorm: 9,
+  Tornado: 8,
+  Squall: 8,
+  Snow: 7,
+  Rain: 6,
+  Drizzle: 5,
+  Ash: 4,
+  Sand: 4,
+  Dust: 4,
+  Smoke: 3,
+  Fog: 3,
+  Mist: 2,
+  Haze: 2,
+  Clouds: 1,
+  Clear: 0,
+};
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Returns the location's local calendar date for a timestamp
+ *
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {number} timezoneOffset - Timezone offset in seconds from UTC
+ * @returns {string} - Local date key (e.g., "2024-01-31")
+ */
+export const getLocalDateKey = (timestamp, timezoneOffset) => {
+  return new Date((timestamp + timezoneOffset) * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * Picks the condition that best describes a day
+ * The most frequent condition wins, ties go to the more severe one.
+ * Daytime steps are preferred so the icon shows the day variant.
+ *
+ * @param {object[]} steps - 3-hour steps of one day
+ * @returns {object} - Weather entry { id, main, description, icon }
+ */
+const getDominantCondition = (steps) => {
+  const daySteps = steps.filter((step) => step.weather[0].icon.endsWith('d'));
+  const candidates = daySteps.length > 0 ? daySteps : steps;
+
+  const counts = {};
+  candidates.forEach((step) => {
+    const { main } = step.weather[0];
+    counts[main] = (counts[main] || 0) + 1;
+  });
+
+  const dominant = Object.keys(counts).sort((a, b) =>
+    (counts[b] - counts[a]) || ((CONDITION_SEVERITY[b] || 0) - (CONDITION_SEVERITY[a] || 0))
+  )[0];
+
+  // Most severe step of that condition (highest id within a group is stronger)
+  const representative = candidates
+    .filter((step) => step.weather[0].main === dominant)
+    .sort((a, b) => b.weather[0].id - a.weather[0].id)[0];
+
+  return representative.weather[0];
+};
+
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Aggregates 3-hour forecast steps into one summary per local calendar day
+ *
+ * @param {object[]} steps - 3-hour steps in the /forecast list shape
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @returns {object[]} - Days in order, each with:
+ *   date, dt, tempMin, tempMax, weather, precipitation (mm), pop (0-1), steps
+ */
+export const aggregateDailyForecast = (steps, timezoneOffset = 0) => {
+  const days = [];
+  const byDate = {};
+
+  steps.forEach((step) => {
+    const date = getLocalDateKey(step.dt, timezoneOffset);
+    if (!byDate[date]) {
+      byDate[date] = [];
+      days.push(date);
+    }
+    byDate[date].push(step);
+  });
+
+  return days.map((date) => {
+    const daySteps = byDate[date];
+    const temps = daySteps.flatMap((step) => [step.main.temp_min, step.main.temp_max]);
+    const precipitation = daySteps.reduce(
+      (total, step) => total + (step.rain?.['3h'] || 0) + (step.snow?.['3h'] || 0),
+      0
+    );
+
+    return {
+      date,
+      dt: daySteps[0].dt,
+      tempMin: Math.min(...temps),
+      tempMax: Math.max(...temps),
+      weather: getDominantCondition(daySteps),
+      precipitation: Math.round(precipitation * 10) / 10,
+      pop: Math.max(...daySteps.map((step) => step.pop || 0)),
+      steps: daySteps,
+    };
+  });
+};
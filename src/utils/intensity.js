@@ -0,0 +1,141 @@
+/**
+ * Weather Intensity
+ * Turns current conditions into 0-1 intensities that drive the animated
+ * backgrounds, so light drizzle and a downpour don't look the same, and
+ * into a screen-space wind that slants and pushes the particles
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+/**
+ * Used when there is no weather to measure (e.g., the landing showcase)
+ */
+export const DEFAULT_INTENSITY = {
+  precipitation: 0.5,
+  cloudCover: 0.6,
+  wind: { x: 0, strength: 0.2, gust: 0 },
+};
+
+/**
+ * Intensity implied by the condition id alone
+ * Ids not listed fall back to their group's moderate value
+ */
+const SEVERITY_BY_ID = {
+  // Thunderstorm: with light rain / rain / heavy rain, then light / plain / heavy / ragged
+  200: 0.4, 201: 0.6, 202: 0.9, 210: 0.4, 211: 0.6, 212: 0.85, 221: 0.7,
+  230: 0.4, 231: 0.5, 232: 0.7,
+  // Drizzle
+  300: 0.1, 301: 0.15, 302: 0.25, 310: 0.15, 311: 0.2, 312: 0.3,
+  313: 0.25, 314: 0.35, 321: 0.25,
+  // Rain: light, moderate, heavy, very heavy, extreme, freezing, showers
+  500: 0.25, 501: 0.45, 502: 0.7, 503: 0.85, 504: 1, 511: 0.45,
+  520: 0.35, 521: 0.5, 522: 0.75, 531: 0.5,
+  // Snow, sleet and snow showers
+  600: 0.25, 601: 0.5, 602: 0.85, 611: 0.35, 612: 0.3, 613: 0.45,
+  615: 0.3, 616: 0.45, 620: 0.3, 621: 0.5, 622: 0.8,
+};
+
+const SEVERITY_BY_GROUP = { 2: 0.6, 3: 0.2, 5: 0.45, 6: 0.5 };
+
+/**
+ * Hourly amount (mm) treated as the heaviest possible for the animation
+ * Snow is measured as water equivalent, so far less counts as heavy
+ */
+const MAX_RATE = { rain: 30, snow: 5 };
+
+const MAX_WIND_SPEED = 20;   // m/s (gale force) treated as full strength
+const MAX_GUST_EXCESS = 10;  // m/s of gust above the mean treated as full gustiness
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Returns the intensity implied by an OpenWeatherMap condition id
+ *
+ * @param {number} weatherId - Condition id (e.g., 502)
+ * @returns {number} - 0-1, 0 for conditions without precipitation
+ */
+export const getSeverityIntensity = (weatherId) => {
+  if (SEVERITY_BY_ID[weatherId] !== undefined) return SEVERITY_BY_ID[weatherId];
+  return SEVERITY_BY_GROUP[Math.floor(weatherId / 100)] || 0;
+};
+
+/**
+ * Maps an hourly amount onto 0-1 on a log scale, so the difference
+ * between 0.5 and 2 mm/h shows as clearly as between 10 and 30 mm/h
+ */
+const getRateIntensity = (mmPerHour, maxRate) => {
+  return clamp01(Math.log1p(mmPerHour) / Math.log1p(maxRate));
+};
+
+
+// ============================================================================
+// INTENSITY
+// ============================================================================
+
+/**
+ * Precipitation intensity of the current weather
+ * Averages the measured hourly amount with the condition's severity;
+ * uses the severity alone when no amount is reported.
+ *
+ * @param {object} weather - Current weather in the /weather shape
+ * @returns {number} - 0 (dry) to 1 (extreme)
+ */
+export const getPrecipitationIntensity = (weather) => {
+  const severity = getSeverityIntensity(weather.weather[0].id);
+  const rain = weather.rain?.['1h'];
+  const snow = weather.snow?.['1h'];
+  if (rain === undefined && snow === undefined) return severity;
+
+  const rate = Math.max(
+    getRateIntensity(rain || 0, MAX_RATE.rain),
+    getRateIntensity(snow || 0, MAX_RATE.snow)
+  );
+  return clamp01((rate + severity) / 2);
+};
+
+/**
+ * Wind as seen on a screen held facing north
+ * wind.deg is where the wind blows from, so a westerly (270°) pushes
+ * particles to the right. Only the east-west part shows as slant.
+ *
+ * @param {object} wind - { speed, deg, gust } in m/s and degrees
+ * @returns {object} - { x, strength, gust }:
+ *   x - signed horizontal push (-1 left to 1 right), scaled by strength
+ *   strength - 0-1 overall wind speed
+ *   gust - 0-1 how far gusts exceed the mean speed
+ */
+export const getWindIntensity = (wind) => {
+  if (!wind?.speed) return { x: 0, strength: 0, gust: 0 };
+
+  const strength = clamp01(wind.speed / MAX_WIND_SPEED);
+  const towardRadians = (((wind.deg || 0) + 180) % 360) * Math.PI / 180;
+  return {
+    x: Math.sin(towardRadians) * strength,
+    strength,
+    gust: wind.gust ? clamp01((wind.gust - wind.speed) / MAX_GUST_EXCESS) : 0,
+  };
+};
+
+/**
+ * Intensities for the animated background
+ *
+ * @param {object} weather - Current weather in the /weather shape, or null
+ * @returns {object} - { precipitation, cloudCover, wind }, see getWindIntensity for wind
+ */
+export const getWeatherIntensity = (weather) => {
+  if (!weather) return DEFAULT_INTENSITY;
+  return {
+    precipitation: getPrecipitationIntensity(weather),
+    cloudCover: weather.clouds?.all !== undefined
+      ? clamp01(weather.clouds.all / 100)
+      : DEFAULT_INTENSITY.cloudCover,
+    wind: getWindIntensity(weather.wind),
+  };
+};
@@ -0,0 +1,126 @@
+/**
+ * Nowcast
+ * Reads the minute-by-minute precipitation forecast (One Call minutely:
+ * { dt, precipitation } in mm/h) for the next hour: intensity bands, when
+ * precipitation starts and stops, and bar heights for the nowcast chart
+ *
+ * Bands follow the usual rain rate classes (light below 2.5 mm/h, heavy
+ * from 7.6 mm/h). The chart gives each band a third of its height, so
+ * drizzle stays visible next to a downpour.
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+export const WET_RATE = 0.1; // mm/h from which a minute counts as wet
+
+/**
+ * Intensity bands, lightest first (min/max in mm/h)
+ */
+export const NOWCAST_BANDS = {
+  light: { label: 'Light', min: WET_RATE, max: 2.5 },
+  moderate: { label: 'Moderate', min: 2.5, max: 7.6 },
+  heavy: { label: 'Heavy', min: 7.6, max: 16 }, // max: rate drawn at full height
+};
+
+const BAND_KEYS = Object.keys(NOWCAST_BANDS);
+const NOWCAST_MINUTES = 60;
+
+
+// ============================================================================
+// READING THE NOWCAST
+// ============================================================================
+
+/**
+ * The next hour of minute steps, starting with the minute in progress
+ *
+ * @param {object[]} minutely - Minute steps in the One Call shape
+ * @param {number} now - Current time in milliseconds
+ * @returns {object[]} - Up to 60 minute steps
+ */
+export const getUpcomingMinutes = (minutely, now = Date.now()) => {
+  const nowSeconds = now / 1000;
+  return (minutely || [])
+    .filter((minute) => minute.dt + 60 > nowSeconds)
+    .slice(0, NOWCAST_MINUTES);
+};
+
+/**
+ * Intensity band of a precipitation rate
+ *
+ * @param {number} rate - Precipitation in mm/h
+ * @returns {string|null} - Key of NOWCAST_BANDS, or null when dry
+ */
+export const getPrecipitationBand = (rate) => {
+  if (!(rate >= WET_RATE)) return null;
+  return BAND_KEYS.find((key) => rate < NOWCAST_BANDS[key].max) || 'heavy';
+};
+
+/**
+ * Bar height for a rate as a share of the chart height (0-1)
+ * Each band fills its own third, linearly within the band
+ *
+ * @param {number} rate - Precipitation in mm/h
+ * @returns {number} - 0 when dry, up to 1 for the heaviest rates
+ */
+export const getNowcastBarHeight = (rate) => {
+  const band = getPrecipitationBand(rate);
+  if (!band) return 0;
+  const index = BAND_KEYS.indexOf(band);
+  const { max } = NOWCAST_BANDS[band];
+  const min = index === 0 ? 0 : NOWCAST_BANDS[band].min;
+  const withinBand = Math.min((rate - min) / (max - min), 1);
+  return (index + withinBand) / BAND_KEYS.length;
+};
+
+/**
+ * Precipitation starting, stopping or continuing within the minutes given
+ *
+ * @param {object[]} minutes - Minute steps, the first being now (see getUpcomingMinutes)
+ * @returns {object|null} - null when dry throughout, otherwise:
+ *   { type: 'starts', minutes, duration } - duration null when it lasts past the end
+ *   { type: 'stops', minutes } - wet now, dry after `minutes`
+ *   { type: 'continuing' } - wet throughout
+ */
+export const getNowcastEvent = (minutes) => {
+  const wet = minutes.map((minute) => minute.precipitation >= WET_RATE);
+  if (wet.length === 0) return null;
+
+  if (wet[0]) {
+    const stop = wet.indexOf(false);
+    return stop === -1 ? { type: 'continuing' } : { type: 'stops', minutes: stop };
+  }
+  const start = wet.indexOf(true);
+  if (start === -1) return null;
+  const end = wet.indexOf(false, start);
+  return { type: 'starts', minutes: start, duration: end === -1 ? null : end - start };
+};
+
+/**
+ * Precipitation kind of an OpenWeatherMap condition id
+ *
+ * @param {number} weatherId - Condition id (e.g., 501)
+ * @returns {string|null} - 'storm', 'drizzle', 'rain', 'snow', or null for dry conditions
+ */
+export const getPrecipitationKind = (weatherId) => {
+  switch (Math.floor(weatherId / 100)) {
+    case 2:  return 'storm';
+    case 3:  return 'drizzle';
+    case 5:  return 'rain';
+    case 6:  return 'snow';
+    default: return null;
+  }
+};
+
+/**
+ * Kind of the precipitation in the nowcast
+ * The nowcast has amounts only, so the kind comes from the conditions
+ *
+ * @param {object} current - Current conditions (OWM /weather shape)
+ * @param {object} nextHour - Hourly step in progress (One Call shape), if any
+ * @returns {string} - 'storm', 'drizzle', 'rain' or 'snow'
+ */
+export const getNowcastKind = (current, nextHour) => getPrecipitationKind(current?.weather?.[0]?.id)
+  || getPrecipitationKind(nextHour?.weather?.[0]?.id)
+  || (current?.main?.temp <= 0 ? 'snow' : 'rain');
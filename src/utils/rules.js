@@ -0,0 +1,302 @@
+/**
+ * Threshold Rules
+ * User-defined alerts ("tell me if it drops below 0°") and the engine that
+ * finds when the forecast meets them
+ *
+ * A rule is { id, type, threshold, window }:
+ * - type: Key of RULE_TYPES
+ * - threshold: Metric value (°C, %, m/s or UV index), converted for display
+ * - window: { from, to } local hours (to is exclusive, 0-24, may wrap past
+ *   midnight), or null for any time of day
+ *
+ * Rules are checked against the hourly forecast and, past its end, the
+ * 3-hour forecast steps. Consecutive matching steps form one match.
+ */
+
+import {
+  UNIT_LABELS,
+  convertTemperature,
+  convertWindSpeed,
+  formatWindSpeed,
+  toCelsius,
+  toMetersPerSecond,
+} from './units';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+/**
+ * Supported rule types
+ * read returns the checked value of a timeline step (undefined when the
+ * step doesn't have it, e.g. UV beyond the hourly forecast)
+ */
+export const RULE_TYPES = {
+  frost: {
+    label: 'Frost',
+    icon: '❄',
+    quantity: 'temperature',
+    comparison: 'below',
+    defaultThreshold: 0,
+    read: (step) => step.temp,
+  },
+  rain: {
+    label: 'Rain chance',
+    icon: '☂',
+    quantity: 'percent',
+    comparison: 'above',
+    defaultThreshold: 60,
+    read: (step) => (step.pop === undefined ? undefined : step.pop * 100),
+  },
+  gust: {
+    label: 'Wind gusts',
+    icon: '💨',
+    quantity: 'wind',
+    comparison: 'above',
+    defaultThreshold: 15,
+    read: (step) => step.gust,
+  },
+  uv: {
+    label: 'UV index',
+    icon: '☀',
+    quantity: 'uv',
+    comparison: 'above',
+    defaultThreshold: 6,
+    read: (step) => step.uvi,
+  },
+};
+
+// Threshold editing range for quantities without a display unit
+const PLAIN_LIMITS = {
+  percent: { min: 0, max: 100, step: 10 },
+  uv: { min: 1, max: 11, step: 1 },
+};
+
+const DEFAULT_WINDOW = { from: 7, to: 19 };
+const HOUR = 3600;
+const FORECAST_STEP = 3 * HOUR;
+
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Creates a rule with the type's default threshold, for any time of day
+ *
+ * @param {string} type - Key of RULE_TYPES
+ * @returns {object} - New rule
+ */
+export const createRule = (type) => ({
+  id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  type,
+  threshold: RULE_TYPES[type].defaultThreshold,
+  window: null,
+});
+
+/**
+ * Turns a rule's time window on (with the default hours) or off
+ */
+export const toggleRuleWindow = (rule) => ({
+  ...rule,
+  window: rule.window ? null : DEFAULT_WINDOW,
+});
+
+/**
+ * Threshold in the display unit, as the number the editor steps
+ */
+const toDisplayValue = (rule, units) => {
+  switch (RULE_TYPES[rule.type].quantity) {
+    case 'temperature': return convertTemperature(rule.threshold, units.temperature);
+    case 'wind':        return convertWindSpeed(rule.threshold, units.wind);
+    default:            return rule.threshold;
+  }
+};
+
+/**
+ * Moves a rule's threshold one step up or down in the display unit
+ * (1°, 1 wind unit or Beaufort force, 10%, 1 UV index)
+ *
+ * @param {object} rule - Rule to change
+ * @param {number} direction - 1 (up) or -1 (down)
+ * @param {object} units - Display units from getDisplayUnits
+ * @returns {object} - Rule with the new metric threshold
+ */
+export const stepRuleThreshold = (rule, direction, units) => {
+  const { quantity } = RULE_TYPES[rule.type];
+  const value = toDisplayValue(rule, units);
+  switch (quantity) {
+    case 'temperature':
+      return { ...rule, threshold: toCelsius(value + direction, units.temperature) };
+    case 'wind':
+      return { ...rule, threshold: toMetersPerSecond(Math.max(0, value + direction), units.wind) };
+    default: {
+      const { min, max, step } = PLAIN_LIMITS[quantity];
+      return { ...rule, threshold: Math.min(max, Math.max(min, value + direction * step)) };
+    }
+  }
+};
+
+/**
+ * Moves one end of a rule's time window by an hour
+ *
+ * @param {object} rule - Rule with a window
+ * @param {string} edge - 'from' or 'to'
+ * @param {number} direction - 1 (later) or -1 (earlier)
+ * @returns {object} - Rule with the new window (hours wrap around the day)
+ */
+export const stepRuleWindow = (rule, edge, direction) => {
+  const hour = (rule.window[edge] + direction + 24) % 24;
+  return { ...rule, window: { ...rule.window, [edge]: edge === 'to' && hour === 0 ? 24 : hour } };
+};
+
+/**
+ * Formats a value of a rule's quantity in the display units
+ *
+ * @param {string} type - Key of RULE_TYPES
+ * @param {number} value - Metric value
+ * @param {object} units - Display units from getDisplayUnits
+ * @returns {string} - Formatted value (e.g., "32°F", "40 km/h", "60%", "6" for UV)
+ */
+export const formatRuleValue = (type, value, units) => {
+  switch (RULE_TYPES[type].quantity) {
+    case 'temperature': return `${convertTemperature(value, units.temperature)}${UNIT_LABELS[units.temperature]}`;
+    case 'wind':        return formatWindSpeed(value, units.wind);
+    case 'percent':     return `${Math.round(value)}%`;
+    default:            return `${Math.round(value)}`;
+  }
+};
+
+/**
+ * Formats a window hour (e.g., "7AM", "19:00"; 24 is midnight)
+ *
+ * @param {number} hour - Local hour, 0-24
+ * @param {string} timeFormat - '12h' or '24h'
+ * @returns {string} - Formatted hour
+ */
+export const formatWindowHour = (hour, timeFormat = '12h') => {
+  const hours = hour % 24;
+  if (timeFormat === '24h') return `${hours.toString().padStart(2, '0')}:00`;
+  return `${hours % 12 || 12}${hours >= 12 ? 'PM' : 'AM'}`;
+};
+
+/**
+ * Describes a rule (e.g., "Frost at or below 0°C", "Rain chance 60% or more, 7AM-7PM")
+ *
+ * @param {object} rule - Rule to describe
+ * @param {object} units - Display units from getDisplayUnits
+ * @param {string} timeFormat - '12h' or '24h'
+ * @returns {string} - One-line description
+ */
+export const describeRule = (rule, units, timeFormat) => {
+  const type = RULE_TYPES[rule.type];
+  const threshold = formatRuleValue(rule.type, rule.threshold, units);
+  const condition = type.comparison === 'below' ? `at or below ${threshold}` : `${threshold} or more`;
+  const window = rule.window
+    ? `, ${formatWindowHour(rule.window.from, timeFormat)}-${formatWindowHour(rule.window.to, timeFormat)}`
+    : '';
+  return `${type.label} ${condition}${window}`;
+};
+
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+/**
+ * Builds the forecast timeline rules are checked against: hourly steps,
+ * then 3-hour forecast steps past the end of the hourly forecast
+ *
+ * @param {object} data - Normalized weather model (hourly, forecast)
+ * @returns {object[]} - Steps as { dt, duration, temp, pop, gust, uvi }
+ */
+export const getRuleTimeline = (data) => {
+  const hourly = (data?.hourly || []).map((hour) => ({
+    dt: hour.dt,
+    duration: HOUR,
+    temp: hour.temp,
+    pop: hour.pop,
+    gust: hour.wind_gust ?? hour.wind_speed,
+    uvi: hour.uvi,
+  }));
+  const hourlyEnd = hourly.length > 0 ? hourly[hourly.length - 1].dt + HOUR : 0;
+
+  const forecast = (data?.forecast || [])
+    .filter((step) => step.dt >= hourlyEnd)
+    .map((step) => ({
+      dt: step.dt,
+      duration: FORECAST_STEP,
+      temp: step.main.temp,
+      pop: step.pop,
+      gust: step.wind?.gust ?? step.wind?.speed,
+    }));
+
+  return [...hourly, ...forecast];
+};
+
+/**
+ * Whether any hour of a step falls inside a rule's window
+ */
+const isInWindow = (step, window, timezoneOffset) => {
+  if (!window) return true;
+  for (let t = step.dt; t < step.dt + step.duration; t += HOUR) {
+    const hour = new Date((t + timezoneOffset) * 1000).getUTCHours();
+    const isInside = window.from < window.to
+      ? hour >= window.from && hour < window.to
+      : hour >= window.from || hour < window.to;
+    if (isInside) return true;
+  }
+  return false;
+};
+
+/**
+ * Whether a step meets a rule
+ */
+const isMatch = (rule, step, timezoneOffset) => {
+  const type = RULE_TYPES[rule.type];
+  const value = type.read(step);
+  if (value === undefined || value === null) return false;
+  const meetsThreshold = type.comparison === 'below' ? value <= rule.threshold : value >= rule.threshold;
+  return meetsThreshold && isInWindow(step, rule.window, timezoneOffset);
+};
+
+/**
+ * Finds the upcoming times each rule is met
+ *
+ * @param {object[]} rules - Rules for the location
+ * @param {object} data - Normalized weather model (hourly, forecast, timezoneOffset)
+ * @param {number} now - Current time in milliseconds
+ * @returns {object[]} - Matches as { rule, start, end, peak }, soonest first:
+ *   start, end - Unix timestamps (seconds) of the matching stretch
+ *   peak - Most extreme value in the stretch (metric)
+ */
+export const evaluateRules = (rules, data, now = Date.now()) => {
+  const nowSeconds = now / 1000;
+  const timezoneOffset = data?.timezoneOffset || 0;
+  const timeline = getRuleTimeline(data).filter((step) => step.dt + step.duration > nowSeconds);
+  const matches = [];
+
+  rules.forEach((rule) => {
+    const type = RULE_TYPES[rule.type];
+    if (!type) return;
+    let current = null;
+
+    timeline.forEach((step) => {
+      if (!isMatch(rule, step, timezoneOffset)) {
+        current = null;
+        return;
+      }
+      const value = type.read(step);
+      if (current && current.end === step.dt) {
+        current.end = step.dt + step.duration;
+        current.peak = type.comparison === 'below' ? Math.min(current.peak, value) : Math.max(current.peak, value);
+        return;
+      }
+      current = { rule, start: step.dt, end: step.dt + step.duration, peak: value };
+      matches.push(current);
+    });
+  });
+
+  return matches.sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,253 @@
+/**
+ * Weather Summary
+ * Turns the weather model into a one- or two-sentence headline, e.g.
+ * "Rain starting in about 15 minutes, lasting 40 minutes. Warmer than
+ * yesterday, up to 14° and windy this afternoon."
+ *
+ * The first sentence is about precipitation: the minute-by-minute nowcast
+ * when there is one, otherwise the hourly forecast. The second adds how
+ * today's high compares with yesterday's and the wind when they stand out.
+ * Sentences are built from per-language templates (SUMMARY_TEMPLATES),
+ * picked from the device locale.
+ */
+
+import { getLocalDateKey } from './forecast';
+import { getNowcastEvent, getNowcastKind, getPrecipitationKind, getUpcomingMinutes } from './nowcast';
+
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const LIKELY_POP = 0.5;      // Hourly chance that counts as "likely"
+const DRY_POP = 0.2;         // Every hour below this chance counts as dry
+const LOOKAHEAD_HOURS = 12;  // How far ahead the hourly forecast is read
+const WINDY_SPEED = 9;       // m/s mean wind (Beaufort 5) that counts as windy
+const WINDY_GUST = 14;       // m/s gusts that count as windy
+const TEMP_CHANGE = 3;       // °C between yesterday's and today's high worth mentioning
+
+/**
+ * Local hour (start) of each part of the day, latest first
+ */
+const DAY_PERIODS = [
+  ['night', 22],
+  ['evening', 17],
+  ['afternoon', 12],
+  ['morning', 5],
+  ['night', 0],
+];
+
+/**
+ * Sentence templates per language
+ * kinds - Precipitation names (lowercase, as used mid-sentence)
+ * of / ofThe - Kinds after "of" without and with an article where the language needs it
+ * periods / tomorrowPeriods - Parts of the day, for today and tomorrow
+ * minutes(n) - "n minutes"
+ * join(clauses) - Joins clauses with the language's "and"
+ */
+export const SUMMARY_TEMPLATES = {
+  en: {
+    kinds: { rain: 'rain', snow: 'snow', drizzle: 'drizzle', storm: 'thunderstorms' },
+    periods: { morning: 'this morning', afternoon: 'this afternoon', evening: 'this evening', night: 'tonight' },
+    tomorrowPeriods: { morning: 'tomorrow morning', afternoon: 'tomorrow afternoon', evening: 'tomorrow evening', night: 'tomorrow night' },
+    minutes: (n) => `${n} ${n === 1 ? 'minute' : 'minutes'}`,
+    startsIn: (t, kind, minutes, duration) => `${t.kinds[kind]} starting in about ${t.minutes(minutes)}`
+      + (duration ? `, lasting ${t.minutes(duration)}` : ''),
+    stopsIn: (t, kind, minutes) => `${t.kinds[kind]} stopping in about ${t.minutes(minutes)}`,
+    continuing: (t, kind) => `${t.kinds[kind]} for the next hour`,
+    likelyFrom: (t, kind, time) => `${t.kinds[kind]} likely from ${time}`,
+    dry: (t, hours) => `dry for the next ${hours} hours`,
+    windy: (period) => `windy ${period}`,
+    warmer: (high) => `warmer than yesterday, up to ${high}`,
+    cooler: (high) => `cooler than yesterday, high ${high}`,
+    join: (clauses) => clauses.join(' and '),
+  },
+  es: {
+    kinds: { rain: 'lluvia', snow: 'nieve', drizzle: 'llovizna', storm: 'tormentas' },
+    of: { rain: 'de lluvia', snow: 'de nieve', drizzle: 'de llovizna', storm: 'de tormentas' },
+    ofThe: { rain: 'de la lluvia', snow: 'de la nieve', drizzle: 'de la llovizna', storm: 'de las tormentas' },
+    periods: { morning: 'esta mañana', afternoon: 'esta tarde', evening: 'al anochecer', night: 'esta noche' },
+    tomorrowPeriods: { morning: 'mañana por la mañana', afternoon: 'mañana por la tarde', evening: 'mañana al anochecer', night: 'mañana por la noche' },
+    minutes: (n) => `${n} ${n === 1 ? 'minuto' : 'minutos'}`,
+    startsIn: (t, kind, minutes, duration) => `${t.kinds[kind]} en unos ${t.minutes(minutes)}`
+      + (duration ? `, durante ${t.minutes(duration)}` : ''),
+    stopsIn: (t, kind, minutes) => `fin ${t.ofThe[kind]} en unos ${t.minutes(minutes)}`,
+    continuing: (t, kind) => `${t.kinds[kind]} durante la próxima hora`,
+    likelyFrom: (t, kind, time) => `probabilidad ${t.of[kind]} a partir de las ${time}`,
+    dry: (t, hours) => `sin precipitaciones en las próximas ${hours} horas`,
+    windy: (period) => `viento ${period}`,
+    warmer: (high) => `más cálido que ayer, hasta ${high}`,
+    cooler: (high) => `más fresco que ayer, máxima de ${high}`,
+    join: (clauses) => clauses.join(' y '),
+  },
+  fr: {
+    kinds: { rain: 'pluie', snow: 'neige', drizzle: 'bruine', storm: 'orages' },
+    of: { rain: 'de pluie', snow: 'de neige', drizzle: 'de bruine', storm: "d'orages" },
+    ofThe: { rain: 'de la pluie', snow: 'de la neige', drizzle: 'de la bruine', storm: 'des orages' },
+    periods: { morning: 'ce matin', afternoon: 'cet après-midi', evening: 'ce soir', night: 'cette nuit' },
+    tomorrowPeriods: { morning: 'demain matin', afternoon: 'demain après-midi', evening: 'demain soir', night: 'dans la nuit de demain' },
+    minutes: (n) => `${n} ${n === 1 ? 'minute' : 'minutes'}`,
+    startsIn: (t, kind, minutes, duration) => `${t.kinds[kind]} dans environ ${t.minutes(minutes)}`
+      + (duration ? `, pendant ${t.minutes(duration)}` : ''),
+    stopsIn: (t, kind, minutes) => `fin ${t.ofThe[kind]} dans environ ${t.minutes(minutes)}`,
+    continuing: (t, kind) => `${t.kinds[kind]} pendant l'heure à venir`,
+    likelyFrom: (t, kind, time) => `risque ${t.of[kind]} à partir de ${time}`,
+    dry: (t, hours) => `temps sec pour les ${hours} prochaines heures`,
+    windy: (period) => `venteux ${period}`,
+    warmer: (high) => `plus chaud qu'hier, jusqu'à ${high}`,
+    cooler: (high) => `plus frais qu'hier, maximum ${high}`,
+    join: (clauses) => clauses.join(' et '),
+  },
+  de: {
+    kinds: { rain: 'Regen', snow: 'Schnee', drizzle: 'Nieselregen', storm: 'Gewitter' },
+    periods: { morning: 'heute Vormittag', afternoon: 'heute Nachmittag', evening: 'heute Abend', night: 'heute Nacht' },
+    tomorrowPeriods: { morning: 'morgen Vormittag', afternoon: 'morgen Nachmittag', evening: 'morgen Abend', night: 'morgen Nacht' },
+    minutes: (n) => `${n} ${n === 1 ? 'Minute' : 'Minuten'}`,
+    startsIn: (t, kind, minutes, duration) => `${t.kinds[kind]} in etwa ${t.minutes(minutes)}`
+      + (duration ? `, für ${t.minutes(duration)}` : ''),
+    stopsIn: (t, kind, minutes) => `${t.kinds[kind]} endet in etwa ${t.minutes(minutes)}`,
+    continuing: (t, kind) => `${t.kinds[kind]} in der nächsten Stunde`,
+    likelyFrom: (t, kind, time) => `${t.kinds[kind]} ab ${time} wahrscheinlich`,
+    dry: (t, hours) => `trocken in den nächsten ${hours} Stunden`,
+    windy: (period) => `windig ${period}`,
+    warmer: (high) => `wärmer als gestern, bis ${high}`,
+    cooler: (high) => `kühler als gestern, höchstens ${high}`,
+    join: (clauses) => clauses.join(' und '),
+  },
+};
+
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Picks the template language from the device locale
+ *
+ * @returns {string} - Key of SUMMARY_TEMPLATES ('en' when the locale has none)
+ */
+export const getSummaryLanguage = () => {
+  const locale = Intl.DateTimeFormat().resolvedOptions().locale || 'en';
+  const language = locale.split('-')[0].toLowerCase();
+  return SUMMARY_TEMPLATES[language] ? language : 'en';
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Rounds a minute count the way people say it ("about 15", not "about 14")
+ */
+const roundMinutes = (minutes) => (minutes < 10 ? minutes : Math.round(minutes / 5) * 5);
+
+/**
+ * Part of the day a timestamp falls in, in the location's time
+ */
+const getDayPeriod = (timestamp, timezoneOffset) => {
+  const hour = new Date((timestamp + timezoneOffset) * 1000).getUTCHours();
+  return DAY_PERIODS.find(([, start]) => hour >= start)[0];
+};
+
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * First sentence: precipitation from the nowcast, else the hourly forecast
+ */
+const getPrecipitationClause = (t, data, hours, formatTime, now) => {
+  const nowcast = data.minutely ? getNowcastEvent(getUpcomingMinutes(data.minutely, now)) : null;
+
+  if (nowcast) {
+    const kind = getNowcastKind(data.current, hours[0]);
+    if (nowcast.type === 'continuing') return t.continuing(t, kind);
+    if (nowcast.type === 'stops') return t.stopsIn(t, kind, roundMinutes(nowcast.minutes));
+    return t.startsIn(
+      t,
+      kind,
+      Math.max(1, roundMinutes(nowcast.minutes)),
+      nowcast.duration && Math.max(1, roundMinutes(nowcast.duration))
+    );
+  }
+
+  if (hours.length === 0) return null;
+  // Skip the hour in progress when a nowcast already said it stays dry
+  const later = data.minutely ? hours.slice(1) : hours;
+  const likely = later.find((hour) => hour.pop >= LIKELY_POP && getPrecipitationKind(hour.weather?.[0]?.id));
+  if (likely) return t.likelyFrom(t, getPrecipitationKind(likely.weather[0].id), formatTime(likely.dt));
+  if (hours.every((hour) => (hour.pop || 0) < DRY_POP)) return t.dry(t, hours.length);
+  return null;
+};
+
+/**
+ * Wind clause for the first windy part of the day ahead
+ */
+const getWindClause = (t, hours, timezoneOffset, todayKey) => {
+  const windy = hours.find((hour) => hour.wind_speed >= WINDY_SPEED || (hour.wind_gust || 0) >= WINDY_GUST);
+  if (!windy) return null;
+  const period = getDayPeriod(windy.dt, timezoneOffset);
+  const isToday = getLocalDateKey(windy.dt, timezoneOffset) === todayKey
+    || (period === 'night' && getLocalDateKey(windy.dt - 6 * 3600, timezoneOffset) === todayKey);
+  return t.windy((isToday ? t.periods : t.tomorrowPeriods)[period]);
+};
+
+/**
+ * Temperature clause when today's high differs clearly from yesterday's
+ */
+const getTemperatureClause = (t, data, todayKey, formatTemperature) => {
+  const today = (data.daily || []).find((day) => day.date === todayKey);
+  const yesterdayHigh = data.yesterday?.tempMax;
+  if (!today || yesterdayHigh == null) return null;
+
+  // Today's remaining steps may miss the high that already passed
+  const todayHigh = Math.max(today.tempMax, data.current?.main?.temp ?? -Infinity);
+  const change = todayHigh - yesterdayHigh;
+  if (change >= TEMP_CHANGE) return t.warmer(formatTemperature(todayHigh));
+  if (change <= -TEMP_CHANGE) return t.cooler(formatTemperature(todayHigh));
+  return null;
+};
+
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Builds the headline for a location
+ *
+ * @param {object} data - Normalized weather model (current, minutely, hourly, daily, yesterday, timezoneOffset)
+ * @param {object} options
+ * @param {function} options.formatTemperature - °C -> display text (e.g., "14°")
+ * @param {function} options.formatTime - Unix timestamp -> local time text (e.g., "3PM")
+ * @param {string} options.language - Key of SUMMARY_TEMPLATES
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {string} - One or two sentences, or '' when there is nothing to say
+ */
+export const buildWeatherSummary = (data, {
+  formatTemperature,
+  formatTime,
+  language = 'en',
+  now = Date.now(),
+}) => {
+  if (!data) return '';
+  const t = SUMMARY_TEMPLATES[language] || SUMMARY_TEMPLATES.en;
+  const nowSeconds = now / 1000;
+  const timezoneOffset = data.timezoneOffset || 0;
+  const todayKey = getLocalDateKey(nowSeconds, timezoneOffset);
+
+  // Hours still ahead, including the one in progress
+  const hours = (data.hourly || [])
+    .filter((hour) => hour.dt + 3600 > nowSeconds)
+    .slice(0, LOOKAHEAD_HOURS);
+
+  const first = getPrecipitationClause(t, data, hours, formatTime, now);
+  const second = [
+    getTemperatureClause(t, data, todayKey, formatTemperature),
+    getWindClause(t, hours, timezoneOffset, todayKey),
+  ].filter(Boolean);
+
+  return [first, second.length > 0 && t.join(second)]
+    .filter(Boolean)
+    .map((sentence) => `${capitalize(sentence)}.`)
+    .join(' ');
+};
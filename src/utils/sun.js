@@ -0,0 +1,81 @@
+/**
+ * Sun Times
+ * Sunrise and sunset for any day and place, computed from the sun's
+ * position, so every forecast day has them whatever the provider returns
+ *
+ * Uses the standard sunrise equation (accurate to a minute or two), with
+ * the sun's upper edge and atmospheric refraction counted at the horizon.
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const J2000 = 2451545;           // Julian day of 2000-01-01 12:00 UTC
+const UNIX_EPOCH_JULIAN = 2440587.5;
+const SECONDS_PER_DAY = 86400;
+const HORIZON_ALTITUDE = -0.833; // Degrees: sun's center when its edge touches the horizon
+const EARTH_TILT = 23.44;        // Degrees
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+
+// ============================================================================
+// SUN TIMES
+// ============================================================================
+
+/**
+ * Sunrise and sunset for the local day containing a timestamp
+ *
+ * @param {number} timestamp - Unix timestamp (seconds) around local noon of the day
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees (east positive)
+ * @returns {object} - { sunrise, sunset } as Unix timestamps in seconds, both null
+ *   when the sun stays up (polarDay: true) or down (polarNight: true) all day
+ */
+export const getSunTimes = (timestamp, lat, lon) => {
+  const julianDay = timestamp / SECONDS_PER_DAY + UNIX_EPOCH_JULIAN;
+  const cycle = Math.round(julianDay - J2000 - 0.0009 + lon / 360);
+  const meanNoon = cycle - lon / 360 + 0.0009;
+
+  // Sun's position along its orbit
+  const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+  const anomalyRad = toRadians(anomaly);
+  const center = 1.9148 * Math.sin(anomalyRad)
+    + 0.02 * Math.sin(2 * anomalyRad)
+    + 0.0003 * Math.sin(3 * anomalyRad);
+  const eclipticLongitude = toRadians((anomaly + center + 180 + 102.9372) % 360);
+
+  const transit = J2000 + meanNoon
+    + 0.0053 * Math.sin(anomalyRad)
+    - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(toRadians(EARTH_TILT)));
+
+  // Hour angle between solar noon and the sun crossing the horizon
+  const latRad = toRadians(lat);
+  const cosHourAngle = (Math.sin(toRadians(HORIZON_ALTITUDE)) - Math.sin(latRad) * Math.sin(declination))
+    / (Math.cos(latRad) * Math.cos(declination));
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polarNight: true };
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polarDay: true };
+
+  const halfDay = toDegrees(Math.acos(cosHourAngle)) / 360;
+  const toUnix = (julian) => Math.round((julian - UNIX_EPOCH_JULIAN) * SECONDS_PER_DAY);
+  return {
+    sunrise: toUnix(transit - halfDay),
+    sunset: toUnix(transit + halfDay),
+  };
+};
+
+/**
+ * Sunrise and sunset for a local calendar day
+ *
+ * @param {string} dateKey - Local date (e.g., "2024-01-31")
+ * @param {number} timezoneOffset - Location's offset from UTC in seconds
+ * @param {object} coord - { lat, lon }
+ * @returns {object} - See getSunTimes
+ */
+export const getSunTimesForDate = (dateKey, timezoneOffset, { lat, lon }) => {
+  const localNoon = Date.parse(`${dateKey}T12:00:00Z`) / 1000 - timezoneOffset;
+  return getSunTimes(localNoon, lat, lon);
+};
@@ -0,0 +1,215 @@
+/**
+ * Units
+ * Conversion and formatting for every displayed quantity
+ *
+ * The weather model is always metric (°C, m/s, hPa, meters, mm). Display
+ * units come from a preset (metric, imperial, UK) with optional
+ * per-quantity overrides, see resolveUnits.
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+/**
+ * Supported display units for each quantity, in the order they are offered
+ */
+export const UNIT_OPTIONS = {
+  temperature: ['celsius', 'fahrenheit'],
+  wind: ['m/s', 'km/h', 'mph', 'kn', 'bft'],
+  pressure: ['hPa', 'inHg', 'mmHg'],
+  distance: ['km', 'mi'],
+  precipitation: ['mm', 'in'],
+};
+
+/**
+ * Short display label for each unit
+ */
+export const UNIT_LABELS = {
+  celsius: '°C',
+  fahrenheit: '°F',
+  'm/s': 'm/s',
+  'km/h': 'km/h',
+  mph: 'mph',
+  kn: 'kn',
+  bft: 'Bft',
+  hPa: 'hPa',
+  inHg: 'inHg',
+  mmHg: 'mmHg',
+  km: 'km',
+  mi: 'mi',
+  mm: 'mm',
+  in: 'in',
+};
+
+/**
+ * Unit presets; the UK mixes Celsius with mph and miles
+ */
+export const UNIT_PRESETS = {
+  metric: {
+    name: 'Metric',
+    units: { temperature: 'celsius', wind: 'm/s', pressure: 'hPa', distance: 'km', precipitation: 'mm' },
+  },
+  imperial: {
+    name: 'Imperial',
+    units: { temperature: 'fahrenheit', wind: 'mph', pressure: 'inHg', distance: 'mi', precipitation: 'in' },
+  },
+  uk: {
+    name: 'UK',
+    units: { temperature: 'celsius', wind: 'mph', pressure: 'hPa', distance: 'mi', precipitation: 'mm' },
+  },
+};
+
+// Multipliers from m/s
+const WIND_FACTORS = { 'm/s': 1, 'km/h': 3.6, mph: 2.23694, kn: 1.94384 };
+
+// Multipliers from hPa
+const PRESSURE_FACTORS = { hPa: 1, inHg: 0.02953, mmHg: 0.750062 };
+
+// Upper bound (m/s) of Beaufort forces 0-11; anything above is force 12
+const BEAUFORT_LIMITS = [0.5, 1.5, 3.3, 5.5, 7.9, 10.7, 13.8, 17.1, 20.7, 24.4, 28.4, 32.6];
+
+const METERS_PER_MILE = 1609.344;
+const MM_PER_INCH = 25.4;
+
+
+// ============================================================================
+// UNIT SELECTION
+// ============================================================================
+
+/**
+ * Resolves the display unit of every quantity
+ * Overrides win over the preset; unknown or missing overrides are ignored
+ *
+ * @param {string} system - Key of UNIT_PRESETS
+ * @param {object} overrides - Per-quantity units (e.g., { wind: 'kn' })
+ * @returns {object} - { temperature, wind, pressure, distance, precipitation }
+ */
+export const resolveUnits = (system, overrides = {}) => {
+  const units = { ...(UNIT_PRESETS[system] || UNIT_PRESETS.metric).units };
+  Object.keys(units).forEach((quantity) => {
+    if (UNIT_OPTIONS[quantity].includes(overrides[quantity])) units[quantity] = overrides[quantity];
+  });
+  return units;
+};
+
+
+// ============================================================================
+// CONVERSION & FORMATTING
+// ============================================================================
+
+/**
+ * Converts a temperature from Celsius
+ *
+ * @param {number} celsius - Temperature in °C
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @returns {number} - Rounded temperature
+ */
+export const convertTemperature = (celsius, unit) => {
+  if (unit === 'fahrenheit') return Math.round((celsius * 9 / 5) + 32);
+  return Math.round(celsius);
+};
+
+/**
+ * Converts a temperature back to Celsius
+ *
+ * @param {number} value - Temperature in the display unit
+ * @param {string} unit - 'celsius' or 'fahrenheit'
+ * @returns {number} - Temperature in °C (unrounded)
+ */
+export const toCelsius = (value, unit) => {
+  if (unit === 'fahrenheit') return (value - 32) * 5 / 9;
+  return value;
+};
+
+/**
+ * Returns the Beaufort force (0-12) for a wind speed
+ *
+ * @param {number} metersPerSecond - Wind speed in m/s
+ * @returns {number} - Beaufort force
+ */
+export const toBeaufort = (metersPerSecond) => {
+  const force = BEAUFORT_LIMITS.findIndex((limit) => metersPerSecond < limit);
+  return force === -1 ? 12 : force;
+};
+
+/**
+ * Converts a wind speed from m/s
+ *
+ * @param {number} metersPerSecond - Wind speed in m/s
+ * @param {string} unit - Wind unit from UNIT_OPTIONS.wind
+ * @returns {number} - Rounded speed, or the Beaufort force
+ */
+export const convertWindSpeed = (metersPerSecond, unit) => {
+  if (unit === 'bft') return toBeaufort(metersPerSecond);
+  return Math.round(metersPerSecond * (WIND_FACTORS[unit] || 1));
+};
+
+/**
+ * Converts a wind speed back to m/s
+ * A Beaufort force maps to the lowest speed of that force
+ *
+ * @param {number} value - Speed in the display unit, or the Beaufort force
+ * @param {string} unit - Wind unit from UNIT_OPTIONS.wind
+ * @returns {number} - Speed in m/s (unrounded)
+ */
+export const toMetersPerSecond = (value, unit) => {
+  if (unit === 'bft') return value > 0 ? BEAUFORT_LIMITS[Math.min(value, 12) - 1] : 0;
+  return value / (WIND_FACTORS[unit] || 1);
+};
+
+/**
+ * Formats a wind speed with its unit
+ *
+ * @param {number} metersPerSecond - Wind speed in m/s
+ * @param {string} unit - Wind unit from UNIT_OPTIONS.wind
+ * @returns {string} - Formatted speed (e.g., "18 km/h", "Bft 4")
+ */
+export const formatWindSpeed = (metersPerSecond, unit) => {
+  const value = convertWindSpeed(metersPerSecond, unit);
+  if (unit === 'bft') return `Bft ${value}`;
+  return `${value} ${UNIT_LABELS[unit] || unit}`;
+};
+
+/**
+ * Formats a pressure without its unit (the stat card labels it)
+ *
+ * @param {number} hPa - Pressure in hectopascals
+ * @param {string} unit - Pressure unit from UNIT_OPTIONS.pressure
+ * @returns {string} - Pressure value (e.g., "1013", "29.92", "760")
+ */
+export const formatPressure = (hPa, unit) => {
+  const value = hPa * (PRESSURE_FACTORS[unit] || 1);
+  return unit === 'inHg' ? value.toFixed(2) : `${Math.round(value)}`;
+};
+
+/**
+ * Formats a visibility distance
+ *
+ * @param {number} meters - Visibility in meters
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {string} - Formatted distance (e.g., "10 km", "800 m", "6.2 mi")
+ */
+export const formatVisibility = (meters, unit) => {
+  if (unit === 'mi') {
+    const miles = meters / METERS_PER_MILE;
+    return `${miles >= 10 ? Math.round(miles) : miles.toFixed(1)} mi`;
+  }
+  if (meters >= 1000) {
+    const km = meters / 1000;
+    return `${km % 1 === 0 ? km : km.toFixed(1)} km`;
+  }
+  return `${meters} m`;
+};
+
+/**
+ * Formats a precipitation amount
+ *
+ * @param {number} mm - Amount in millimeters
+ * @param {string} unit - 'mm' or 'in'
+ * @returns {string} - Formatted amount (e.g., "1.2 mm", "0.05 in")
+ */
+export const formatPrecipitation = (mm, unit) => {
+  if (unit === 'in') return `${(mm / MM_PER_INCH).toFixed(2)} in`;
+  return `${Math.round(mm * 10) / 10} mm`;
+};